@@ -0,0 +1,54 @@
+/**
+ * @fileoverview This service normalizes the sport of an activity. Strava reports a
+ * legacy `type` and a more specific `sport_type`, while activities imported from
+ * public activity pages only carry the page's sport type. Every ingestion path runs
+ * activities through `normalize` so that filters and leaderboards see the same
+ * `type`, `sport_type` and canonical `category` whatever the source.
+ */
+
+class ActivityTypeService {
+
+  /**
+   * Returns a copy of the activity with normalized `type`, `sport_type` and `category` fields.
+   * `sport_type` is preferred; older rows that only have a `type` are normalized from it.
+   * @param {Object} activity An activity from the Strava API, a page import or a sheet row.
+   * @return {Object} The normalized activity.
+   */
+  static normalize(activity) {
+    const sportType = this._canonicalName(activity.sport_type) || this._canonicalName(activity.type);
+    const mapping = ACTIVITY_TYPES[sportType];
+
+    return {
+      ...activity,
+      sport_type: sportType,
+      type: mapping ? mapping.type : (this._canonicalName(activity.type) || sportType),
+      category: mapping ? mapping.category : sportType
+    };
+  }
+
+  /**
+   * Gets the canonical category of an activity (e.g. "Run" for a TrailRun).
+   * @param {Object} activity The activity object.
+   * @return {string} The category, or an empty string if the activity has no sport.
+   */
+  static getCategory(activity) {
+    if (!activity) return '';
+    return this.normalize(activity).category;
+  }
+
+  /**
+   * Private helper to match a raw sport name to a known Strava sport type, ignoring
+   * case, spaces and underscores (e.g. "Trail Run" or "trail_run" become "TrailRun").
+   * Unknown names are returned trimmed.
+   * @param {*} value The raw `type` or `sport_type` value.
+   * @return {string} The canonical sport type, or an empty string for a blank value.
+   * @private
+   */
+  static _canonicalName(value) {
+    const name = String(value === undefined || value === null ? '' : value).trim();
+    if (!name) return '';
+
+    const key = name.replace(/[\s_-]/g, '').toLowerCase();
+    return Object.keys(ACTIVITY_TYPES).find(sportType => sportType.toLowerCase() === key) || name;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview This service keeps the Activities sheet in line with the privacy
+ * settings members choose on Strava. Activities that become private are withdrawn
+ * from the sheet, and restored when they are shared again. Every change is recorded
+ * in the "HiddenActivities" sheet, which keeps a snapshot of each withdrawn row.
+ */
+
+class ActivityVisibilityService {
+
+  /**
+   * Checks whether an activity may be shown, based on STRAVA_SETTINGS.ALLOWED_VISIBILITY.
+   * Activities without a visibility (e.g. page imports) are treated as public.
+   * @param {Object} activity The activity object.
+   * @return {boolean} True if the activity may be shown.
+   */
+  static isVisible(activity) {
+    if (activity.private === true || String(activity.private) === 'true') return false;
+    if (!activity.visibility) return true;
+    return STRAVA_SETTINGS.ALLOWED_VISIBILITY.includes(activity.visibility);
+  }
+
+  /**
+   * Removes an activity from the Activities sheet and records it as hidden.
+   * @param {string|number} activityId The ID of the activity.
+   * @param {string} visibility The activity's new visibility, e.g. 'only_me'.
+   * @param {string} source What detected the change, e.g. 'webhook' or 'sync'.
+   * @return {boolean} True if a row was withdrawn, false if the activity was not in the sheet.
+   */
+  static withdraw(activityId, visibility, source) {
+    const existingActivity = SheetService.getObjectById(SHEET_NAMES.ACTIVITIES, activityId, 'id');
+    if (!existingActivity) return false;
+
+    this._record(existingActivity, 'hidden', visibility, source);
+    SheetService.deleteObjectById(SHEET_NAMES.ACTIVITIES, activityId, 'id');
+    debugLog(`Withdrew activity ${activityId} (visibility: ${visibility}, source: ${source}).`, 'INFO', true);
+    return true;
+  }
+
+  /**
+   * Records that a previously hidden activity was added back to the Activities sheet.
+   * @param {Object} activity The restored activity.
+   * @param {string} source What detected the change, e.g. 'webhook' or 'sync'.
+   * @param {Set<string>} [hiddenIds] The hidden activity IDs, when checking a batch of activities.
+   * @return {boolean} True if the activity had been hidden, false otherwise.
+   */
+  static recordRestored(activity, source, hiddenIds = this.getHiddenActivityIds()) {
+    if (!hiddenIds.has(String(activity.id))) return false;
+
+    this._record(activity, 'restored', activity.visibility || '', source);
+    debugLog(`Restored activity ${activity.id} (source: ${source}).`, 'INFO', true);
+    return true;
+  }
+
+  /**
+   * Applies an activity's current visibility during a sync: a shown activity that is
+   * now private is withdrawn. Restoring is left to `addActivitiesToSheet`.
+   * @param {Object} activity The activity as fetched from Strava.
+   * @param {string} source What detected the change.
+   * @return {boolean} True if the activity was withdrawn.
+   */
+  static applyVisibility(activity, source) {
+    if (this.isVisible(activity)) return false;
+    return this.withdraw(activity.id, activity.visibility || 'private', source);
+  }
+
+  /**
+   * Gets the IDs of all activities that are currently hidden, i.e. whose latest
+   * audit entry is 'hidden'.
+   * @return {Set<string>} The hidden activity IDs.
+   */
+  static getHiddenActivityIds() {
+    let rows = [];
+    try {
+      rows = SheetService.getDataAsObjects(SHEET_NAMES.HIDDEN_ACTIVITIES);
+    } catch (e) {
+      return new Set(); // The sheet is created with the first withdrawal.
+    }
+
+    const latestAction = new Map();
+    rows.forEach(row => latestAction.set(String(row.activity_id), row.action));
+    return new Set(Array.from(latestAction.keys()).filter(id => latestAction.get(id) === 'hidden'));
+  }
+
+  /**
+   * Recomputes everything derived from the activities of the given members after
+   * activities were withdrawn or restored: challenge progress and the leaderboard,
+   * feed, export and challenge caches.
+   * @param {Array<string|number>} athleteIds The members whose activities changed.
+   */
+  static recomputeAfterChange(athleteIds) {
+    [...new Set(athleteIds.map(String))].forEach(athleteId => ChallengeService.updateUserChallengeProgress(athleteId));
+    ChallengeService.updateCommunityChallengeProgress();
+    AppCache.invalidateActivityCaches();
+    AppCache.remove(CACHE_KEYS.ALL_CHALLENGES);
+  }
+
+  /**
+   * Private helper to append an entry to the HiddenActivities audit trail.
+   * @param {Object} activity The activity row or object.
+   * @param {string} action 'hidden' or 'restored'.
+   * @param {string} visibility The visibility that caused the change.
+   * @param {string} source What detected the change.
+   * @private
+   */
+  static _record(activity, action, visibility, source) {
+    SheetService.ensureSheet(SHEET_NAMES.HIDDEN_ACTIVITIES, SHEET_HEADERS.HIDDEN_ACTIVITIES);
+    SheetService.appendObjects(SHEET_NAMES.HIDDEN_ACTIVITIES, [{
+      activity_id: activity.id,
+      athlete_id: activity.athlete_id || (activity.athlete ? activity.athlete.id : ''),
+      action: action,
+      visibility: visibility,
+      source: source,
+      recorded_at: new Date().toISOString(),
+      activity_json: action === 'hidden' ? JSON.stringify(activity) : ''
+    }]);
+  }
+}
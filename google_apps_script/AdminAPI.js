@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Admin API endpoints for webhook status, the webhook event journal and outage
+ * reports, and the maintenance tasks (schema migrations, key rotation, backfills, the worker
+ * and the webhook subscription). Every global function is callable from the web app through
+ * `google.script.run`, so the tasks themselves are private (their names end with `_`) and
+ * run only through these endpoints.
+ * Every call must carry the ADMIN_API_TOKEN script property as `payload.adminToken`,
+ * because the web app is open to anonymous visitors; the APIs are disabled until that
+ * property is set. Runs from the editor, as the account the script runs as, need no token.
+ */
+
+/**
+ * Lists webhook events from the WebhookEvents journal, newest first.
+ * @param {object} payload The request.
+ * @param {string} payload.adminToken The admin token.
+ * @param {object} [payload.filters] See `WebhookInboxService.listEvents` (status, objectType, aspectType, objectId, ownerId, from, to, limit).
+ * @return {string} A JSON string of the API response.
+ */
+function listWebhookEvents(payload) {
+  return _runAdminApi('listWebhookEvents', payload, request => {
+    const events = WebhookInboxService.listEvents(request.filters || {});
+    return { success: true, data: events };
+  });
+}
+
+/**
+ * Replays a single webhook event through `processStravaEvent`.
+ * The replay is queued and processed by the next `drainWebhookInbox` run.
+ * @param {object} payload The request.
+ * @param {string} payload.adminToken The admin token.
+ * @param {string} payload.id The journal ID of the event to replay.
+ * @return {string} A JSON string of the API response, with the ID of the replay entry.
+ */
+function replayWebhookEvent(payload) {
+  return _runAdminApi('replayWebhookEvent', payload, request => {
+    if (!request.id) return { success: false, error: "Event ID is required." };
+    return WebhookInboxService.replayEvent(request.id);
+  });
+}
+
+/**
+ * Replays every webhook event received in a time range, e.g. after a bug fix.
+ * The replays are queued and processed by the `drainWebhookInbox` trigger.
+ * @param {object} payload The request.
+ * @param {string} payload.adminToken The admin token.
+ * @param {string} payload.from The start of the range (ISO date, inclusive).
+ * @param {string} payload.to The end of the range (ISO date, inclusive).
+ * @param {object} [payload.filters] Further filters, e.g. {objectType: 'activity'}.
+ * @return {string} A JSON string of the API response, with the number of events queued.
+ */
+function replayWebhookEvents(payload) {
+  return _runAdminApi('replayWebhookEvents', payload, request => {
+    return WebhookInboxService.replayRange(request.from, request.to, request.filters || {});
+  });
+}
+
+/**
+ * Reports a webhook outage and the activities recovered after it.
+ * @param {object} payload The request.
+ * @param {string} payload.adminToken The admin token.
+ * @param {string} [payload.outageId] The outage ID. Defaults to the most recent outage.
+ * @return {string} A JSON string of the API response.
+ */
+function getWebhookOutageReport(payload) {
+  return _runAdminApi('getWebhookOutageReport', payload, request => {
+    const report = GapRecoveryService.getReport(request.outageId);
+    return report ? { success: true, data: report } : { success: false, error: "No webhook outage found." };
+  });
+}
+
+/**
+ * Reports the health of the webhook pipeline in one place: the worker's delivery
+ * metrics next to what Apps Script has seen.
+ * @param {object} payload The request.
+ * @param {string} payload.adminToken The admin token.
+ * @return {string} A JSON string of the API response. `data.proxy` carries its own
+ *     success flag, so the rest is still reported when the worker cannot be reached.
+ */
+function getWebhookStatus(payload) {
+  return _runAdminApi('getWebhookStatus', payload, () => {
+    const lastWebhookTime = PropertiesService.getScriptProperties().getProperty(PROPERTY_KEYS.LAST_WEBHOOK_TIMESTAMP);
+    return {
+      success: true,
+      data: {
+        lastWebhookAt: lastWebhookTime ? new Date(Number(lastWebhookTime)).toISOString() : null,
+        subscription: getWebhookSubscriptionState(),
+        openOutage: GapRecoveryService.getOpenOutage(),
+        inbox: WebhookInboxService.countByStatus(),
+        proxy: getWebhookProxyStatus_()
+      }
+    };
+  });
+}
+
+/**
+ * Applies the pending schema migrations. Run it after every deploy, after `previewSchemaMigrations`.
+ * @param {object} [payload] The request.
+ * @param {string} payload.adminToken The admin token, unless run from the editor.
+ * @param {boolean} [payload.dryRun] If true, only report what the pending migrations would change.
+ * @return {string} A JSON string of the API response, with the migration result.
+ */
+function runSchemaMigrations(payload) {
+  return _runAdminApi('runSchemaMigrations', payload, request => {
+    const result = runSchemaMigrations_(!!request.dryRun);
+    return result ? { success: !result.failed, data: result } : { success: false, error: "The migrations could not run. See the log." };
+  });
+}
+
+/**
+ * Reports what the pending schema migrations would change, without changing anything.
+ * @param {object} [payload] The request.
+ * @param {string} payload.adminToken The admin token, unless run from the editor.
+ * @return {string} A JSON string of the API response, with the dry-run result.
+ */
+function previewSchemaMigrations(payload) {
+  return runSchemaMigrations({ ...payload, dryRun: true });
+}
+
+/**
+ * Rotates the data encryption key (see `rotateDataEncryptionKey_`).
+ * @param {object} [payload] The request.
+ * @param {string} payload.adminToken The admin token, unless run from the editor.
+ * @return {string} A JSON string of the API response, with the re-encryption summary.
+ */
+function rotateDataEncryptionKey(payload) {
+  return _runAdminApi('rotateDataEncryptionKey', payload, () => {
+    const summary = rotateDataEncryptionKey_();
+    return summary ? { success: summary.failed === 0, data: summary } : { success: false, error: "The key was not rotated. See the log." };
+  });
+}
+
+/**
+ * Queues members for a backfill of their activity history.
+ * @param {object} payload The request.
+ * @param {string} payload.adminToken The admin token, unless run from the editor.
+ * @param {Array<string|number>} payload.userIds The members to backfill.
+ * @param {number|null} [payload.daysBack] How far back to go, or null for the whole history.
+ *     Defaults to ACTIVITY_BACKFILL.DEFAULT_DAYS_BACK.
+ * @return {string} A JSON string of the API response.
+ */
+function enqueueUsersForBackfill(payload) {
+  return _runAdminApi('enqueueUsersForBackfill', payload, request => {
+    if (!Array.isArray(request.userIds) || request.userIds.length === 0) {
+      return { success: false, error: "userIds must be a non-empty array." };
+    }
+    enqueueUsersForBackfill_(request.userIds, request.daysBack === undefined ? ACTIVITY_BACKFILL.DEFAULT_DAYS_BACK : request.daysBack);
+    return { success: true };
+  });
+}
+
+/**
+ * Repairs the Strava webhook subscription and runs the self-test (see `reconcileWebhookSubscription_`).
+ * @param {object} [payload] The request.
+ * @param {string} payload.adminToken The admin token, unless run from the editor.
+ * @return {string} A JSON string of the API response, with the recorded state.
+ */
+function reconcileWebhookSubscription(payload) {
+  return _runAdminApi('reconcileWebhookSubscription', payload, () => {
+    const state = reconcileWebhookSubscription_();
+    return { success: !state.error, data: state };
+  });
+}
+
+/**
+ * Runs the webhook self-test against the current subscription.
+ * @param {object} [payload] The request.
+ * @param {string} payload.adminToken The admin token, unless run from the editor.
+ * @return {string} A JSON string of the API response, with the self-test result.
+ */
+function runWebhookSelfTest(payload) {
+  return _runAdminApi('runWebhookSelfTest', payload, () => {
+    const state = getWebhookSubscriptionState();
+    const result = runWebhookSelfTest_(state ? state.subscriptionId : undefined);
+    return { success: result.passed, data: result };
+  });
+}
+
+/**
+ * Registers this club's members with a shared worker (see `registerAthletesWithWorker_`).
+ * @param {object} [payload] The request.
+ * @param {string} payload.adminToken The admin token, unless run from the editor.
+ * @return {string} A JSON string of the API response, with the number of athletes registered.
+ */
+function registerAthletesWithWorker(payload) {
+  return _runAdminApi('registerAthletesWithWorker', payload, () => registerAthletesWithWorker_());
+}
+
+/**
+ * Private helper that checks the admin token, runs an admin API and logs failures.
+ * @param {string} apiName The API name, for logging.
+ * @param {object} payload The request.
+ * @param {function(object): object} handler Returns the API response object.
+ * @return {string} A JSON string of the API response.
+ */
+function _runAdminApi(apiName, payload, handler) {
+  const request = payload || {};
+  if (!_isAdminTokenValid(request.adminToken) && !_isScriptAccount()) {
+    debugLog(`Rejected ${apiName} call with an invalid admin token.`, 'WARNING', true);
+    return JSON.stringify({ success: false, error: "Unauthorized." });
+  }
+
+  try {
+    return JSON.stringify(handler(request));
+  } catch (e) {
+    debugLog(`Error in ${apiName}: ${e.message}`, 'ERROR');
+    return JSON.stringify({ success: false, error: e.message });
+  }
+}
+
+/**
+ * Private helper to check whether the caller is the account the script runs as, which
+ * is the case for runs from the editor. Anonymous web app visitors have no active user.
+ * @return {boolean} True for the script's own account.
+ */
+function _isScriptAccount() {
+  const activeUser = Session.getActiveUser().getEmail();
+  return !!activeUser && activeUser === Session.getEffectiveUser().getEmail();
+}
+
+/**
+ * Private helper to check a token against the ADMIN_API_TOKEN script property.
+ * @param {string} token The token from the request.
+ * @return {boolean} True if the token matches.
+ */
+function _isAdminTokenValid(token) {
+  const adminToken = PropertiesService.getScriptProperties().getProperty(ADMIN_API.TOKEN_PROPERTY);
+  if (!adminToken || !token) return false;
+  return WebhookSecurity.constantTimeEquals(String(token), adminToken);
+}
@@ -96,12 +96,18 @@ class AppCacheManager {
    * Should be called whenever new activities are added.
    */
   invalidateActivityCaches() {
-    const keysToInvalidate = [
-      CACHE_KEYS.RECENT_ACTIVITIES_FEED,
+    const leaderboardKeys = [
       CACHE_KEYS.LEADERBOARD_THIS_MONTH,
       CACHE_KEYS.LEADERBOARD_LAST_MONTH,
-      CACHE_KEYS.LEADERBOARD_CHALLENGE,
-      CACHE_KEYS.TOP_THREE_THIS_MONTH
+      CACHE_KEYS.LEADERBOARD_CHALLENGE
+    ];
+    // Per-sport leaderboards are cached under the board key as a suffix.
+    const boardKeys = SportsConfigService.getBoards().map(b => b.board);
+    const keysToInvalidate = [
+      CACHE_KEYS.RECENT_ACTIVITIES_FEED,
+      CACHE_KEYS.TOP_THREE_THIS_MONTH,
+      ...leaderboardKeys,
+      ...leaderboardKeys.flatMap(key => boardKeys.map(board => `${key}_${board}`))
     ];
     this.removeAll(keysToInvalidate);
     debugLog("All activity-related caches have been invalidated.", "INFO");
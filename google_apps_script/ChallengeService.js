@@ -91,25 +91,13 @@ class ChallengeService {
    * @private
    */
   static _updateParticipantProgress(challengeId, userId, updatedData) {
-      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.CHALLENGE_PARTICIPANTS);
-      const data = sheet.getDataRange().getValues();
-      const headers = data[0];
-      const challengeIdCol = headers.indexOf('ChallengeID');
-      const userIdCol = headers.indexOf('UserID');
-
-      const rowIndex = data.findIndex((row, index) => 
-          index > 0 && 
-          String(row[challengeIdCol]) === String(challengeId) && 
-          String(row[userIdCol]) === String(userId)
+      const result = SheetService.updateRowsWhere(SHEET_NAMES.CHALLENGE_PARTICIPANTS,
+          row => String(row.ChallengeID) === String(challengeId) && String(row.UserID) === String(userId),
+          () => updatedData
       );
+      if (!result.success) throw new Error(result.error);
       
-      if (rowIndex !== -1) {
-          // Update existing row
-          headers.forEach((header, colIndex) => {
-              if (updatedData.hasOwnProperty(header)) {
-                  sheet.getRange(rowIndex + 1, colIndex + 1).setValue(updatedData[header]);
-              }
-          });
+      if (result.count > 0) {
           debugLog(`Updated progress for user ${userId} in challenge ${challengeId}.`, 'DEBUG');
       } else {
           // Append new row if not exists
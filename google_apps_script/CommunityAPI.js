@@ -2,21 +2,34 @@
  * @fileoverview API endpoints related to the community, members, and leaderboards.
  */
 
+/**
+ * Gets every member's public profile and Strava connection status.
+ * @returns {string} A JSON string of the API response.
+ */
 function getAllMembersData() {
   try {
     const allMembers = DatabaseService.getAllUsers();
-    // Add authorization status to each member
-    const membersWithStatus = allMembers.map(member => ({
-      ...member,
-      isAuthorized: !!(member.accessToken && member.refreshToken)
-    }));
-    return JSON.stringify({ success: true, data: membersWithStatus });
+    const connectedIds = new Set(CredentialStore.getAthleteIds());
+    const publicMembers = allMembers.map(member => _toPublicProfile(member, connectedIds.has(member.id)));
+    return JSON.stringify({ success: true, data: publicMembers });
   } catch (e) {
     return JSON.stringify({ success: false, error: e.message });
   }
 }
 
-function getLeaderboardData(period = 'this_month') {
+/**
+ * Gets the leaderboard for a period and sports board.
+ * @param {string|{period: string, board: string}} [request='this_month'] The period, or an object with the period and board.
+ * @param {string} [board] The sports board key. Defaults to the primary board.
+ * @returns {string} A JSON string of the API response.
+ */
+function getLeaderboardData(request = 'this_month', board) {
+  let period = request;
+  if (request && typeof request === 'object') {
+    period = request.period || 'this_month';
+    board = request.board;
+  }
+
   const now = new Date();
   let startDate, endDate;
   let cacheKey;
@@ -44,6 +57,11 @@ function getLeaderboardData(period = 'this_month') {
       cacheDuration = CACHE_DURATIONS.MEDIUM; // 1 hour
   }
 
+  // Each non-primary board is cached under its own key.
+  if (board) {
+    cacheKey = `${cacheKey}_${String(board).toLowerCase()}`;
+  }
+
   let leaderboard = AppCache.get(cacheKey);
   if (leaderboard) {
     return JSON.stringify({ success: true, data: leaderboard, source: 'cache' });
@@ -51,7 +69,7 @@ function getLeaderboardData(period = 'this_month') {
 
   try {
     // Pass the 'period' string to the service layer so it knows which sheet to use.
-    leaderboard = LeaderboardService.getLeaderboardForPeriod(startDate, endDate, period);
+    leaderboard = LeaderboardService.getLeaderboardForPeriod(startDate, endDate, period, board);
     
     // Set the cache using the dynamically assigned duration.
     AppCache.set(cacheKey, leaderboard, cacheDuration);
@@ -62,6 +80,18 @@ function getLeaderboardData(period = 'this_month') {
   }
 }
 
+/**
+ * Gets the sports boards configured in the Sports sheet, for per-sport leaderboards.
+ * @returns {string} A JSON string of the API response.
+ */
+function getSportsBoards() {
+  try {
+    return JSON.stringify({ success: true, data: SportsConfigService.getBoards() });
+  } catch (e) {
+    return JSON.stringify({ success: false, error: e.message });
+  }
+}
+
 function getTopThreeThisMonth() {
     const cacheKey = CACHE_KEYS.TOP_THREE_THIS_MONTH;
     let topThree = AppCache.get(cacheKey);
@@ -101,7 +131,7 @@ function getCurrentUserData() {
         if (athleteInfo && athleteInfo.id) {
             const userData = DatabaseService.getUserData(athleteInfo.id);
             if (userData) {
-                return JSON.stringify({ success: true, data: userData });
+                return JSON.stringify({ success: true, data: _toPublicProfile(userData, CredentialStore.has(userData.id)) });
             }
         }
         throw new Error("Could not retrieve current user data.");
@@ -110,4 +140,21 @@ function getCurrentUserData() {
         debugLog(`Error in getCurrentUserData: ${e.message}`, 'ERROR');
         return JSON.stringify({ success: false, error: e.message, data: null });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Private helper to build the member shape the web app may see. Only the fields in
+ * MEMBER_PUBLIC_FIELDS are copied, so tokens and sync state never reach the browser.
+ * @param {Object} member The member record.
+ * @param {boolean} isConnected Whether the member has Strava credentials stored.
+ * @returns {Object} The public profile.
+ */
+function _toPublicProfile(member, isConnected) {
+  const profile = {};
+  MEMBER_PUBLIC_FIELDS.forEach(field => {
+    if (member[field] !== undefined) profile[field] = member[field];
+  });
+  profile.isAuthorized = isConnected && !member.reauthorizationRequired;
+  profile.needsReauthorization = !!member.reauthorizationRequired;
+  return profile;
+}
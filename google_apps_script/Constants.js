@@ -20,9 +20,35 @@ const SHEET_NAMES = {
   REGISTRATIONS: 'Registrations',
   CHALLENGES: 'Challenges',
   CHALLENGE_PARTICIPANTS: 'ChallengeParticipants',
+  SWIM_METRICS: 'SwimMetrics',
+  SPORTS: 'Sports',
+  HIDDEN_ACTIVITIES: 'HiddenActivities',
+  AUDIT_LOG: 'AuditLog',
+  WEBHOOK_EVENTS: 'WebhookEvents',
+  WEBHOOK_OUTAGES: 'WebhookOutages',
   DEBUG_LOGS: 'DebugLogs'
 };
 
+// Header rows for sheets the script creates on demand (see SheetService.ensureSheet).
+const SHEET_HEADERS = {
+  SWIM_METRICS: [
+    'activity_id', 'athlete_id', 'start_date', 'distance', 'moving_time', 'pool_length', 'lengths',
+    'lap_count', 'pace_per_100m', 'best_100m_pace', 'total_strokes', 'strokes_per_length', 'swolf', 'updated_at'
+  ],
+  SPORTS: ['ActivityType', 'Enabled', 'DisplayName', 'Unit', 'Metric', 'Board'],
+  HIDDEN_ACTIVITIES: ['activity_id', 'athlete_id', 'action', 'visibility', 'source', 'recorded_at', 'activity_json'],
+  AUDIT_LOG: ['timestamp', 'action', 'subject_id', 'policy', 'details'],
+  WEBHOOK_EVENTS: [
+    'ID', 'EventID', 'ReceivedAt', 'ObjectType', 'ObjectID', 'AspectType', 'OwnerID',
+    'EventTime', 'Payload', 'Status', 'Attempts', 'LastError', 'UpdatedAt',
+    'Source', 'ReplayOf', 'Outcome', 'AffectedActivities', 'ProcessedAt', 'NextAttemptAt'
+  ],
+  WEBHOOK_OUTAGES: [
+    'ID', 'LastEventAt', 'DetectedAt', 'RecoveredAt', 'Status', 'AthletesQueued',
+    'AthletesDone', 'ActivitiesRecovered', 'RecoveredActivityIDs', 'CompletedAt'
+  ]
+};
+
 // An enumeration for column indices in the "Database" sheet for reliable access.
 const DB_COLUMNS = {
   ID: 1,
@@ -31,6 +57,37 @@ const DB_COLUMNS = {
   LAST_UPDATED: 4
 };
 
+/**
+ * @description Settings for encrypting the USER_DATA column and stored credentials (see DataEncryption.js).
+ */
+const DATA_ENCRYPTION = {
+  KEYRING_PROPERTY: 'DATA_ENCRYPTION_KEYS',  // JSON {current, keys: {version: base64 key}}; created on first use
+  PREFIX: 'enc',                             // Encrypted values start with "enc:v<version>:"
+  KEY_BYTES: 32,
+  IV_BYTES: 16
+};
+
+/**
+ * @description Settings for the members' Strava credentials (see CredentialStore.js).
+ */
+const CREDENTIAL_STORE = {
+  PROPERTY_PREFIX: 'STRAVA_CREDENTIALS_',             // One encrypted script property per athlete
+  FIELDS: ['accessToken', 'refreshToken', 'expiresAt'] // Never stored in the Database sheet
+};
+
+/**
+ * @description Settings for versioned schema migrations (see Migrations.js).
+ */
+const SCHEMA_MIGRATIONS = {
+  VERSION_PROPERTY: 'SCHEMA_VERSION' // Script property holding the SchemaVersion record (last migration applied)
+};
+
+/**
+ * @description The member fields the web app may see. Member APIs return only these,
+ * plus `isAuthorized` and `needsReauthorization`.
+ */
+const MEMBER_PUBLIC_FIELDS = ['id', 'name', 'firstname', 'lastname', 'profile', 'profile_medium', 'city', 'state', 'country'];
+
 // An enumeration for all cache keys.
 const CACHE_KEYS = {
   // Data caches
@@ -47,8 +104,12 @@ const CACHE_KEYS = {
   
   // Recent activity feed cache
   RECENT_ACTIVITIES_FEED: 'v2_recent_activities_feed',
+  SPORTS_PROFILES: 'v2_sports_profiles',
   ALL_CHALLENGES: 'v2_all_challenges',
-  CHALLENGE_DETAILS_PREFIX: 'v2_challenge_details_' // Note: This is a prefix
+  CHALLENGE_DETAILS_PREFIX: 'v2_challenge_details_', // Note: This is a prefix
+
+  // Row indexes of sheet IDs, per spreadsheet and sheet (see SheetService.upsertObjects)
+  ID_INDEX_PREFIX: 'v2_id_index_' // Note: This is a prefix
 };
 
 // Standard cache durations in seconds.
@@ -65,7 +126,41 @@ const ACTIVITY_QUEUE = {
   QUEUE_KEY: 'userActivityQueue',
   LOCK_KEY: 'userActivityQueueLock',
   MAX_USERS_PER_RUN: 5,
-  UPDATE_INTERVAL_HOURS: 4
+  UPDATE_INTERVAL_HOURS: 4,
+  INITIAL_LOOKBACK_DAYS: 30, // Used for members without a sync high-water mark yet
+  SYNC_OVERLAP_HOURS: 24     // Re-read this far behind the high-water mark to catch late uploads
+};
+
+// Constants for refreshing members' Strava access tokens before they expire (see TokenManager).
+const TOKEN_REFRESH = {
+  EXPIRY_MARGIN_MS: 5 * 60 * 1000,          // Refresh before an API call if the token expires within 5 minutes
+  BACKGROUND_MARGIN_MS: 90 * 60 * 1000,     // The hourly trigger refreshes tokens expiring within 90 minutes
+  MAX_RUNTIME_MS: 4.5 * 60 * 1000
+};
+
+/**
+ * @description Settings for purging a member's data when they deauthorize the app.
+ * The policy is read from the DEAUTH_PURGE_POLICY script property:
+ * 'delete' removes every row, 'anonymize' keeps activities under a random "former-" ID.
+ */
+const MEMBER_PURGE = {
+  POLICY_PROPERTY: 'DEAUTH_PURGE_POLICY',
+  POLICIES: ['delete', 'anonymize'],
+  DEFAULT_POLICY: 'delete',
+  ANONYMIZED_ID_PREFIX: 'former-',
+  ANONYMIZED_NAME: 'Former member'
+};
+
+// Constants for the resumable full-history activity backfill.
+const ACTIVITY_BACKFILL = {
+  QUEUE_KEY: 'userActivityBackfillQueue',
+  CURSOR_KEY_PREFIX: 'activityBackfillCursor_', // Note: This is a prefix, followed by the user ID
+  PER_PAGE: 100,                  // Maximum page size allowed by the Strava API
+  MAX_PAGES_PER_REQUEST: 50,      // Safety cap for a single paginated fetch (5000 activities)
+  MAX_RUNTIME_MS: 4.5 * 60 * 1000, // Stop well before Apps Script's 6-minute execution limit
+  MAX_FETCH_FAILURES: 3,          // A user whose page fails this many times in a row is given up
+  RETRY_DELAY_MS: 10 * 60 * 1000, // Wait before retrying a failed page, doubled after each failure
+  DEFAULT_DAYS_BACK: 365          // Window used for new members; null means the whole history
 };
 
 /**
@@ -73,8 +168,9 @@ const ACTIVITY_QUEUE = {
  */
 const STRAVA_SETTINGS = {
   /**
-   * @description An array of activity types to sync from Strava.
-   * Only activities matching these types will be saved.
+   * @description The default activity types to sync from Strava. These are only used
+   * while the "Sports" sheet is missing or empty; once it has rows, the enabled
+   * sports configured there decide which activities are saved (see SportsConfigService).
    * Find possible values at: https://developers.strava.com/docs/reference/#api-models-ActivityType
    * @type {Array<string>}
    */
@@ -88,6 +184,155 @@ const STRAVA_SETTINGS = {
   ALLOWED_VISIBILITY: ['everyone', 'followers_only']
 };
 
+/**
+ * @description Settings for the shared Strava HTTP client and its rate-limit budget.
+ * Strava reports usage as "15-minute,daily" pairs in the X-RateLimit-* response headers.
+ */
+const STRAVA_RATE_LIMIT = {
+  STATE_KEY: 'STRAVA_RATE_LIMIT_STATE',
+  DEFAULT_SHORT_LIMIT: 200,         // Requests per 15 minutes
+  DEFAULT_DAILY_LIMIT: 2000,        // Requests per day (resets at midnight UTC)
+  SAFETY_RATIO: 0.9,                // Stop scheduling work at 90% of either limit
+  SHORT_WINDOW_MS: 15 * 60 * 1000,
+  MAX_RETRIES: 3,
+  BACKOFF_BASE_MS: 1000,            // 1s, 2s, 4s, ...
+  MAX_WAIT_MS: 60 * 1000,           // Longest we will sleep waiting for a 429 window to reset
+  CALLS_PER_USER_SYNC: 3            // Budget reserved before syncing one user from the queue
+};
+
+// Leaderboard metrics a sport can be scored by, and the display units valid for each.
+const SPORT_METRICS = {
+  distance: { field: 'distance', units: ['km', 'm', 'mi'], defaultUnit: 'km' },
+  moving_time: { field: 'moving_time', units: ['h', 'min'], defaultUnit: 'h' },
+  elevation: { field: 'total_elevation_gain', units: ['m', 'ft'], defaultUnit: 'm' },
+  count: { field: null, units: ['activities'], defaultUnit: 'activities' }
+};
+
+/**
+ * @description Maps each Strava `sport_type` to its legacy `type` and the canonical
+ * category used by filters and leaderboards (see ActivityTypeService).
+ * Sport types that are not listed keep their own name as type and category.
+ * Find possible values at: https://developers.strava.com/docs/reference/#api-models-SportType
+ */
+const ACTIVITY_TYPES = {
+  Run: { type: 'Run', category: 'Run' },
+  TrailRun: { type: 'Run', category: 'Run' },
+  VirtualRun: { type: 'VirtualRun', category: 'Run' },
+  Walk: { type: 'Walk', category: 'Walk' },
+  Hike: { type: 'Hike', category: 'Hike' },
+  Ride: { type: 'Ride', category: 'Ride' },
+  MountainBikeRide: { type: 'Ride', category: 'Ride' },
+  GravelRide: { type: 'Ride', category: 'Ride' },
+  VirtualRide: { type: 'VirtualRide', category: 'Ride' },
+  EBikeRide: { type: 'EBikeRide', category: 'EBikeRide' },
+  EMountainBikeRide: { type: 'EBikeRide', category: 'EBikeRide' },
+  Swim: { type: 'Swim', category: 'Swim' },
+  Rowing: { type: 'Rowing', category: 'Rowing' },
+  VirtualRow: { type: 'Rowing', category: 'Rowing' }
+};
+
+/**
+ * @description Settings for verifying events signed by the Cloudflare Worker (see WebhookSecurity).
+ * During a secret rotation the old secret is kept in PREVIOUS_SECRET_PROPERTY until the worker is updated.
+ */
+const WEBHOOK_SIGNATURE = {
+  SECRET_PROPERTY: 'WORKER_SHARED_SECRET',
+  PREVIOUS_SECRET_PROPERTY: 'WORKER_SHARED_SECRET_PREVIOUS',
+  MAX_CLOCK_SKEW_SECONDS: 300,             // Reject events signed more than 5 minutes ago (or ahead)
+  NONCE_CACHE_PREFIX: 'webhook_nonce_'     // Seen nonces are cached for twice the allowed skew
+};
+
+/**
+ * @description The values Strava's webhook events may carry. The worker rejects anything
+ * else; doPost checks again before an event is stored (see getStravaEventSchemaError).
+ */
+const STRAVA_WEBHOOK_SCHEMA = {
+  OBJECT_TYPES: ['activity', 'athlete'],
+  ASPECT_TYPES: ['create', 'update', 'delete'],
+  ID_FIELDS: ['object_id', 'owner_id', 'subscription_id', 'event_time']  // Must be positive integers
+};
+
+/**
+ * @description Settings for skipping duplicate and out-of-order webhook events in processStravaEvent.
+ */
+const WEBHOOK_DEDUP = {
+  EVENT_CACHE_PREFIX: 'webhook_event_',    // Processed event IDs (object_type:object_id:aspect_type:event_time)
+  LATEST_CACHE_PREFIX: 'webhook_latest_',  // The newest event_time processed for each object
+  TTL_SECONDS: 21600                       // 6 hours, the longest CacheService allows
+};
+
+/**
+ * @description Settings for the WebhookEvents inbox. doPost only stores events there;
+ * the drainWebhookInbox trigger processes them (see WebhookInboxService).
+ */
+const WEBHOOK_INBOX = {
+  STATUS: {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    DONE: 'done',
+    FAILED: 'failed',  // Retried once its NextAttemptAt has passed
+    DEAD: 'dead'       // Gave up after MAX_ATTEMPTS
+  },
+  BATCH_SIZE: 25,                   // Events processed per trigger run
+  MAX_ATTEMPTS: 8,                  // With the backoff below, an event is retried for about 10 hours
+  RETRY_BACKOFF_BASE_MINUTES: 5,    // Wait after the first failure; doubled after each further one
+  RETRY_BACKOFF_MAX_MINUTES: 6 * 60,
+  MAX_RUNTIME_MS: 4.5 * 60 * 1000,  // Stop well before Apps Script's 6-minute execution limit
+  RETENTION_DAYS: 30,               // Processed events are kept this long
+  PRUNE_INTERVAL_HOURS: 24,         // How often the journal is rewritten to delete old processed events
+  LAST_PRUNED_KEY: 'WEBHOOK_INBOX_LAST_PRUNED_AT', // Script property: when the journal was last pruned
+  DEFAULT_LIST_LIMIT: 100           // Events returned by listWebhookEvents unless a limit is given
+};
+
+/**
+ * @description Settings for recovering activities missed during a webhook outage (see GapRecoveryService).
+ */
+const GAP_RECOVERY = {
+  OPEN_OUTAGE_KEY: 'openWebhookOutage',  // Script property holding the outage that has not ended yet
+  QUEUE_KEY: 'gapRecoveryQueue',         // Script property holding each outage being recovered, its window and the last athlete synced
+  SILENCE_THRESHOLD_HOURS: 24,           // monitorWebhookHealth opens an outage after this much silence
+  LOOKBACK_PADDING_HOURS: 24,            // Also re-read activities started this long before the last event, for late uploads
+  MAX_FAILURES: 3,                       // Athletes whose fetch fails this often are given up on
+  MAX_RUNTIME_MS: 4.5 * 60 * 1000        // Stop well before Apps Script's 6-minute execution limit
+};
+
+/**
+ * @description Settings for reconcileWebhookSubscription_ (see WebhookManager.js).
+ */
+const WEBHOOK_SUBSCRIPTION = {
+  API_URL: 'https://www.strava.com/api/v3/push_subscriptions',
+  STATE_PROPERTY: 'WEBHOOK_SUBSCRIPTION_STATE',   // JSON result of the last reconciliation
+  SELF_TEST_PATH: '/self-test',                   // Worker route that sends a synthetic event back
+  SELF_TEST_OBJECT_TYPE: 'self_test',
+  SELF_TEST_CACHE_PREFIX: 'webhook_self_test_',   // Set by doPost when a self-test event arrives
+  SELF_TEST_CACHE_SECONDS: 600
+};
+
+/**
+ * @description Settings for clubs that share one worker (see registerAthletesWithWorker_).
+ * Without a club ID, this deployment is the worker's default GAS_WEB_APP_URL.
+ */
+const WORKER_ROUTING = {
+  CLUB_ID_PROPERTY: 'WORKER_CLUB_ID',     // The ID the worker admin registered this deployment under
+  CLUB_PATH_PREFIX: '/clubs/',
+  ATHLETES_PATH: '/athletes'
+};
+
+/**
+ * @description Settings for getWebhookProxyStatus_ (see WebhookManager.js).
+ */
+const WEBHOOK_PROXY_STATUS = {
+  PATH: '/admin/status',                  // Worker route reporting delivery metrics
+  TOKEN_PROPERTY: 'WORKER_ADMIN_TOKEN'    // The worker's ADMIN_TOKEN secret
+};
+
+/**
+ * @description Settings for the admin APIs in AdminAPI.js.
+ */
+const ADMIN_API = {
+  TOKEN_PROPERTY: 'ADMIN_API_TOKEN' // The admin APIs are disabled until this script property is set
+};
+
 const PROPERTY_KEYS = {
   LAST_WEBHOOK_TIMESTAMP: 'LAST_WEBHOOK_TIMESTAMP'
 };
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview This module keeps each member's Strava credentials (access token,
+ * refresh token and expiry) apart from their profile. Every athlete has one script
+ * property, encrypted with DataEncryption, so the credentials are never in the
+ * spreadsheet and never in the member records the web app serves.
+ *
+ * Only StravaService and TokenManager read credentials. Everything else may ask
+ * which athletes are connected (`has`, `getAthleteIds`) but never for the tokens.
+ * Records from before the split are moved here by `DatabaseService.moveCredentialsToStore`.
+ */
+
+class CredentialStore {
+
+  /**
+   * Reads a member's credentials. For StravaService and TokenManager only.
+   * @param {string|number} userId The member's Strava ID.
+   * @return {{accessToken: string, refreshToken: string, expiresAt: string}|null} The credentials,
+   *     or null if none are stored or they cannot be decrypted.
+   */
+  static get(userId) {
+    const stored = PropertiesService.getScriptProperties().getProperty(this._propertyKey(userId));
+    if (!stored) return null;
+
+    try {
+      return JSON.parse(DataEncryption.decrypt(stored));
+    } catch (e) {
+      debugLog(`Could not read the stored credentials of user ${userId}: ${e.message}`, 'ERROR', true);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a member's credentials, replacing any stored before. Fields other than
+   * CREDENTIAL_STORE.FIELDS are ignored.
+   * @param {string|number} userId The member's Strava ID.
+   * @param {{accessToken: string, refreshToken: string, expiresAt: string}} credentials The credentials.
+   */
+  static save(userId, credentials) {
+    const record = {};
+    CREDENTIAL_STORE.FIELDS.forEach(field => record[field] = credentials[field] || null);
+    PropertiesService.getScriptProperties().setProperty(this._propertyKey(userId), DataEncryption.encrypt(JSON.stringify(record)));
+  }
+
+  /**
+   * Deletes a member's credentials, e.g. when they must reconnect or are purged.
+   * @param {string|number} userId The member's Strava ID.
+   */
+  static remove(userId) {
+    PropertiesService.getScriptProperties().deleteProperty(this._propertyKey(userId));
+  }
+
+  /**
+   * @param {string|number} userId The member's Strava ID.
+   * @return {boolean} True if credentials are stored for the member.
+   */
+  static has(userId) {
+    return PropertiesService.getScriptProperties().getProperty(this._propertyKey(userId)) !== null;
+  }
+
+  /**
+   * Lists the members with stored credentials, without reading the credentials.
+   * @return {Array<string>} The athlete IDs.
+   */
+  static getAthleteIds() {
+    return PropertiesService.getScriptProperties().getKeys()
+      .filter(key => key.startsWith(CREDENTIAL_STORE.PROPERTY_PREFIX))
+      .map(key => key.slice(CREDENTIAL_STORE.PROPERTY_PREFIX.length));
+  }
+
+  /**
+   * Re-encrypts every stored credential that is not on the current key version.
+   * Used by `DatabaseService.reencryptAllUsers`, which retires the old key versions.
+   * @param {boolean} [dryRun=false] If true, only count the credentials that would be re-encrypted.
+   * @return {{reencrypted: number, failed: number, current: number, versionsInUse: Array<number>}}
+   *     The counts, and the key versions that credentials which failed still need.
+   */
+  static reencryptAll(dryRun = false) {
+    const props = PropertiesService.getScriptProperties();
+    const currentVersion = DataEncryption.getCurrentKeyVersion();
+    const summary = { reencrypted: 0, failed: 0, current: 0, versionsInUse: [] };
+
+    this.getAthleteIds().forEach(athleteId => {
+      const key = this._propertyKey(athleteId);
+      const stored = props.getProperty(key);
+      const version = DataEncryption.getKeyVersion(stored);
+      if (version !== null && version === currentVersion) {
+        summary.current++;
+        return;
+      }
+      if (dryRun) {
+        summary.reencrypted++;
+        return;
+      }
+
+      try {
+        props.setProperty(key, DataEncryption.encrypt(DataEncryption.decrypt(stored)));
+        summary.reencrypted++;
+      } catch (e) {
+        debugLog(`Could not re-encrypt the credentials of user ${athleteId}: ${e.message}`, 'ERROR', true);
+        if (version !== null) summary.versionsInUse.push(version);
+        summary.failed++;
+      }
+    });
+    return summary;
+  }
+
+  /**
+   * Private helper to build the script property key for a member.
+   * @param {string|number} userId The member's Strava ID.
+   * @return {string} The property key.
+   * @private
+   */
+  static _propertyKey(userId) {
+    return CREDENTIAL_STORE.PROPERTY_PREFIX + String(userId).trim().split('.')[0];
+  }
+}
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview This module encrypts the member data stored in the Database sheet
+ * and the members' Strava credentials in CredentialStore. Apps Script has no block cipher, so it
+ * uses HMAC-SHA256 as a keystream generator (counter mode) and authenticates the
+ * result with a second HMAC-SHA256 (encrypt-then-MAC). Both keys are derived from a
+ * versioned master key kept in the DATA_ENCRYPTION_KEYS script property, never in the
+ * spreadsheet.
+ *
+ * Encrypted values look like "enc:v<version>:<iv>:<ciphertext>:<tag>" (web-safe
+ * base64), so the key version each row needs is always known. Rotating the key adds a
+ * new version; `DatabaseService.reencryptAllUsers` then moves every row and stored
+ * credential to it.
+ */
+
+class DataEncryption {
+
+  /**
+   * Encrypts a string with the current key, creating the first key if none exists.
+   * @param {string} plaintext The string to encrypt.
+   * @return {string} The encrypted value.
+   */
+  static encrypt(plaintext) {
+    const keyring = this._getKeyring(true);
+    const version = String(keyring.current);
+    const keys = this._deriveKeys(keyring.keys[version]);
+    const iv = this._randomBytes(DATA_ENCRYPTION.IV_BYTES);
+    const ciphertext = this._applyKeystream(Utilities.newBlob(String(plaintext)).getBytes(), keys.encryptionKey, iv);
+
+    const header = `${DATA_ENCRYPTION.PREFIX}:v${version}:${Utilities.base64EncodeWebSafe(iv)}:${Utilities.base64EncodeWebSafe(ciphertext)}`;
+    return `${header}:${Utilities.base64EncodeWebSafe(this._sign(header, keys.authenticationKey))}`;
+  }
+
+  /**
+   * Decrypts a value produced by `encrypt`, with whichever key version it names.
+   * @param {string} value The encrypted value.
+   * @return {string} The plaintext.
+   * @throws {Error} If the value is malformed, its key version is missing, or it was tampered with.
+   */
+  static decrypt(value) {
+    const parts = String(value).split(':');
+    const version = this.getKeyVersion(value);
+    if (parts.length !== 5 || version === null) {
+      throw new Error("Malformed encrypted value.");
+    }
+
+    const keyring = this._getKeyring(false);
+    const masterKey = keyring && keyring.keys[String(version)];
+    if (!masterKey) {
+      throw new Error(`Encryption key version ${version} is not in ${DATA_ENCRYPTION.KEYRING_PROPERTY}.`);
+    }
+
+    const keys = this._deriveKeys(masterKey);
+    const header = parts.slice(0, 4).join(':');
+    const expectedTag = Utilities.base64EncodeWebSafe(this._sign(header, keys.authenticationKey));
+    if (!WebhookSecurity.constantTimeEquals(expectedTag, parts[4])) {
+      throw new Error("Encrypted value failed authentication. It was modified or encrypted with a different key.");
+    }
+
+    const plaintext = this._applyKeystream(Utilities.base64DecodeWebSafe(parts[3]), keys.encryptionKey, Utilities.base64DecodeWebSafe(parts[2]));
+    return Utilities.newBlob(plaintext).getDataAsString('UTF-8');
+  }
+
+  /**
+   * @param {string} value A stored value.
+   * @return {boolean} True if the value was produced by `encrypt`.
+   */
+  static isEncrypted(value) {
+    return String(value || '').startsWith(`${DATA_ENCRYPTION.PREFIX}:`);
+  }
+
+  /**
+   * @param {string} value A stored value.
+   * @return {number|null} The key version the value is encrypted with, or null if it is not encrypted.
+   */
+  static getKeyVersion(value) {
+    const match = String(value || '').match(new RegExp(`^${DATA_ENCRYPTION.PREFIX}:v(\\d+):`));
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * @return {number|null} The version new values are encrypted with, or null before the first key exists.
+   */
+  static getCurrentKeyVersion() {
+    const keyring = this._getKeyring(false);
+    return keyring ? Number(keyring.current) : null;
+  }
+
+  /**
+   * Adds a new key version and makes it current. Older versions stay available for
+   * decryption until `retireKeys` removes them.
+   * @return {number} The new key version.
+   */
+  static rotateKey() {
+    return this._withKeyringLock(() => this._addKey(this._getKeyring(false) || { current: 0, keys: {} }).current);
+  }
+
+  /**
+   * Removes every key version except the current one and those still in use.
+   * @param {Array<number>} versionsInUse The key versions that stored values still need.
+   * @return {Array<number>} The versions removed.
+   */
+  static retireKeys(versionsInUse) {
+    return this._withKeyringLock(() => {
+      const keyring = this._getKeyring(false);
+      if (!keyring) return [];
+
+      const keep = new Set(versionsInUse.map(String).concat(String(keyring.current)));
+      const retired = Object.keys(keyring.keys).filter(version => !keep.has(version));
+      retired.forEach(version => delete keyring.keys[version]);
+      this._saveKeyring(keyring);
+      return retired.map(Number);
+    });
+  }
+
+  /**
+   * Private helper to read the keyring.
+   * @param {boolean} create Whether to create the first key if there is none.
+   * @return {{current: number, keys: Object<string, string>}|null} The keyring.
+   * @private
+   */
+  static _getKeyring(create) {
+    const keyring = PropertiesService.getScriptProperties().getProperty(DATA_ENCRYPTION.KEYRING_PROPERTY);
+    if (keyring) return JSON.parse(keyring);
+    if (!create) return null;
+
+    // Checked again under the lock, in case another execution created the key meanwhile.
+    return this._withKeyringLock(() => this._getKeyring(false) || this._addKey({ current: 0, keys: {} }));
+  }
+
+  /**
+   * Private helper to add a new key version to a keyring, make it current and save it.
+   * The caller must hold the keyring lock.
+   * @param {{current: number, keys: Object<string, string>}} keyring The keyring.
+   * @return {{current: number, keys: Object<string, string>}} The updated keyring.
+   * @private
+   */
+  static _addKey(keyring) {
+    const version = Math.max(0, ...Object.keys(keyring.keys).map(Number)) + 1;
+    keyring.keys[String(version)] = Utilities.base64EncodeWebSafe(this._randomBytes(DATA_ENCRYPTION.KEY_BYTES));
+    keyring.current = version;
+    this._saveKeyring(keyring);
+    debugLog(`Data encryption key version ${version} created and made current.`, 'INFO', true);
+    return keyring;
+  }
+
+  /**
+   * Private helper to store the keyring.
+   * @param {{current: number, keys: Object<string, string>}} keyring The keyring.
+   * @private
+   */
+  static _saveKeyring(keyring) {
+    PropertiesService.getScriptProperties().setProperty(DATA_ENCRYPTION.KEYRING_PROPERTY, JSON.stringify(keyring));
+  }
+
+  /**
+   * Private helper to change the keyring under the document lock, so two executions
+   * can never each create a different first key.
+   * @param {function(): *} callback Reads and writes the keyring.
+   * @return {*} The callback's result.
+   * @private
+   */
+  static _withKeyringLock(callback) {
+    const lock = LockService.getDocumentLock();
+    if (!lock.tryLock(10000)) {
+      throw new Error("Could not obtain the encryption keyring lock.");
+    }
+    try {
+      return callback();
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Private helper to derive separate encryption and authentication keys from a master key.
+   * @param {string} masterKey The web-safe base64 master key.
+   * @return {{encryptionKey: Array<number>, authenticationKey: Array<number>}} The derived keys.
+   * @private
+   */
+  static _deriveKeys(masterKey) {
+    const master = Utilities.base64DecodeWebSafe(masterKey);
+    return {
+      encryptionKey: Utilities.computeHmacSha256Signature(Utilities.newBlob('encryption').getBytes(), master),
+      authenticationKey: Utilities.computeHmacSha256Signature(Utilities.newBlob('authentication').getBytes(), master)
+    };
+  }
+
+  /**
+   * Private helper that XORs bytes with the keystream HMAC(key, iv || counter).
+   * The same call encrypts and decrypts.
+   * @param {Array<number>} bytes The input bytes.
+   * @param {Array<number>} key The encryption key.
+   * @param {Array<number>} iv The initialization vector.
+   * @return {Array<number>} The output bytes.
+   * @private
+   */
+  static _applyKeystream(bytes, key, iv) {
+    const output = [];
+    for (let offset = 0, counter = 0; offset < bytes.length; counter++) {
+      const counterBytes = [counter >>> 24, counter >>> 16, counter >>> 8, counter].map(byte => this._toSignedByte(byte));
+      const block = Utilities.computeHmacSha256Signature(iv.concat(counterBytes), key);
+      for (let i = 0; i < block.length && offset < bytes.length; i++, offset++) {
+        output.push(this._toSignedByte(bytes[offset] ^ block[i]));
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Private helper to compute the authentication tag of an encrypted value's header.
+   * @param {string} header Everything before the tag: prefix, version, IV and ciphertext.
+   * @param {Array<number>} key The authentication key.
+   * @return {Array<number>} The tag.
+   * @private
+   */
+  static _sign(header, key) {
+    return Utilities.computeHmacSha256Signature(Utilities.newBlob(header).getBytes(), key);
+  }
+
+  /**
+   * Private helper to generate random bytes. Apps Script's only secure random source
+   * is `Utilities.getUuid` (122 random bits), so several UUIDs are hashed together.
+   * @param {number} length The number of bytes (at most 32).
+   * @return {Array<number>} The random bytes.
+   * @private
+   */
+  static _randomBytes(length) {
+    const seed = [Utilities.getUuid(), Utilities.getUuid(), Utilities.getUuid()].join('');
+    return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, seed).slice(0, length);
+  }
+
+  /**
+   * Private helper to map a number to the signed byte range Apps Script's byte arrays use.
+   * @param {number} value The value; only its low 8 bits are kept.
+   * @return {number} A byte from -128 to 127.
+   * @private
+   */
+  static _toSignedByte(value) {
+    return ((value & 0xff) ^ 0x80) - 0x80;
+  }
+}
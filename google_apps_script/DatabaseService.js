@@ -1,8 +1,13 @@
 /**
  * @fileoverview This service manages all operations related to the user 'Database' sheet.
  * It acts as a Data Access Object (DAO) for user data, handling logic like
- * data structure, encoding, and specific field access. It uses SheetService for
+ * data structure, encryption, and specific field access. It uses SheetService for
  * the actual read/write operations.
+ *
+ * The USER_DATA column holds each member's Strava profile and sync state and is
+ * encrypted with DataEncryption. Rows written before encryption (a Caesar shift, see
+ * `decodeData`) are still read until `reencryptAllUsers` migrates them. Strava
+ * credentials are kept in CredentialStore, never in this sheet.
  */
 
 class DatabaseService {
@@ -13,13 +18,17 @@ class DatabaseService {
    * @return {object|null} The user data object, or null if not found.
    */
   static getUserData(userId) {
-    // This is a frequent operation, so we cache the entire member list.
-    const allUsers = this.getAllUsers(); 
     const normalizedUserId = String(userId).trim().split('.')[0];
-    const user = allUsers.find(u => u.id === normalizedUserId);
+
+    // This is a frequent operation: use the cached member list if there is one,
+    // otherwise read only this member's row rather than the whole sheet.
+    const cachedUsers = AppCache.get(CACHE_KEYS.ALL_MEMBERS);
+    const user = cachedUsers
+      ? cachedUsers.find(u => u.id === normalizedUserId)
+      : this._toUser(SheetService.getObjectById(SHEET_NAMES.DATABASE, normalizedUserId, 'ID'));
 
     if (user) {
-      debugLog(`(from cache) Found user data for ID: ${userId}`, 'DEBUG');
+      debugLog(`Found user data for ID: ${userId}`, 'DEBUG');
       return user;
     }
     
@@ -29,7 +38,7 @@ class DatabaseService {
 
   /**
    * Retrieves all users from the database. Implements a cache-aside pattern.
-   * This now includes decoding of the USER_DATA field and robust ID normalization.
+   * This now includes decrypting the USER_DATA field and robust ID normalization.
    * @return {Array<Object>} An array of all user objects.
    */
   static getAllUsers() {
@@ -40,25 +49,7 @@ class DatabaseService {
     
     debugLog("Cache miss for members. Fetching from Sheet.", "INFO");
     const rawUsers = SheetService.getDataAsObjects(SHEET_NAMES.DATABASE);
-    users = rawUsers.map(row => {
-      try {
-        if (!row.ID) return null; // Skip rows without an ID
-        
-        const encodedString = row.USER_DATA || '';
-        const decodedString = decodeData(encodedString); // Decode the data first
-        const userData = JSON.parse(decodedString || '{}'); // Parse the decoded JSON
-        return {
-          // Robust normalization: Convert to string, trim whitespace, and remove decimal part.
-          id: String(row.ID).trim().split('.')[0], 
-          name: row.NAME,
-          lastUpdated: row.LAST_UPDATED,
-          ...userData // Spread the parsed user data
-        };
-      } catch (e) {
-        debugLog(`Failed to parse USER_DATA for user ID ${row.ID}: ${e.message}`, 'ERROR');
-        return null;
-      }
-    }).filter(Boolean); // Filter out any nulls from parsing errors or missing IDs
+    users = rawUsers.map(row => this._toUser(row)).filter(Boolean); // Filter out any nulls from parsing errors or missing IDs
     
     AppCache.set(CACHE_KEYS.ALL_MEMBERS, users, CACHE_DURATIONS.SUPPER_LONG);
     return users;
@@ -66,7 +57,7 @@ class DatabaseService {
 
   /**
    * Updates or creates a user's record in the Database sheet.
-   * This now includes encoding the user data before writing.
+   * This now includes encrypting the user data before writing.
    * @param {string|number} userId The ID of the user.
    * @param {object} userData The full user data object to save.
    * @return {boolean} True on success, false on failure.
@@ -84,28 +75,25 @@ class DatabaseService {
       delete dataToStore.name;
       delete dataToStore.lastUpdated;
 
+      // Credentials never go into the sheet. A record read before the split still carries
+      // them, so they are moved to the CredentialStore unless it already has newer ones.
+      const credentials = this._takeCredentials(dataToStore);
+      if (credentials && !CredentialStore.has(userId)) {
+        CredentialStore.save(userId, credentials);
+      }
+
       const userDataStr = JSON.stringify(dataToStore);
-      const encodedUserData = encodeData(userDataStr); // Encode the JSON string
+      const encryptedUserData = DataEncryption.encrypt(userDataStr); // Encrypt the JSON string
 
       const userRecord = {
-        ID: userId,
+        ID: String(userId).trim().split('.')[0], // Normalized, so an existing row is always found
         NAME: fullName,
-        USER_DATA: encodedUserData, // Store the encoded data
+        USER_DATA: encryptedUserData, // Store the encrypted data
         LAST_UPDATED: now
       };
 
-      // Check if user exists to decide between update and append
-      const allUsers = SheetService.getDataAsObjects(SHEET_NAMES.DATABASE);
-      const existingUser = allUsers.find(u => String(u.ID).trim().split('.')[0] === String(userId).trim().split('.')[0]);
-      
-      let result;
-      if (existingUser) {
-        debugLog(`Updating existing user ID: ${userId}`, 'DEBUG');
-        result = SheetService.updateObjectById(SHEET_NAMES.DATABASE, userId, userRecord, 'ID');
-      } else {
-        debugLog(`Appending new user ID: ${userId}`, 'DEBUG');
-        result = SheetService.appendObjects(SHEET_NAMES.DATABASE, [userRecord]);
-      }
+      // Updates the member's row if there is one, appends it otherwise.
+      const result = SheetService.upsertObjects(SHEET_NAMES.DATABASE, [userRecord], 'ID');
       
       if (result.success) {
         // Invalidate member cache after updating
@@ -123,23 +111,155 @@ class DatabaseService {
   }
 
   /**
-   * A convenience method to get a user's access token.
-   * @param {string|number} userId The ID of the user.
-   * @return {string|null} The access token.
+   * Re-encrypts every row that is not encrypted with the current key: rows from before
+   * encryption (the one-time migration) and rows left on an older key version after
+   * `DataEncryption.rotateKey`. The stored credentials are re-encrypted too. Once
+   * everything is on the current key, the older key versions are removed. Rows are
+   * written one at a time, so an interrupted run is simply repeated. The caller must
+   * hold the script lock.
+   * @param {boolean} [dryRun=false] If true, only count the rows that would be re-encrypted.
+   * @return {{reencrypted: number, failed: number, current: number}} How many rows and
+   *     credentials were re-encrypted, could not be, and were already on the current key.
    */
-  static getAccessToken(userId) {
-    const user = this.getUserData(userId);
-    return user ? user.accessToken : null;
+  static reencryptAllUsers(dryRun = false) {
+    const summary = { reencrypted: 0, failed: 0, current: 0 };
+    const rows = SheetService.getDataAsObjects(SHEET_NAMES.DATABASE).filter(row => row.ID);
+    const currentVersion = DataEncryption.getCurrentKeyVersion();
+    const versionsInUse = new Set();
+
+    rows.forEach(row => {
+      const version = DataEncryption.getKeyVersion(row.USER_DATA);
+      if (version !== null && version === currentVersion) {
+        summary.current++;
+        return;
+      }
+      if (dryRun) {
+        summary.reencrypted++;
+        return;
+      }
+
+      try {
+        const userDataStr = this._decodeUserData(row.USER_DATA || '');
+        JSON.parse(userDataStr || '{}'); // Never encrypt a row that does not decode to valid JSON
+        const result = SheetService.updateObjectById(SHEET_NAMES.DATABASE, row.ID, { USER_DATA: DataEncryption.encrypt(userDataStr) }, 'ID');
+        if (!result.success) throw new Error(result.error);
+        summary.reencrypted++;
+      } catch (e) {
+        debugLog(`Could not re-encrypt USER_DATA for user ID ${row.ID}: ${e.message}`, 'ERROR', true);
+        if (version !== null) versionsInUse.add(version);
+        summary.failed++;
+      }
+    });
+
+    const credentialSummary = CredentialStore.reencryptAll(dryRun);
+    summary.reencrypted += credentialSummary.reencrypted;
+    summary.failed += credentialSummary.failed;
+    summary.current += credentialSummary.current;
+    credentialSummary.versionsInUse.forEach(version => versionsInUse.add(version));
+
+    if (!dryRun) {
+      AppCache.remove(CACHE_KEYS.ALL_MEMBERS);
+      const retired = DataEncryption.retireKeys([...versionsInUse]);
+      if (retired.length > 0) {
+        debugLog(`Retired data encryption key versions: ${retired.join(', ')}.`, 'INFO', true);
+      }
+    }
+    return summary;
   }
 
   /**
-   * A convenience method to get a user's refresh token.
-   * @param {string|number} userId The ID of the user.
-   * @return {string|null} The refresh token.
+   * Moves the Strava credentials still stored in USER_DATA to the CredentialStore and
+   * rewrites those rows without them. Credentials already in the store are newer and
+   * are kept. Rows are written one at a time, so an interrupted run is simply repeated.
+   * The caller must hold the script lock.
+   * @param {boolean} [dryRun=false] If true, only count the rows that would be split.
+   * @return {{moved: number, failed: number, clean: number}} How many rows were split,
+   *     could not be, and held no credentials.
    */
-  static getRefreshToken(userId) {
-    const user = this.getUserData(userId);
-    return user ? user.refreshToken : null;
+  static moveCredentialsToStore(dryRun = false) {
+    const summary = { moved: 0, failed: 0, clean: 0 };
+    const rows = SheetService.getDataAsObjects(SHEET_NAMES.DATABASE).filter(row => row.ID);
+
+    rows.forEach(row => {
+      try {
+        const userData = JSON.parse(this._decodeUserData(row.USER_DATA || '') || '{}');
+        if (!CREDENTIAL_STORE.FIELDS.some(field => field in userData)) {
+          summary.clean++;
+          return;
+        }
+        if (dryRun) {
+          summary.moved++;
+          return;
+        }
+
+        const credentials = this._takeCredentials(userData);
+        if (credentials && !CredentialStore.has(row.ID)) {
+          CredentialStore.save(row.ID, credentials);
+        }
+        const result = SheetService.updateObjectById(SHEET_NAMES.DATABASE, row.ID, { USER_DATA: DataEncryption.encrypt(JSON.stringify(userData)) }, 'ID');
+        if (!result.success) throw new Error(result.error);
+        summary.moved++;
+      } catch (e) {
+        debugLog(`Could not move the credentials of user ID ${row.ID}: ${e.message}`, 'ERROR', true);
+        summary.failed++;
+      }
+    });
+
+    if (!dryRun) {
+      AppCache.remove(CACHE_KEYS.ALL_MEMBERS);
+    }
+    return summary;
+  }
+
+  /**
+   * Private helper to remove the credential fields from a member record.
+   * @param {Object} userData The member record. Its credential fields are deleted.
+   * @return {Object|null} The credentials, or null if the record had no refresh token.
+   * @private
+   */
+  static _takeCredentials(userData) {
+    const credentials = {};
+    CREDENTIAL_STORE.FIELDS.forEach(field => {
+      credentials[field] = userData[field];
+      delete userData[field];
+    });
+    return credentials.refreshToken ? credentials : null;
+  }
+
+  /**
+   * Private helper to turn a Database row into a member record, decrypting USER_DATA.
+   * @param {Object|null} row The row as an object.
+   * @return {Object|null} The member record, or null if there is no row, it has no ID or it cannot be read.
+   * @private
+   */
+  static _toUser(row) {
+    try {
+      if (!row || !row.ID) return null; // Skip rows without an ID
+
+      const decodedString = this._decodeUserData(row.USER_DATA || ''); // Decrypt the data first
+      const userData = JSON.parse(decodedString || '{}'); // Parse the decrypted JSON
+      return {
+        // Robust normalization: Convert to string, trim whitespace, and remove decimal part.
+        id: String(row.ID).trim().split('.')[0],
+        name: row.NAME,
+        lastUpdated: row.LAST_UPDATED,
+        ...userData // Spread the parsed user data
+      };
+    } catch (e) {
+      debugLog(`Failed to parse USER_DATA for user ID ${row.ID}: ${e.message}`, 'ERROR');
+      return null;
+    }
+  }
+
+  /**
+   * Private helper to turn a stored USER_DATA value back into its JSON string.
+   * @param {string} storedValue The USER_DATA cell.
+   * @return {string} The JSON string.
+   * @private
+   */
+  static _decodeUserData(storedValue) {
+    // Rows written before encryption keep decoding until reencryptAllUsers migrates them.
+    return DataEncryption.isEncrypted(storedValue) ? DataEncryption.decrypt(storedValue) : decodeData(storedValue);
   }
 
   /**
@@ -168,6 +288,7 @@ class DatabaseService {
     };
 
     // Use the existing updateUserData function to overwrite the record.
+    CredentialStore.remove(userId);
     return this.updateUserData(userId, deauthorizedUserData);
   }
 }
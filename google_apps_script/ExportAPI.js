@@ -7,6 +7,7 @@
  * @param {object} payload - An object containing export options.
  * @param {string} payload.period - The leaderboard period.
  * @param {string} payload.format - The desired format ('csv' or 'html').
+ * @param {string} [payload.board] - The sports board, defaults to the primary board.
  * @return {object} A result object with file content, MIME type, and filename.
  */
 function exportLeaderboard(payload) {
@@ -16,7 +17,7 @@ function exportLeaderboard(payload) {
     }
     
     // Use the new service to generate the export data
-    const fileData = ExportService.generateLeaderboardExport(payload.period, payload.format);
+    const fileData = ExportService.generateLeaderboardExport(payload.period, payload.format, payload.board);
     
     return { success: true, ...fileData };
 
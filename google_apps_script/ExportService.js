@@ -4,6 +4,8 @@
  * v2: Adds detailed activities for each member in the export.
  * v3: Flattens CSV export and adds total time calculation.
  * v4: Adds Rank column to CSV export.
+ * v5: Adds average and best 100m swim pace.
+ * v6: Exports per-sport boards with a score column in the board's unit.
  */
 class ExportService {
 
@@ -12,11 +14,17 @@ class ExportService {
    * Now includes detailed activity lists for each member.
    * @param {string} period - The leaderboard period (e.g., 'this_month').
    * @param {string} format - The desired format ('csv' or 'html').
+   * @param {string} [boardKey] - The sports board, defaults to the primary board.
    * @return {object} An object containing the file content, MIME type, and filename.
    */
-  static generateLeaderboardExport(period, format) {
+  static generateLeaderboardExport(period, format, boardKey) {
+    const board = SportsConfigService.getBoard(boardKey);
+    if (!board) {
+      throw new Error(`Unknown sports board "${boardKey}".`);
+    }
+
     // 1. Fetch the aggregated leaderboard data
-    const leaderboardJSON = getLeaderboardData(period);
+    const leaderboardJSON = getLeaderboardData(period, boardKey);
     const leaderboardResult = JSON.parse(leaderboardJSON);
 
     if (!leaderboardResult.success) {
@@ -44,9 +52,11 @@ class ExportService {
 
     // 3. Fetch ALL activities and filter them for the period (Required for HTML export)
     const allActivities = SheetService.getDataAsObjects(SHEET_NAMES.ACTIVITIES);
+    const enabledProfiles = SportsConfigService.getEnabledProfiles();
     const periodActivities = allActivities.filter(activity => {
       const activityDate = new Date(activity.start_date); 
-      return activityDate >= startDate && activityDate <= endDate;
+      const profile = SportsConfigService.getProfileForActivity(activity, enabledProfiles);
+      return activityDate >= startDate && activityDate <= endDate && profile !== null && profile.board === board.board;
     });
 
     // 4. Group activities by athlete ID (Required for HTML export)
@@ -64,18 +74,19 @@ class ExportService {
     
     // 6. Generate content based on the requested format
     const timestamp = Utilities.formatDate(now, "GMT", "yyyyMMdd_HHmmss");
+    const fileBaseName = boardKey ? `leaderboard_${board.board}_${period}` : `leaderboard_${period}`;
     
     if (format === 'csv') {
       return {
-        content: this._generateCsvContent(leaderboardData), // Pass only leaderboardData
+        content: this._generateCsvContent(leaderboardData, board), // Pass only leaderboardData
         mimeType: 'text/csv',
-        fileName: `leaderboard_${period}_${timestamp}.csv`
+        fileName: `${fileBaseName}_${timestamp}.csv`
       };
     } else if (format === 'html') {
       return {
         content: this._generateHtmlContent(summary, leaderboardData, activitiesByUser, period),
         mimeType: 'text/html',
-        fileName: `leaderboard_${period}_${timestamp}.html`
+        fileName: `${fileBaseName}_${timestamp}.html`
       };
     } else {
       throw new Error("Unsupported export format requested.");
@@ -115,24 +126,45 @@ class ExportService {
       return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
   }
 
+  /**
+   * Private helper to format a pace in seconds per 100m as M:SS.
+   * @param {number|null} secondsPer100m The pace to format.
+   * @return {string} The formatted pace, or an empty string if unknown.
+   * @private
+   */
+  static _formatPace(secondsPer100m) {
+      if (secondsPer100m == null || isNaN(secondsPer100m) || secondsPer100m <= 0) {
+          return "";
+      }
+      const totalSeconds = Math.round(secondsPer100m);
+      const minutes = Math.floor(totalSeconds / 60);
+      const seconds = totalSeconds % 60;
+      return `${minutes}:${String(seconds).padStart(2, '0')}`;
+  }
+
 
   /**
    * Private helper to generate the content for a CSV file.
    * This version creates a flat file with aggregated data per member.
    * @param {Array<Object>} leaderboardData - The aggregated leaderboard data.
+   * @param {Object} board - The sports board the leaderboard was built for.
    * @returns {string} The CSV content as a string.
    */
-  static _generateCsvContent(leaderboardData) {
+  static _generateCsvContent(leaderboardData, board) {
     const toCsvSafe = (val) => `"${String(val == null ? '' : val).replace(/"/g, '""')}"`;
     let csv = [];
     
+    // Only swim boards have paces per 100m.
+    const isSwimBoard = SwimMetricsService.isSwimBoard(board);
     const headers = [
         "Rank", // Added Rank column
         "Member Name",
         "Member ID",
         "Total Activities",
         "Total Distance (km)",
-        "Total Time (HH:MM:SS)"
+        "Total Time (HH:MM:SS)",
+        ...(isSwimBoard ? ["Avg Pace (/100m)", "Best 100m Pace"] : []),
+        `Score (${board.metric}, ${board.unit})`
     ];
     csv.push(headers.join(','));
 
@@ -144,7 +176,9 @@ class ExportService {
         toCsvSafe(member.athlete_id),
         member.activity_count || 0,
         (member.total_distance / 1000).toFixed(2),
-        this._formatSecondsToHms(member.total_moving_time || 0)
+        this._formatSecondsToHms(member.total_moving_time || 0),
+        ...(isSwimBoard ? [this._formatPace(member.average_pace_per_100m), this._formatPace(member.best_pace_per_100m)] : []),
+        (member.score || 0).toFixed(2)
       ];
       csv.push(rowData.join(','));
     });
@@ -190,6 +224,7 @@ class ExportService {
             <div class="summary-stats">
               <span>${(member.total_distance / 1000).toFixed(2)} km</span>
               <small>${member.activity_count || 0} Activities</small>
+              ${member.average_pace_per_100m ? `<small>Avg ${this._formatPace(member.average_pace_per_100m)}/100m${member.best_pace_per_100m ? ` · Best ${this._formatPace(member.best_pace_per_100m)}/100m` : ''}</small>` : ''}
             </div>
           </summary>
           <div class="activity-table-container">
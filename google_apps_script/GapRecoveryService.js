@@ -0,0 +1,307 @@
+/**
+ * @fileoverview This service recovers activities missed while webhooks were down.
+ * `monitorWebhookHealth` opens an outage when events stop arriving, starting at the
+ * last good event. The next inbox run after a real event closes it, and every
+ * authorized athlete is synced for exactly that window. The queue holds one entry per
+ * outage, with the window and the last athlete synced, so it does not grow with the
+ * club. Outages, their progress and the recovered activity IDs are kept in the
+ * "WebhookOutages" sheet.
+ */
+
+class GapRecoveryService {
+
+  /**
+   * Gets the outage that has not ended yet, if any.
+   * @return {{id: string, lastEventAt: string, detectedAt: string}|null} The open outage.
+   */
+  static getOpenOutage() {
+    const outage = PropertiesService.getScriptProperties().getProperty(GAP_RECOVERY.OPEN_OUTAGE_KEY);
+    return outage ? JSON.parse(outage) : null;
+  }
+
+  /**
+   * Records the start of an outage. Does nothing if one is already open.
+   * @param {number} lastEventTime The time of the last good webhook event (milliseconds since epoch).
+   * @return {Object} The open outage.
+   */
+  static openOutage(lastEventTime) {
+    const existingOutage = this.getOpenOutage();
+    if (existingOutage) return existingOutage;
+
+    const outage = {
+      id: Utilities.getUuid(),
+      lastEventAt: new Date(lastEventTime).toISOString(),
+      detectedAt: new Date().toISOString()
+    };
+    SheetService.ensureSheet(SHEET_NAMES.WEBHOOK_OUTAGES, SHEET_HEADERS.WEBHOOK_OUTAGES);
+    SheetService.appendObjects(SHEET_NAMES.WEBHOOK_OUTAGES, [{
+      ID: outage.id,
+      LastEventAt: outage.lastEventAt,
+      DetectedAt: outage.detectedAt,
+      Status: 'open',
+      AthletesQueued: 0,
+      AthletesDone: 0,
+      ActivitiesRecovered: 0,
+      RecoveredActivityIDs: ''
+    }]);
+    PropertiesService.getScriptProperties().setProperty(GAP_RECOVERY.OPEN_OUTAGE_KEY, JSON.stringify(outage));
+    debugLog(`Webhook outage ${outage.id} opened. Last good event at ${outage.lastEventAt}.`, 'ERROR', true);
+    return outage;
+  }
+
+  /**
+   * Ends the open outage once a real event has arrived after it was detected, and
+   * queues the outage window for a sync of every authorized athlete. Called by
+   * `drainWebhookInbox` every minute, so it returns straight away when no outage is
+   * open. The open outage is only forgotten once the queue is saved, so a failed run
+   * leaves it open for the next one. The caller must hold the script lock.
+   * @return {Object|null} The closed outage, or null if none was open or no event has arrived since.
+   */
+  static closeOpenOutage() {
+    const outage = this.getOpenOutage();
+    if (!outage) return null;
+
+    const props = PropertiesService.getScriptProperties();
+    const lastWebhookTime = parseInt(props.getProperty(PROPERTY_KEYS.LAST_WEBHOOK_TIMESTAMP), 10);
+    if (!(lastWebhookTime > new Date(outage.detectedAt).getTime())) return null;
+
+    const recoveredAt = new Date();
+    const after = Math.floor(new Date(outage.lastEventAt).getTime() / 1000) - GAP_RECOVERY.LOOKBACK_PADDING_HOURS * 60 * 60;
+    const before = Math.ceil(recoveredAt.getTime() / 1000);
+    const athleteIds = this._getRecoverableAthleteIds();
+
+    if (athleteIds.length > 0) {
+      const queue = this._readQueue();
+      queue.push({ outageId: outage.id, after: after, before: before, lastAthleteId: '', failures: 0 });
+      props.setProperty(GAP_RECOVERY.QUEUE_KEY, JSON.stringify(queue));
+    }
+
+    SheetService.updateObjectById(SHEET_NAMES.WEBHOOK_OUTAGES, outage.id, {
+      RecoveredAt: recoveredAt.toISOString(),
+      Status: athleteIds.length > 0 ? 'recovering' : 'recovered',
+      AthletesQueued: athleteIds.length,
+      CompletedAt: athleteIds.length > 0 ? '' : recoveredAt.toISOString()
+    }, 'ID');
+    props.deleteProperty(GAP_RECOVERY.OPEN_OUTAGE_KEY);
+
+    if (athleteIds.length > 0) {
+      setupGapRecoveryTrigger();
+    }
+    debugLog(`Webhook outage ${outage.id} ended at ${recoveredAt.toISOString()}. Queued ${athleteIds.length} athletes to recover activities since ${new Date(after * 1000).toISOString()}.`, 'WARNING', true);
+    return { ...outage, recoveredAt: recoveredAt.toISOString() };
+  }
+
+  /**
+   * Works through the recovery queue until it is empty or the time or rate-limit
+   * budget runs out. The athletes of an outage are synced in order of their ID, each
+   * for the full window, and the outage's entry is saved after every athlete, so an
+   * interrupted run resumes with the next one. An athlete whose fetch fails is retried
+   * on the next run, and given up on after `GAP_RECOVERY.MAX_FAILURES` attempts.
+   * The caller must hold the script lock.
+   * @return {{athletes: number, recovered: number, remaining: number}} A summary of the run;
+   *     `remaining` is the number of outages still being recovered.
+   */
+  static processQueue() {
+    const deadline = new Date().getTime() + GAP_RECOVERY.MAX_RUNTIME_MS;
+    const summary = { athletes: 0, recovered: 0, remaining: 0 };
+    const athleteIds = this._getRecoverableAthleteIds();
+
+    while (new Date().getTime() < deadline) {
+      // Re-read on every pass: a purge may have changed the queue since the last save.
+      const entry = this._readQueue()[0];
+      if (!entry) break;
+
+      const userId = athleteIds.find(id => id > entry.lastAthleteId);
+      if (userId === undefined) {
+        this._saveQueueEntry(entry.outageId, null);
+        this._completeOutage(entry.outageId);
+        continue;
+      }
+
+      if (!StravaApiClient.hasBudget(STRAVA_RATE_LIMIT.CALLS_PER_USER_SYNC)) {
+        debugLog('Strava rate-limit budget is low. Pausing gap recovery.', 'WARNING');
+        break;
+      }
+
+      const recoveredIds = this._recoverAthlete({ userId: userId, after: entry.after, before: entry.before });
+      if (recoveredIds === null && entry.failures + 1 < GAP_RECOVERY.MAX_FAILURES) {
+        this._saveQueueEntry(entry.outageId, { failures: entry.failures + 1 });
+        break; // Strava is likely failing for everyone; retry this athlete on the next run.
+      }
+
+      this._saveQueueEntry(entry.outageId, { lastAthleteId: userId, failures: 0 });
+      this._recordAthleteDone(entry.outageId, recoveredIds || []);
+      summary.athletes++;
+      summary.recovered += (recoveredIds || []).length;
+    }
+
+    if (summary.recovered > 0) {
+      AppCache.invalidateActivityCaches();
+    }
+    summary.remaining = this._readQueue().length;
+    return summary;
+  }
+
+  /**
+   * Reports an outage and the activities recovered for it.
+   * @param {string} [outageId] The outage ID. Defaults to the most recent outage.
+   * @return {Object|null} The outage row with a `recoveredActivities` list, or null if there is none.
+   */
+  static getReport(outageId) {
+    let outages = [];
+    try {
+      outages = SheetService.getDataAsObjects(SHEET_NAMES.WEBHOOK_OUTAGES);
+    } catch (e) {
+      return null; // The sheet is created with the first outage.
+    }
+
+    const outage = outageId
+      ? outages.find(row => row.ID === outageId)
+      : outages.sort((a, b) => new Date(b.DetectedAt).getTime() - new Date(a.DetectedAt).getTime())[0];
+    if (!outage) return null;
+
+    const recoveredIds = new Set(this._toIdList(outage.RecoveredActivityIDs));
+    const recoveredActivities = recoveredIds.size === 0 ? [] : SheetService.getDataAsObjects(SHEET_NAMES.ACTIVITIES)
+      .filter(activity => recoveredIds.has(String(activity.id)))
+      .map(activity => ({ id: activity.id, athlete_id: activity.athlete_id, name: activity.name, sport_type: activity.sport_type, start_date: activity.start_date }));
+
+    return { ...outage, recoveredActivities: recoveredActivities };
+  }
+
+  /**
+   * Removes a purged athlete's activity IDs from the outage reports. The queue needs no
+   * change: it holds no athlete IDs, and a purged athlete is no longer a member to sync.
+   * @param {string} athleteId The normalized athlete ID.
+   * @param {Array<string>} activityIds The IDs of the athlete's activities.
+   * @return {{success: boolean, count: number, error?: string}} The number of outage rows changed.
+   */
+  static forgetAthlete(athleteId, activityIds) {
+    const purgedIds = new Set(activityIds.map(String));
+    return SheetService.updateRowsWhere(
+      SHEET_NAMES.WEBHOOK_OUTAGES,
+      row => this._toIdList(row.RecoveredActivityIDs).some(id => purgedIds.has(id)),
+      row => ({ RecoveredActivityIDs: this._toIdList(row.RecoveredActivityIDs).filter(id => !purgedIds.has(id)).join(', ') })
+    );
+  }
+
+  /**
+   * Private helper to list the athletes a recovery syncs: the authorized members, by
+   * ascending ID so a queue entry can resume after the last one synced.
+   * @return {Array<string>} The athlete IDs, sorted.
+   * @private
+   */
+  static _getRecoverableAthleteIds() {
+    const connectedIds = new Set(CredentialStore.getAthleteIds());
+    return DatabaseService.getAllUsers()
+      .filter(user => connectedIds.has(user.id) && !user.reauthorizationRequired)
+      .map(user => String(user.id))
+      .sort();
+  }
+
+  /**
+   * Private helper to read the recovery queue.
+   * @return {Array<{outageId: string, after: number, before: number, lastAthleteId: string, failures: number}>} One entry per outage.
+   * @private
+   */
+  static _readQueue() {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(GAP_RECOVERY.QUEUE_KEY) || '[]');
+  }
+
+  /**
+   * Private helper to update or remove an outage's queue entry, on a fresh read of the
+   * queue so entries changed since the caller read it are kept.
+   * @param {string} outageId The outage ID.
+   * @param {Object|null} changes The fields to update, or null to remove the entry.
+   * @private
+   */
+  static _saveQueueEntry(outageId, changes) {
+    const queue = this._readQueue()
+      .map(entry => entry.outageId === outageId && changes ? { ...entry, ...changes } : entry)
+      .filter(entry => entry.outageId !== outageId || changes);
+    PropertiesService.getScriptProperties().setProperty(GAP_RECOVERY.QUEUE_KEY, JSON.stringify(queue));
+  }
+
+  /**
+   * Private helper to sync one athlete's activities for an outage window.
+   * @param {{userId: string, after: number, before: number}} entry The athlete and the window, in epoch seconds.
+   * @return {Array<string>|null} The IDs of the activities added, or null if the fetch failed.
+   * @private
+   */
+  static _recoverAthlete(entry) {
+    const user = DatabaseService.getUserData(entry.userId);
+    if (!user || user.reauthorizationRequired) {
+      debugLog(`Skipping gap recovery for user ${entry.userId}: not found or must reconnect.`, 'WARNING');
+      return [];
+    }
+
+    const activities = StravaService.getAthleteActivities(entry.userId, entry.after, entry.before);
+    if (!activities) {
+      debugLog(`Gap recovery fetch failed for user ${entry.userId}.`, 'WARNING', true);
+      return null;
+    }
+
+    let withdrawn = false;
+    const activitiesToAdd = [];
+    for (const activity of activities) {
+      if (ActivityVisibilityService.applyVisibility(activity, 'recovery')) {
+        withdrawn = true;
+      } else {
+        activitiesToAdd.push(activity);
+      }
+    }
+    const recoveredIds = addActivitiesToSheet(activitiesToAdd, 'recovery');
+
+    if (withdrawn) {
+      ActivityVisibilityService.recomputeAfterChange([entry.userId]);
+    } else if (recoveredIds.length > 0) {
+      ChallengeService.updateUserChallengeProgress(entry.userId);
+    }
+    return recoveredIds;
+  }
+
+  /**
+   * Private helper to count an athlete as done on the outage row.
+   * @param {string} outageId The outage ID.
+   * @param {Array<string>} recoveredIds The activities recovered for the athlete.
+   * @private
+   */
+  static _recordAthleteDone(outageId, recoveredIds) {
+    const outage = SheetService.getObjectById(SHEET_NAMES.WEBHOOK_OUTAGES, outageId, 'ID');
+    if (!outage) return;
+
+    const allRecoveredIds = this._toIdList(outage.RecoveredActivityIDs).concat(recoveredIds);
+    SheetService.updateObjectById(SHEET_NAMES.WEBHOOK_OUTAGES, outageId, {
+      AthletesDone: Number(outage.AthletesDone) + 1,
+      ActivitiesRecovered: allRecoveredIds.length,
+      RecoveredActivityIDs: allRecoveredIds.join(', ')
+    }, 'ID');
+  }
+
+  /**
+   * Private helper to mark an outage as recovered once its last athlete is done, and
+   * to log its report.
+   * @param {string} outageId The outage ID.
+   * @private
+   */
+  static _completeOutage(outageId) {
+    const outage = SheetService.getObjectById(SHEET_NAMES.WEBHOOK_OUTAGES, outageId, 'ID');
+    if (!outage) return;
+
+    SheetService.updateObjectById(SHEET_NAMES.WEBHOOK_OUTAGES, outageId, {
+      Status: 'recovered',
+      CompletedAt: new Date().toISOString()
+    }, 'ID');
+
+    const allRecoveredIds = this._toIdList(outage.RecoveredActivityIDs);
+    debugLog(`Gap recovery for outage ${outageId} (${outage.LastEventAt} to ${outage.RecoveredAt}) finished. Recovered ${allRecoveredIds.length} activities: ${allRecoveredIds.join(', ') || 'none'}.`, 'INFO', true);
+  }
+
+  /**
+   * @param {*} value A comma-separated list of IDs from the outage row.
+   * @return {Array<string>} The IDs.
+   * @private
+   */
+  static _toIdList(value) {
+    return String(value || '').split(',').map(id => id.trim()).filter(Boolean);
+  }
+}
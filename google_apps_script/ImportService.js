@@ -58,15 +58,16 @@ class ImportService {
                 return null;
             }
             
-            const details = {
+            // The page only exposes the sport type, so derive the legacy type and category from it.
+            const details = ActivityTypeService.normalize({
               athlete_id: activity.athlete?.id,
               id: activity.id,
               name: activity.name,
-              type: activity.activityKind?.sportType,
+              sport_type: activity.activityKind?.sportType,
               distance: activity.scalars?.distance,
               moving_time: activity.scalars?.movingTime,
               start_date: activity.startLocal,
-            };
+            });
             
             debugLog(`_parseActivityPage: Parsed activity: ${JSON.stringify(details)}`, 'DEBUG');
             return details;
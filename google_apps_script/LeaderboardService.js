@@ -7,15 +7,22 @@
 class LeaderboardService {
 
   /**
-   * Fetches swim activities from the appropriate sheet and processes them into a leaderboard.
+   * Fetches activities from the appropriate sheet and processes them into a leaderboard.
    * For 'this_month' and 'last_month', it uses pre-filtered sheets for performance.
    * For other periods (like 'challenge'), it filters the main activity sheet.
+   * Only activities of the requested board's sports are counted, scored by the board's metric.
    * @param {Date} startDate The start date for the period.
    * @param {Date} endDate The end date for the period.
    * @param {string} period The name of the period ('this_month', 'last_month', etc.).
+   * @param {string} [boardKey] The sports board (see SportsConfigService). Defaults to the primary board.
    * @return {Array<Object>} A sorted array of athlete summaries (the leaderboard).
    */
-  static getLeaderboardForPeriod(startDate, endDate, period) {
+  static getLeaderboardForPeriod(startDate, endDate, period, boardKey) {
+    const board = SportsConfigService.getBoard(boardKey);
+    if (!board) {
+      throw new Error(`Unknown sports board "${boardKey}".`);
+    }
+
     let activitiesToProcess;
     let sheetToRead;
 
@@ -37,9 +44,9 @@ class LeaderboardService {
         debugLog(`Fetching all activities from ${sheetToRead} and filtering for the period.`, "INFO");
         const allActivities = SheetService.getDataAsObjects(sheetToRead);
         
-        // Filter for swims within the date range
+        // Filter for activities within the date range
         activitiesToProcess = allActivities.filter(activity => {
-          if (activity.type !== STRAVA_SETTINGS.ACTIVITY_TYPE_TO_SYNC || !activity.start_date) {
+          if (!activity.start_date) {
             return false;
           }
           const activityDate = new Date(activity.start_date);
@@ -47,8 +54,15 @@ class LeaderboardService {
         });
     }
 
-    // 2. Process the list of activities into a leaderboard summary.
-    return this._processActivities(activitiesToProcess);
+    // 2. Keep only the activities that count towards this board.
+    const enabledProfiles = SportsConfigService.getEnabledProfiles();
+    activitiesToProcess = activitiesToProcess.filter(activity => {
+      const profile = SportsConfigService.getProfileForActivity(activity, enabledProfiles);
+      return profile !== null && profile.board === board.board;
+    });
+
+    // 3. Process the list of activities into a leaderboard summary.
+    return this._processActivities(activitiesToProcess, board);
   }
 
   /**
@@ -74,7 +88,7 @@ class LeaderboardService {
 
         return {
           athlete_id: athleteId,
-          athlete_name: memberInfo ? memberInfo.name : 'Unknown Athlete',
+          athlete_name: memberInfo ? memberInfo.name : (MemberPurgeService.isFormerMember(athleteId) ? MEMBER_PURGE.ANONYMIZED_NAME : 'Unknown Athlete'),
           profile: memberInfo ? memberInfo.profile : 'https://www.gravatar.com/avatar/?d=mp', 
           total_distance: parseFloat(row['Total Distance (m)']) || 0 
         };
@@ -91,16 +105,21 @@ class LeaderboardService {
 
   /**
    * Private helper to process a list of activities into a sorted leaderboard.
+   * Athletes are ranked by their `score`, the board's metric total in its display unit.
    * @param {Array<Object>} activities An array of activity objects.
+   * @param {Object} [board] The sports board, defaults to the primary board.
    * @return {Array<Object>} A sorted array of athlete summaries.
    */
-  static _processActivities(activities) {
+  static _processActivities(activities, board = SportsConfigService.getBoard()) {
     if (!activities || activities.length === 0) {
       return [];
     }
     
     const athleteSummaries = {};
     const allMembers = DatabaseService.getAllUsers(); 
+    // Paces per 100m only make sense for swims, so other boards leave them empty.
+    const isSwimBoard = SwimMetricsService.isSwimBoard(board);
+    const swimMetrics = isSwimBoard ? SwimMetricsService.getMetricsByActivityId() : new Map();
 
     activities.forEach(activity => {
       if (!activity.athlete_id) return; 
@@ -112,27 +131,49 @@ class LeaderboardService {
       if (!athleteSummaries[athleteId]) {
         const memberInfo = allMembers.find(m => m.id === athleteId);
         
-        if (!memberInfo) {
+        const isFormerMember = MemberPurgeService.isFormerMember(athleteId);
+        if (!memberInfo && !isFormerMember) {
           debugLog(`Lookup FAILED: Could not find member with normalized ID [${athleteId}]`, 'WARNING');
         }
 
         athleteSummaries[athleteId] = {
           athlete_id: athleteId,
-          athlete_name: memberInfo ? memberInfo.name : 'Unknown Athlete',
+          athlete_name: memberInfo ? memberInfo.name : (isFormerMember ? MEMBER_PURGE.ANONYMIZED_NAME : 'Unknown Athlete'),
           profile: memberInfo ? memberInfo.profile : null,
           total_distance: 0,
           activity_count: 0,
           total_moving_time: 0, // Initialize total time
+          average_pace_per_100m: null, // Seconds per 100m
+          best_pace_per_100m: null, // Fastest 100m over consecutive laps, from SwimMetrics
+          board: board ? board.board : null,
+          metric: board ? board.metric : 'distance',
+          unit: board ? board.unit : 'km',
+          metric_total: 0, // Raw total of the board's metric (meters, seconds or a count)
+          score: 0
         };
       }
 
-      athleteSummaries[athleteId].total_distance += distance;
-      athleteSummaries[athleteId].activity_count += 1;
-      athleteSummaries[athleteId].total_moving_time += movingTime; // Add to total time
+      const summary = athleteSummaries[athleteId];
+      summary.metric_total += SportsConfigService.getMetricValue(activity, summary.metric);
+      summary.total_distance += distance;
+      summary.activity_count += 1;
+      summary.total_moving_time += movingTime; // Add to total time
+
+      const metrics = swimMetrics.get(String(activity.id));
+      const bestPace = metrics ? parseFloat(metrics.best_100m_pace) : NaN;
+      if (!isNaN(bestPace) && (summary.best_pace_per_100m === null || bestPace < summary.best_pace_per_100m)) {
+        summary.best_pace_per_100m = bestPace;
+      }
     });
 
     const leaderboardArray = Object.values(athleteSummaries);
-    leaderboardArray.sort((a, b) => b.total_distance - a.total_distance);
+    leaderboardArray.forEach(summary => {
+      if (isSwimBoard && summary.total_distance > 0 && summary.total_moving_time > 0) {
+        summary.average_pace_per_100m = Math.round(summary.total_moving_time / summary.total_distance * 1000) / 10;
+      }
+      summary.score = SportsConfigService.convertToUnit(summary.metric_total, summary.metric, summary.unit);
+    });
+    leaderboardArray.sort((a, b) => b.score - a.score);
 
     return leaderboardArray;
   }
@@ -78,6 +78,7 @@ function callApi(functionName, payload) {
     'getAllMembersData': getAllMembersData,
     'getLeaderboardData': getLeaderboardData,
     'getTopThreeThisMonth': getTopThreeThisMonth,
+    'getSportsBoards': getSportsBoards,
     // Activity APIs
     'getRecentActivities': getRecentActivities,
     'exportLeaderboard': exportLeaderboard,
@@ -93,6 +94,12 @@ function callApi(functionName, payload) {
     'getActiveChallenges': getActiveChallenges,
     'getChallengeDetails': getChallengeDetails,
     'joinChallenge': joinChallenge,
+    // Admin APIs (require the admin token)
+    'listWebhookEvents': listWebhookEvents,
+    'replayWebhookEvent': replayWebhookEvent,
+    'replayWebhookEvents': replayWebhookEvents,
+    'getWebhookOutageReport': getWebhookOutageReport,
+    'getWebhookStatus': getWebhookStatus,
   };
 
   if (allowedFunctions[functionName]) {
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview This service removes a member's data when they deauthorize the app,
+ * as Strava's API terms require. Depending on the DEAUTH_PURGE_POLICY script property,
+ * the member's rows are deleted from every sheet or anonymized so that club totals
+ * are kept under a "Former member". Their webhook journal rows and the gap recovery
+ * records that name them are removed either way. Each purge leaves a receipt in the
+ * AuditLog sheet.
+ */
+
+class MemberPurgeService {
+
+  /**
+   * Gets the configured purge policy, falling back to MEMBER_PURGE.DEFAULT_POLICY.
+   * @return {string} 'delete' or 'anonymize'.
+   */
+  static getPolicy() {
+    const policy = String(PropertiesService.getScriptProperties().getProperty(MEMBER_PURGE.POLICY_PROPERTY) || '').trim().toLowerCase();
+    return MEMBER_PURGE.POLICIES.includes(policy) ? policy : MEMBER_PURGE.DEFAULT_POLICY;
+  }
+
+  /**
+   * Checks whether an athlete ID belongs to an anonymized former member.
+   * @param {string|number} athleteId The athlete ID.
+   * @return {boolean} True for anonymized IDs.
+   */
+  static isFormerMember(athleteId) {
+    return String(athleteId).startsWith(MEMBER_PURGE.ANONYMIZED_ID_PREFIX);
+  }
+
+  /**
+   * Purges a member's data from every sheet, recomputes challenges and caches,
+   * and writes a receipt to the AuditLog sheet.
+   * @param {string|number} userId The member's Strava ID.
+   * @param {string} [reason='deauthorization'] Why the member is being purged.
+   * @param {string} [policy] 'delete' or 'anonymize'. Defaults to the configured policy.
+   * @return {{policy: string, counts: Object<string, number>, errors: Array<string>}} The purge receipt.
+   */
+  static purgeMember(userId, reason = 'deauthorization', policy = this.getPolicy()) {
+    const athleteId = String(userId).trim().split('.')[0];
+    const isMember = row => String(row.athlete_id).trim().split('.')[0] === athleteId;
+    const activityIds = SheetService.getDataAsObjects(SHEET_NAMES.ACTIVITIES).filter(isMember).map(activity => String(activity.id));
+    const challengeIds = SheetService.getDataAsObjects(SHEET_NAMES.CHALLENGE_PARTICIPANTS)
+      .filter(p => String(p.UserID) === athleteId)
+      .map(p => p.ChallengeID);
+
+    debugLog(`Purging data for user ${athleteId} (policy: ${policy}, reason: ${reason}).`, 'WARNING', true);
+
+    const results = policy === 'anonymize'
+      ? this._anonymizeRows(athleteId, activityIds)
+      : this._deleteRows(athleteId);
+
+    // The member record, credentials, webhook journal and recovery records are personal
+    // or operational data, so they are always deleted.
+    results[SHEET_NAMES.DATABASE] = SheetService.deleteRowsWhere(SHEET_NAMES.DATABASE, row => String(row.ID).trim().split('.')[0] === athleteId);
+    results[SHEET_NAMES.WEBHOOK_EVENTS] = SheetService.deleteRowsWhere(SHEET_NAMES.WEBHOOK_EVENTS, row => String(row.OwnerID).trim().split('.')[0] === athleteId);
+    results[SHEET_NAMES.WEBHOOK_OUTAGES] = GapRecoveryService.forgetAthlete(athleteId, activityIds);
+    CredentialStore.remove(athleteId);
+    this._removeFromQueues(athleteId);
+
+    ChallengeService.updateCommunityChallengeProgress();
+    AppCache.invalidateActivityCaches();
+    AppCache.removeAll([
+      CACHE_KEYS.ALL_MEMBERS,
+      CACHE_KEYS.ALL_EVENTS,
+      CACHE_KEYS.ALL_CHALLENGES,
+      ...challengeIds.map(id => `${CACHE_KEYS.CHALLENGE_DETAILS_PREFIX}${id}`)
+    ]);
+
+    const receipt = { policy: policy, counts: {}, errors: [] };
+    Object.keys(results).forEach(sheetName => {
+      receipt.counts[sheetName] = results[sheetName].count;
+      if (!results[sheetName].success) receipt.errors.push(`${sheetName}: ${results[sheetName].error}`);
+    });
+
+    this._writeReceipt(athleteId, reason, receipt);
+    debugLog(`Purge for user ${athleteId} finished: ${JSON.stringify(receipt.counts)}`, receipt.errors.length > 0 ? 'ERROR' : 'INFO', true);
+    return receipt;
+  }
+
+  /**
+   * Private helper to delete the member's rows from every sheet holding their data.
+   * @param {string} athleteId The normalized athlete ID.
+   * @return {Object<string, {success: boolean, count: number}>} The results by sheet name.
+   * @private
+   */
+  static _deleteRows(athleteId) {
+    const isMember = row => String(row.athlete_id).trim().split('.')[0] === athleteId;
+    return {
+      [SHEET_NAMES.ACTIVITIES]: SheetService.deleteRowsWhere(SHEET_NAMES.ACTIVITIES, isMember),
+      [SHEET_NAMES.SWIM_METRICS]: SheetService.deleteRowsWhere(SHEET_NAMES.SWIM_METRICS, isMember),
+      [SHEET_NAMES.HIDDEN_ACTIVITIES]: SheetService.deleteRowsWhere(SHEET_NAMES.HIDDEN_ACTIVITIES, isMember),
+      [SHEET_NAMES.CHALLENGE_PARTICIPANTS]: SheetService.deleteRowsWhere(SHEET_NAMES.CHALLENGE_PARTICIPANTS, row => String(row.UserID) === athleteId),
+      [SHEET_NAMES.REGISTRATIONS]: SheetService.deleteRowsWhere(SHEET_NAMES.REGISTRATIONS, row => this._isMemberRegistration(row, athleteId))
+    };
+  }
+
+  /**
+   * Private helper to move the member's rows to a random "former-" ID and strip
+   * everything that identifies them (activity titles and IDs, names, links and notes).
+   * Strava activity IDs lead back to the member's profile, so each one is replaced by a
+   * random ID, the same in Activities and SwimMetrics so their metrics stay joined.
+   * @param {string} athleteId The normalized athlete ID.
+   * @param {Array<string>} activityIds The IDs of the member's activities.
+   * @return {Object<string, {success: boolean, count: number}>} The results by sheet name.
+   * @private
+   */
+  static _anonymizeRows(athleteId, activityIds) {
+    const anonymousId = `${MEMBER_PURGE.ANONYMIZED_ID_PREFIX}${Utilities.getUuid().split('-')[0]}`;
+    const anonymousActivityIds = new Map(activityIds.map(id => [id, `${MEMBER_PURGE.ANONYMIZED_ID_PREFIX}${Utilities.getUuid()}`]));
+    const toAnonymousActivityId = id => anonymousActivityIds.get(String(id)) || `${MEMBER_PURGE.ANONYMIZED_ID_PREFIX}${Utilities.getUuid()}`;
+    const isMember = row => String(row.athlete_id).trim().split('.')[0] === athleteId;
+    return {
+      [SHEET_NAMES.ACTIVITIES]: SheetService.updateRowsWhere(SHEET_NAMES.ACTIVITIES, isMember, row => ({ id: toAnonymousActivityId(row.id), athlete_id: anonymousId, name: '' })),
+      [SHEET_NAMES.SWIM_METRICS]: SheetService.updateRowsWhere(SHEET_NAMES.SWIM_METRICS, isMember, row => ({ activity_id: toAnonymousActivityId(row.activity_id), athlete_id: anonymousId })),
+      // Hidden activities were private, so they are never kept.
+      [SHEET_NAMES.HIDDEN_ACTIVITIES]: SheetService.deleteRowsWhere(SHEET_NAMES.HIDDEN_ACTIVITIES, isMember),
+      [SHEET_NAMES.CHALLENGE_PARTICIPANTS]: SheetService.updateRowsWhere(SHEET_NAMES.CHALLENGE_PARTICIPANTS, row => String(row.UserID) === athleteId, () => ({ UserID: anonymousId })),
+      [SHEET_NAMES.REGISTRATIONS]: SheetService.updateRowsWhere(
+        SHEET_NAMES.REGISTRATIONS,
+        row => this._isMemberRegistration(row, athleteId),
+        () => ({ Name: MEMBER_PURGE.ANONYMIZED_NAME, Notes: '', StravaLink: '', AthleteID: anonymousId })
+      )
+    };
+  }
+
+  /**
+   * Registrations made while signed in with Strava carry the member's athlete ID.
+   * Names are typed in by hand and can be shared, so they are never matched.
+   * @param {Object} row A Registrations row.
+   * @param {string} athleteId The normalized athlete ID.
+   * @return {boolean} True if the member made the registration.
+   * @private
+   */
+  static _isMemberRegistration(row, athleteId) {
+    return String(row.AthleteID || '').trim().split('.')[0] === athleteId;
+  }
+
+  /**
+   * Private helper to drop the member from the sync and backfill queues.
+   * @param {string} athleteId The normalized athlete ID.
+   * @private
+   */
+  static _removeFromQueues(athleteId) {
+    const props = PropertiesService.getScriptProperties();
+    [ACTIVITY_QUEUE.QUEUE_KEY, ACTIVITY_BACKFILL.QUEUE_KEY].forEach(queueKey => {
+      const queue = JSON.parse(props.getProperty(queueKey) || '[]');
+      const remaining = queue.filter(id => String(id) !== athleteId);
+      if (remaining.length !== queue.length) {
+        props.setProperty(queueKey, JSON.stringify(remaining));
+      }
+    });
+    props.deleteProperty(ACTIVITY_BACKFILL.CURSOR_KEY_PREFIX + athleteId);
+  }
+
+  /**
+   * Private helper to append the deletion receipt to the AuditLog sheet.
+   * The receipt holds counts only, never the purged data.
+   * @param {string} athleteId The normalized athlete ID.
+   * @param {string} reason Why the member was purged.
+   * @param {Object} receipt The purge receipt.
+   * @private
+   */
+  static _writeReceipt(athleteId, reason, receipt) {
+    SheetService.ensureSheet(SHEET_NAMES.AUDIT_LOG, SHEET_HEADERS.AUDIT_LOG);
+    SheetService.appendObjects(SHEET_NAMES.AUDIT_LOG, [{
+      timestamp: new Date().toISOString(),
+      action: `member_purge:${reason}`,
+      subject_id: athleteId,
+      policy: receipt.policy,
+      details: JSON.stringify({ counts: receipt.counts, errors: receipt.errors })
+    }]);
+  }
+}
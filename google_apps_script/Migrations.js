@@ -0,0 +1,248 @@
+/**
+ * @fileoverview This module applies versioned schema migrations: header additions,
+ * data backfills and format changes that an existing spreadsheet needs after an
+ * upgrade. Each migration has a number, and the SchemaVersion record in script
+ * properties holds the number of the last one applied, so every migration runs once
+ * per installation, in order.
+ *
+ * To ship a change that needs one, add an entry at the end of `MigrationService.MIGRATIONS`
+ * with the next number. A migration receives `dryRun` and returns a summary of what it
+ * changed (or would change); it must be safe to run again, because a run interrupted
+ * mid-step is repeated from that step. After each deploy, run `previewSchemaMigrations()`
+ * and then `runSchemaMigrations()` from the editor (see AdminAPI.js).
+ */
+
+class MigrationService {
+
+  /**
+   * @return {number} The number of the last migration applied, or 0 if none was.
+   */
+  static getSchemaVersion() {
+    const record = this.getSchemaRecord();
+    return record ? record.version : 0;
+  }
+
+  /**
+   * @return {{version: number, updatedAt: string, history: Array<Object>}|null} The SchemaVersion
+   *     record, with the name and time of every migration applied, or null if none was.
+   */
+  static getSchemaRecord() {
+    const stored = PropertiesService.getScriptProperties().getProperty(SCHEMA_MIGRATIONS.VERSION_PROPERTY);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  /**
+   * @return {Array<{version: number, name: string}>} The migrations not applied yet, in order.
+   */
+  static getPendingMigrations() {
+    this._checkRegistry();
+    const currentVersion = this.getSchemaVersion();
+    return this.MIGRATIONS.filter(migration => migration.version > currentVersion);
+  }
+
+  /**
+   * Applies every pending migration in order and records each one as soon as it
+   * succeeds. The first failure stops the run, so later migrations never run on data
+   * an earlier one left half-migrated. The caller must hold the script lock.
+   * @param {boolean} [dryRun=false] If true, only report what each migration would change.
+   *     A dry run cannot see the changes of earlier pending migrations.
+   * @return {{fromVersion: number, toVersion: number, applied: Array<Object>, failed: Object|null}}
+   *     The versions before and after, each migration's summary, and the failed migration with its error.
+   */
+  static applyPending(dryRun = false) {
+    const fromVersion = this.getSchemaVersion();
+    const result = { fromVersion: fromVersion, toVersion: fromVersion, applied: [], failed: null };
+
+    for (const migration of this.getPendingMigrations()) {
+      let summary;
+      try {
+        summary = migration.run(dryRun) || {};
+        if (summary.failed > 0) {
+          throw new Error(`${summary.failed} item(s) could not be migrated.`);
+        }
+      } catch (e) {
+        debugLog(`Migration ${migration.version} (${migration.name}) failed: ${e.message}`, 'ERROR', true);
+        result.failed = { version: migration.version, name: migration.name, error: e.message };
+        break;
+      }
+
+      if (!dryRun) {
+        this._recordApplied(migration);
+        result.toVersion = migration.version;
+      }
+      result.applied.push({ version: migration.version, name: migration.name, summary: summary });
+      debugLog(`Migration ${migration.version} (${migration.name}) ${dryRun ? 'would change' : 'applied'}: ${JSON.stringify(summary)}`, 'INFO', true);
+    }
+    return result;
+  }
+
+  /**
+   * Private helper to advance the SchemaVersion record past a migration.
+   * @param {{version: number, name: string}} migration The migration just applied.
+   * @private
+   */
+  static _recordApplied(migration) {
+    const now = new Date().toISOString();
+    const record = this.getSchemaRecord() || { version: 0, updatedAt: null, history: [] };
+    record.version = migration.version;
+    record.updatedAt = now;
+    record.history.push({ version: migration.version, name: migration.name, appliedAt: now });
+    PropertiesService.getScriptProperties().setProperty(SCHEMA_MIGRATIONS.VERSION_PROPERTY, JSON.stringify(record));
+  }
+
+  /**
+   * Private helper to make sure the migrations are numbered 1, 2, 3... in order, so a
+   * merge mistake can never skip or reorder one.
+   * @throws {Error} If the numbering is wrong.
+   * @private
+   */
+  static _checkRegistry() {
+    this.MIGRATIONS.forEach((migration, index) => {
+      if (migration.version !== index + 1) {
+        throw new Error(`Migration "${migration.name}" has number ${migration.version}, expected ${index + 1}.`);
+      }
+    });
+  }
+
+  /**
+   * Private migration step: stores the Activities start dates that the sheet turned
+   * into Date cells as ISO 8601 UTC strings, the format every other row uses.
+   * @param {boolean} dryRun If true, only count the dates.
+   * @return {{converted: number}}
+   * @private
+   */
+  static _convertStartDatesToIso(dryRun) {
+    const isDateCell = row => row.start_date instanceof Date;
+    if (dryRun) {
+      return { converted: SheetService.getDataAsObjects(SHEET_NAMES.ACTIVITIES).filter(isDateCell).length };
+    }
+
+    const result = SheetService.updateRowsWhere(SHEET_NAMES.ACTIVITIES, isDateCell, row => ({ start_date: row.start_date.toISOString() }));
+    if (!result.success) throw new Error(result.error);
+    if (result.count > 0) AppCache.invalidateActivityCaches();
+    return { converted: result.count };
+  }
+
+  /**
+   * Private migration step: adds the `sport_type` and `category` columns to the
+   * Activities sheet and normalizes every existing row, including rows imported from
+   * activity pages that stored the sport type in the `type` column.
+   * @param {boolean} dryRun If true, only count the rows that would change.
+   * @return {{normalized: number}}
+   * @private
+   */
+  static _normalizeActivityTypes(dryRun) {
+    const needsUpdate = row => {
+      const normalized = ActivityTypeService.normalize({ type: row.type, sport_type: row.sport_type });
+      return row.type !== normalized.type || row.sport_type !== normalized.sport_type || row.category !== normalized.category;
+    };
+    if (dryRun) {
+      return { normalized: SheetService.getDataAsObjects(SHEET_NAMES.ACTIVITIES).filter(needsUpdate).length };
+    }
+
+    const headers = SheetService.ensureColumns(SHEET_NAMES.ACTIVITIES, ['sport_type', 'category']);
+    if (!headers.includes('type')) {
+      throw new Error("A 'type' column is required in the Activities sheet.");
+    }
+
+    const result = SheetService.updateRowsWhere(SHEET_NAMES.ACTIVITIES, needsUpdate, row => {
+      const normalized = ActivityTypeService.normalize({ type: row.type, sport_type: row.sport_type });
+      return { type: normalized.type, sport_type: normalized.sport_type, category: normalized.category };
+    });
+    if (!result.success) throw new Error(result.error);
+    if (result.count > 0) AppCache.invalidateActivityCaches();
+    return { normalized: result.count };
+  }
+
+  /**
+   * Private migration step: adds the `AthleteID` column to the Registrations sheet, so
+   * the registrations of a purged member can be found by athlete rather than by name.
+   * Registrations made before it have no athlete ID.
+   * @param {boolean} dryRun If true, only report whether the column is missing.
+   * @return {{added: number}}
+   * @private
+   */
+  static _addRegistrationAthleteIds(dryRun) {
+    const headers = SheetService.getBackend(SHEET_NAMES.REGISTRATIONS).readHeaders(SHEET_NAMES.REGISTRATIONS);
+    if (!headers || headers.map(h => String(h).trim()).includes('AthleteID')) {
+      return { added: 0 };
+    }
+    if (!dryRun) SheetService.ensureColumns(SHEET_NAMES.REGISTRATIONS, ['AthleteID']);
+    return { added: 1 };
+  }
+}
+
+// Initialize the static property on the class. This is the correct way for Apps Script V8.
+// Append new migrations at the end; never renumber, edit or remove one that has shipped.
+// Migrations must not delete data: deletions stay editor-run steps with a dry run,
+// such as `manualCleanDisallowedActivities`.
+MigrationService.MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Store Activities start dates as ISO 8601 strings',
+    run: dryRun => MigrationService._convertStartDatesToIso(dryRun)
+  },
+  {
+    version: 2,
+    name: 'Add sport_type and category to Activities',
+    run: dryRun => MigrationService._normalizeActivityTypes(dryRun)
+  },
+  {
+    version: 3,
+    name: 'Encrypt member data with the current key',
+    run: dryRun => DatabaseService.reencryptAllUsers(dryRun)
+  },
+  {
+    version: 4,
+    name: 'Move Strava credentials out of member records',
+    run: dryRun => DatabaseService.moveCredentialsToStore(dryRun)
+  },
+  {
+    version: 5,
+    name: 'Add AthleteID to Registrations',
+    run: dryRun => MigrationService._addRegistrationAthleteIds(dryRun)
+  }
+];
+
+/**
+ * Applies every pending schema migration; it does nothing when the schema is up to
+ * date. Private, so the web app cannot call it; run the `runSchemaMigrations` admin
+ * API from the editor after each deploy.
+ * @param {boolean} [dryRun=false] If true, only report what the pending migrations would change.
+ * @return {{fromVersion: number, toVersion: number, applied: Array<Object>, failed: Object|null}|null}
+ *     The result, or null if the lock was busy or the run failed.
+ */
+function runSchemaMigrations_(dryRun = false) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) { // Wait 10s
+    debugLog("Could not obtain schema migration lock. Another process is likely running.", "WARNING");
+    return null;
+  }
+
+  try {
+    const pending = MigrationService.getPendingMigrations();
+    if (pending.length === 0) {
+      debugLog(`Schema is up to date at version ${MigrationService.getSchemaVersion()}.`, "INFO");
+    }
+    const result = MigrationService.applyPending(dryRun);
+    if (pending.length > 0) {
+      const outcome = result.failed ? `stopped at migration ${result.failed.version}` : 'finished';
+      debugLog(`Schema migration ${dryRun ? 'dry run' : 'run'} ${outcome}. Version ${result.fromVersion} -> ${result.toVersion}.`, result.failed ? "ERROR" : "INFO", true);
+    }
+    return result;
+  } catch (e) {
+    debugLog(`Error in runSchemaMigrations_: ${e.message}`, 'ERROR', true);
+    return null;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Reports what the pending schema migrations would change, without changing anything.
+ * Run through the `previewSchemaMigrations` admin API before `runSchemaMigrations`.
+ * @return {Object|null} The dry-run result of `runSchemaMigrations_`.
+ */
+function previewSchemaMigrations_() {
+  return runSchemaMigrations_(true);
+}
@@ -73,6 +73,7 @@ function registerForEvent(payload) {
 
         const newRegistration = {
             EventID: eventId,
+            AthleteID: _getSignedInAthleteId() || '', // Lets MemberPurgeService find the member's registrations
             Name: name.trim(),
             ParticipationType: participationType,
             RegisteredAt: new Date(),
@@ -93,7 +94,26 @@ function registerForEvent(payload) {
 
 
 /**
- * Deletes/cancels a registration for a given event and name.
+ * Private helper to get the athlete ID of the person using the web app, if they are
+ * signed in with Strava. Registration is public, so a visitor who is not gets null.
+ * @returns {string|null} The athlete ID, or null.
+ */
+function _getSignedInAthleteId() {
+    try {
+        const service = StravaService.getOAuth2Service();
+        if (!service.hasAccess()) return null;
+        const athleteInfo = StravaService.getAthleteInfo(service.getAccessToken());
+        return athleteInfo && athleteInfo.id ? String(athleteInfo.id) : null;
+    } catch (e) {
+        debugLog(`Could not identify the signed-in athlete: ${e.message}`, 'WARNING');
+        return null;
+    }
+}
+
+
+/**
+ * Deletes/cancels a registration for a given event and name. If the same name was
+ * registered twice, only the latest registration is cancelled.
  * @param {object} payload - The cancellation data.
  * @param {string} payload.eventId - The ID of the event.
  * @param {string} payload.name - The name on the registration to delete.
@@ -106,23 +126,14 @@ function deleteRegistration(payload) {
     }
     
     try {
-        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.REGISTRATIONS);
-        const data = sheet.getDataRange().getValues();
-        const headers = data[0];
-        const eventIdCol = headers.indexOf('EventID');
-        const nameCol = headers.indexOf('Name');
-
-        if (eventIdCol === -1 || nameCol === -1) {
-            throw new Error("Could not find required columns (EventID, Name) in Registrations sheet.");
-        }
-        
-        for (let i = data.length - 1; i > 0; i--) {
-            const row = data[i];
-            if (String(row[eventIdCol]) === String(eventId) && row[nameCol].trim().toLowerCase() === name.trim().toLowerCase()) {
-                sheet.deleteRow(i + 1);
-                AppCache.remove(CACHE_KEYS.ALL_EVENTS);
-                return JSON.stringify({ success: true, message: `Registration for "${name}" has been cancelled.` });
-            }
+        const result = SheetService.deleteLastRowWhere(SHEET_NAMES.REGISTRATIONS, row =>
+            String(row.EventID) === String(eventId) && String(row.Name).trim().toLowerCase() === name.trim().toLowerCase()
+        );
+        if (!result.success) throw new Error(result.error);
+
+        if (result.count > 0) {
+            AppCache.remove(CACHE_KEYS.ALL_EVENTS);
+            return JSON.stringify({ success: true, message: `Registration for "${name}" has been cancelled.` });
         }
         
         return JSON.stringify({ success: false, error: `Registration for "${name}" not found.` });
@@ -1,11 +1,56 @@
 /**
- * @fileoverview This service handles all direct interactions with Google Sheets.
+ * @fileoverview This service handles all reads and writes of the project's data.
  * No other module should call SpreadsheetApp directly. This centralizes I/O operations
  * for easier maintenance and performance optimization. It uses a row-based object
  * approach for all data manipulations.
+ *
+ * The rows themselves are stored by a backend from StorageBackends.js: the bound
+ * spreadsheet by default. `setBackend` swaps it, for every sheet or only some, e.g. to
+ * keep an archive in a second spreadsheet or to run tests in memory.
+ *
+ * Lookups by ID go through an ID index (ID -> row) built from the ID column alone,
+ * kept up to date by the writes made here and shared between executions in the cache.
+ * Rows found through it are checked before use, so an index left stale by a manual
+ * edit costs one rebuild, never a wrong row.
  */
 
 class SheetService {
+  /**
+   * Sets the storage backend for some sheets, or the default backend for all others.
+   *
+   * @param {Object} backend A backend from StorageBackends.js.
+   * @param {Array<string>} [sheetNames] The sheets to store in this backend. If omitted, it becomes the default.
+   */
+  static setBackend(backend, sheetNames) {
+    if (sheetNames) {
+      sheetNames.forEach(sheetName => this.backendsBySheet[sheetName] = backend);
+    } else {
+      this.defaultBackend = backend;
+    }
+    this.idIndexes = new Map();
+  }
+
+  /**
+   * Goes back to storing every sheet in the bound spreadsheet.
+   */
+  static resetBackends() {
+    this.defaultBackend = null;
+    this.backendsBySheet = {};
+    this.idIndexes = new Map();
+  }
+
+  /**
+   * Gets the backend that stores a sheet.
+   *
+   * @param {string} sheetName The name of the sheet.
+   * @return {Object} The backend.
+   */
+  static getBackend(sheetName) {
+    if (this.backendsBySheet[sheetName]) return this.backendsBySheet[sheetName];
+    if (!this.defaultBackend) this.defaultBackend = new SheetsStorageBackend();
+    return this.defaultBackend;
+  }
+
   /**
    * Gets all data from a sheet and converts it into an array of objects.
    * The first row is assumed to be the header. Caching is recommended
@@ -16,14 +61,11 @@ class SheetService {
    */
   static getDataAsObjects(sheetName) {
     try {
-      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
-      if (!sheet) {
+      const values = this.getBackend(sheetName).readTable(sheetName);
+      if (!values) {
         throw new Error(`Sheet "${sheetName}" not found.`);
       }
       
-      const dataRange = sheet.getDataRange();
-      const values = dataRange.getValues();
-      
       if (values.length <= 1) return []; // No data other than header
       
       const headers = values[0].map(header => String(header).trim());
@@ -44,6 +86,45 @@ class SheetService {
     }
   }
 
+  /**
+   * Creates a sheet with the given header row if it does not exist yet.
+   * Used for sheets the script manages itself rather than the template spreadsheet.
+   *
+   * @param {string} sheetName The name of the sheet.
+   * @param {Array<string>} headers The header row to write when the sheet is created.
+   * @return {boolean} True if the sheet was created.
+   */
+  static ensureSheet(sheetName, headers) {
+    const backend = this.getBackend(sheetName);
+    if (backend.hasTable(sheetName)) return false;
+
+    backend.createTable(sheetName, headers);
+    debugLog(`Created missing sheet "${sheetName}".`, 'INFO');
+    return true;
+  }
+
+  /**
+   * Appends any of the given header columns that a sheet does not have yet.
+   * Existing columns are left untouched, so this is safe to run repeatedly.
+   *
+   * @param {string} sheetName The name of the sheet.
+   * @param {Array<string>} headers The header names the sheet must have.
+   * @return {Array<string>} The sheet's header row after the change.
+   */
+  static ensureColumns(sheetName, headers) {
+    const backend = this.getBackend(sheetName);
+    const headerRow = backend.readHeaders(sheetName);
+    if (!headerRow) throw new Error(`Sheet "${sheetName}" not found.`);
+
+    const existingHeaders = headerRow.map(h => String(h).trim());
+    const missingHeaders = headers.filter(header => !existingHeaders.includes(header));
+    if (missingHeaders.length > 0) {
+      backend.writeRows(sheetName, 0, [existingHeaders.concat(missingHeaders)]);
+      debugLog(`Added columns ${missingHeaders.join(', ')} to sheet "${sheetName}".`, 'INFO');
+    }
+    return existingHeaders.concat(missingHeaders);
+  }
+
   /**
    * Appends an array of objects as new rows to the specified sheet.
    * This is highly efficient as it uses a single `setValues` call.
@@ -58,16 +139,21 @@ class SheetService {
     }
 
     try {
-      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
-      if (!sheet) throw new Error(`Sheet "${sheetName}" not found.`);
+      const backend = this.getBackend(sheetName);
+      const headerRow = backend.readHeaders(sheetName);
+      if (!headerRow) throw new Error(`Sheet "${sheetName}" not found.`);
       
-      const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(h => String(h).trim());
+      const headers = headerRow.map(h => String(h).trim());
       
       const newRows = objectsToAppend.map(obj => 
         headers.map(header => obj.hasOwnProperty(header) ? obj[header] : '')
       );
 
-      sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, headers.length).setValues(newRows);
+      // Only a loaded index needs the row count, to place the new rows in it.
+      const index = this._peekIdIndex(sheetName);
+      const rowCountBefore = index ? backend.getRowCount(sheetName) : 0;
+      backend.appendRows(sheetName, newRows);
+      if (index) this._indexAppendedRows(sheetName, index, headers, newRows, rowCountBefore);
       
       return { success: true };
     } catch (error) {
@@ -76,6 +162,84 @@ class SheetService {
     }
   }
   
+  /**
+   * Finds a single row by its ID, reading only that row.
+   *
+   * @param {string} sheetName The name of the sheet.
+   * @param {string|number} id The ID of the row to find.
+   * @param {string} [idColumn='id'] The header name of the ID column.
+   * @return {Object|null} The row as an object, or null if no row has the ID.
+   */
+  static getObjectById(sheetName, id, idColumn = 'id') {
+    try {
+      const found = this._findRow(sheetName, id, idColumn);
+      return found ? this._rowToObject(found.headers, found.row) : null;
+    } catch (error) {
+      debugLog(`Error in SheetService.getObjectById for sheet "${sheetName}": ${error.message}`, 'ERROR');
+      return null;
+    }
+  }
+
+  /**
+   * Reads only the rows whose value in one column matches a predicate: the column is
+   * read first, then the matching rows in one call per block of consecutive rows.
+   * Much cheaper than `getDataAsObjects` when few rows match, e.g. the open entries of a journal.
+   * A missing sheet counts as having no rows.
+   *
+   * @param {string} sheetName The name of the sheet.
+   * @param {string} column The header name of the column to test.
+   * @param {function(*): boolean} predicate Receives each row's value in the column; return true to read the row.
+   * @return {Array<Object>} The matching rows as objects, top to bottom.
+   */
+  static getObjectsWhereColumn(sheetName, column, predicate) {
+    try {
+      const backend = this.getBackend(sheetName);
+      if (!backend.hasTable(sheetName)) return [];
+
+      const headers = this._readHeaders(sheetName);
+      const columnIndex = headers.indexOf(column);
+      if (columnIndex === -1) throw new Error(`Column "${column}" not found in sheet "${sheetName}".`);
+
+      const values = backend.readColumn(sheetName, columnIndex);
+      const rowIndexes = [];
+      for (let i = 1; i < values.length; i++) {
+        if (predicate(values[i])) rowIndexes.push(i);
+      }
+      return this._toRuns(rowIndexes).flatMap(run =>
+        backend.readRows(sheetName, run.start, run.count).map(row => this._rowToObject(headers, row))
+      );
+    } catch (error) {
+      debugLog(`Error in SheetService.getObjectsWhereColumn for sheet "${sheetName}": ${error.message}`, 'ERROR');
+      return [];
+    }
+  }
+
+  /**
+   * Checks which of the given IDs already have a row. The ID column is read afresh, not
+   * taken from the ID index: an ID typed over by hand leaves the row count, and so the
+   * index, unchanged, and a wrong answer here means a duplicate or a skipped row. An
+   * index that disagrees with the column is dropped, to be rebuilt on its next use.
+   *
+   * @param {string} sheetName The name of the sheet.
+   * @param {Array<string|number>} ids The IDs to check.
+   * @param {string} [idColumn='id'] The header name of the ID column.
+   * @return {Set<string>} The IDs, as strings, that are in the sheet.
+   * @throws {Error} If the sheet or the ID column does not exist, since no answer would be safe to act on.
+   */
+  static findExistingIds(sheetName, ids, idColumn = 'id') {
+    const idColIndex = this._readHeaders(sheetName).indexOf(idColumn);
+    if (idColIndex === -1) throw new Error(`ID column "${idColumn}" not found in sheet "${sheetName}".`);
+    const columnIds = this._readIdColumn(sheetName, idColIndex);
+    const existingIds = new Set(ids.map(String).filter(id => columnIds.has(id)));
+
+    const index = this._peekIdIndex(sheetName);
+    const rowsById = index ? index.columns[idColumn] : null;
+    if (rowsById && ids.some(id => rowsById.hasOwnProperty(String(id)) !== existingIds.has(String(id)))) {
+      this._invalidateIdIndex(sheetName);
+    }
+    return existingIds;
+  }
+
   /**
    * Updates a single row found by its ID.
    *
@@ -87,29 +251,22 @@ class SheetService {
    */
   static updateObjectById(sheetName, id, objectToUpdate, idColumn = 'ID') {
     try {
-        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
-        if (!sheet) throw new Error(`Sheet "${sheetName}" not found.`);
-
-        const data = sheet.getDataRange().getValues();
-        const headers = data[0].map(h => String(h).trim());
-        const idColIndex = headers.indexOf(idColumn);
-        if (idColIndex === -1) throw new Error(`ID column "${idColumn}" not found in sheet "${sheetName}".`);
-
-        const rowIndex = data.findIndex((row, index) => index > 0 && row[idColIndex] == id);
-
-        if (rowIndex === -1) {
+        const found = this._findRow(sheetName, id, idColumn);
+        if (!found) {
             return { success: false, error: `Row with ID "${id}" not found in sheet "${sheetName}".` };
         }
 
-        const rowToUpdate = data[rowIndex];
-        headers.forEach((header, index) => {
+        const rowToUpdate = found.row;
+        found.headers.forEach((header, index) => {
             if (objectToUpdate.hasOwnProperty(header)) {
                 rowToUpdate[index] = objectToUpdate[header];
             }
         });
 
-        // +1 because sheet ranges are 1-indexed.
-        sheet.getRange(rowIndex + 1, 1, 1, rowToUpdate.length).setValues([rowToUpdate]);
+        this.getBackend(sheetName).writeRows(sheetName, found.rowIndex, [rowToUpdate]);
+        if (objectToUpdate.hasOwnProperty(idColumn) && String(objectToUpdate[idColumn]) !== String(id)) {
+            this._invalidateIdIndex(sheetName);
+        }
         return { success: true };
 
     } catch (error) {
@@ -118,6 +275,29 @@ class SheetService {
     }
   }
 
+  /**
+   * Updates the rows whose IDs exist and appends the others. Existing cells the
+   * objects do not mention are kept. Consecutive rows are written in one call and all
+   * new rows are appended in one call. If several objects share an ID, later ones win.
+   *
+   * @param {string} sheetName The name of the sheet.
+   * @param {Array<Object>} objects The objects to write. Keys must match headers.
+   * @param {string} [idColumn='id'] The header name of the ID column.
+   * @return {{success: boolean, inserted: number, updated: number, error?: string}}
+   */
+  static upsertObjects(sheetName, objects, idColumn = 'id') {
+    if (!objects || objects.length === 0) {
+      return { success: true, inserted: 0, updated: 0 };
+    }
+
+    try {
+      return this._upsert(sheetName, objects, idColumn, true);
+    } catch (error) {
+      debugLog(`Error in SheetService.upsertObjects for sheet "${sheetName}": ${error.message}`, 'ERROR');
+      return { success: false, inserted: 0, updated: 0, error: error.message };
+    }
+  }
+
   /**
    * Deletes a single row found by its ID.
    *
@@ -127,52 +307,183 @@ class SheetService {
    * @return {{success: boolean, error?: string}}
    */
   static deleteObjectById(sheetName, id, idColumn = 'id') {
+    const result = this.deleteObjectsByIds(sheetName, [id], idColumn);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    if (result.count === 0) {
+      return { success: false, error: `Row with ID "${id}" not found.` };
+    }
+    debugLog(`Successfully deleted row with ID "${id}" from sheet "${sheetName}".`, "INFO");
+    return { success: true };
+  }
+
+  /**
+   * Deletes the rows with the given IDs. Consecutive rows are deleted in one call,
+   * from the bottom up. IDs without a row are ignored.
+   *
+   * @param {string} sheetName The name of the sheet.
+   * @param {Array<string|number>} ids The IDs of the rows to delete.
+   * @param {string} [idColumn='id'] The header name of the ID column.
+   * @return {{success: boolean, count: number, error?: string}} The number of rows deleted.
+   */
+  static deleteObjectsByIds(sheetName, ids, idColumn = 'id') {
+    if (!ids || ids.length === 0) {
+      return { success: true, count: 0 };
+    }
+
     try {
-        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
-        if (!sheet) throw new Error(`Sheet "${sheetName}" not found.`);
-
-        const data = sheet.getDataRange().getValues();
-        const headers = data[0].map(h => String(h).trim());
-        const idColIndex = headers.indexOf(idColumn);
-        if (idColIndex === -1) throw new Error(`ID column "${idColumn}" not found in sheet "${sheetName}".`);
-
-        // Find the row index from bottom to top to avoid issues when deleting multiple rows.
-        for (let i = data.length - 1; i > 0; i--) {
-            if (String(data[i][idColIndex]) == String(id)) {
-                sheet.deleteRow(i + 1); // +1 because sheet rows are 1-indexed
-                debugLog(`Successfully deleted row with ID "${id}" from sheet "${sheetName}".`, "INFO");
-                return { success: true };
-            }
-        }
+      return this._deleteByIds(sheetName, ids, idColumn, true);
+    } catch (error) {
+      debugLog(`Error in SheetService.deleteObjectsByIds for sheet "${sheetName}": ${error.message}`, 'ERROR');
+      return { success: false, count: 0, error: error.message };
+    }
+  }
 
-        return { success: false, error: `Row with ID "${id}" not found.` };
+  /**
+   * Deletes every row matching a predicate, rewriting the sheet in one `setValues` call.
+   * A missing sheet counts as having nothing to delete.
+   *
+   * @param {string} sheetName The name of the sheet.
+   * @param {function(Object): boolean} predicate Receives each row as an object; return true to delete it.
+   * @return {{success: boolean, count: number, error?: string}} The number of rows deleted.
+   */
+  static deleteRowsWhere(sheetName, predicate) {
+    try {
+      const backend = this.getBackend(sheetName);
+      const values = backend.readTable(sheetName);
+      if (!values || values.length <= 1) return { success: true, count: 0 };
+
+      const headers = values[0].map(h => String(h).trim());
+      const keptRows = values.slice(1).filter(row => !predicate(this._rowToObject(headers, row)));
+      const count = values.length - 1 - keptRows.length;
+
+      if (count > 0) {
+        backend.replaceRows(sheetName, keptRows);
+        this._invalidateIdIndex(sheetName);
+      }
+      return { success: true, count: count };
 
     } catch (error) {
-        debugLog(`Error in SheetService.deleteObjectById: ${error.message}`, 'ERROR');
-        return { success: false, error: error.message };
+      debugLog(`Error in SheetService.deleteRowsWhere for sheet "${sheetName}": ${error.message}`, 'ERROR');
+      return { success: false, count: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Deletes the last row matching a predicate, and only that row. Unlike
+   * `deleteRowsWhere`, the rest of the sheet is not rewritten. The row is read again
+   * just before it is deleted, so a row that moved in the meantime is not deleted.
+   *
+   * @param {string} sheetName The name of the sheet.
+   * @param {function(Object): boolean} predicate Receives each row as an object; return true for the row to delete.
+   * @return {{success: boolean, count: number, error?: string}} The number of rows deleted (0 or 1).
+   */
+  static deleteLastRowWhere(sheetName, predicate) {
+    try {
+      const backend = this.getBackend(sheetName);
+      const values = backend.readTable(sheetName);
+      if (!values || values.length <= 1) return { success: true, count: 0 };
+
+      const headers = values[0].map(h => String(h).trim());
+      let rowIndex = values.length - 1;
+      while (rowIndex > 0 && !predicate(this._rowToObject(headers, values[rowIndex]))) rowIndex--;
+      if (rowIndex === 0) return { success: true, count: 0 };
+
+      const [currentRow] = backend.readRows(sheetName, rowIndex, 1);
+      if (!currentRow || currentRow.some((value, i) => String(value) !== String(values[rowIndex][i]))) {
+        throw new Error(`Rows in sheet "${sheetName}" moved while a row was being deleted.`);
+      }
+      backend.deleteRows(sheetName, rowIndex, 1);
+      this._invalidateIdIndex(sheetName);
+      return { success: true, count: 1 };
+
+    } catch (error) {
+      debugLog(`Error in SheetService.deleteLastRowWhere for sheet "${sheetName}": ${error.message}`, 'ERROR');
+      return { success: false, count: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Updates every row matching a predicate, writing the sheet back in one `setValues` call.
+   * A missing sheet counts as having nothing to update.
+   *
+   * @param {string} sheetName The name of the sheet.
+   * @param {function(Object): boolean} predicate Receives each row as an object; return true to update it.
+   * @param {function(Object): Object} updater Receives the matching row and returns the values to change. Keys must match headers.
+   * @return {{success: boolean, count: number, error?: string}} The number of rows updated.
+   */
+  static updateRowsWhere(sheetName, predicate, updater) {
+    try {
+      const backend = this.getBackend(sheetName);
+      const values = backend.readTable(sheetName);
+      if (!values) return { success: true, count: 0 };
+
+      const headers = values[0].map(h => String(h).trim());
+      const changedColumns = new Set();
+      let count = 0;
+
+      for (let i = 1; i < values.length; i++) {
+        const rowObject = this._rowToObject(headers, values[i]);
+        if (!predicate(rowObject)) continue;
+
+        const changes = updater(rowObject);
+        headers.forEach((header, index) => {
+          if (changes.hasOwnProperty(header)) {
+            values[i][index] = changes[header];
+            changedColumns.add(header);
+          }
+        });
+        count++;
+      }
+
+      if (count > 0) {
+        backend.writeRows(sheetName, 1, values.slice(1));
+        const index = this._peekIdIndex(sheetName);
+        if (index && Object.keys(index.columns).some(idColumn => changedColumns.has(idColumn))) {
+          this._invalidateIdIndex(sheetName);
+        }
+      }
+      return { success: true, count: count };
+
+    } catch (error) {
+      debugLog(`Error in SheetService.updateRowsWhere for sheet "${sheetName}": ${error.message}`, 'ERROR');
+      return { success: false, count: 0, error: error.message };
     }
   }
 
   /**
-   * Removes duplicate rows from a sheet based on a specific column.
+   * Removes duplicate rows from a sheet based on a specific column, keeping the first row
+   * with each value.
    *
    * @param {string} sheetName The name of the sheet.
    * @param {number} columnNumber The 1-based index of the column to check for duplicates.
    */
   static removeDuplicates(sheetName, columnNumber) {
     try {
-      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
-      if (!sheet) throw new Error(`Sheet "${sheetName}" not found.`);
-      
-      sheet.getDataRange().removeDuplicates([columnNumber]);
+      const backend = this.getBackend(sheetName);
+      const values = backend.readTable(sheetName);
+      if (!values) throw new Error(`Sheet "${sheetName}" not found.`);
+
+      const seen = new Set();
+      const keptRows = values.slice(1).filter(row => {
+        const key = String(row[columnNumber - 1]);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      if (keptRows.length < values.length - 1) {
+        backend.replaceRows(sheetName, keptRows);
+        this._invalidateIdIndex(sheetName);
+      }
     } catch (error) {
       debugLog(`Error in SheetService.removeDuplicates for sheet "${sheetName}": ${error.message}`, 'ERROR');
     }
   }
 
   /**
-   * Removes all activities from the Activities sheet that are not in the
-   * ALLOWED_ACTIVITY_TYPES list in constants. This is more efficient than deleting rows one by one.
+   * Removes all activities from the Activities sheet whose sport is not enabled in
+   * the Sports configuration. This is more efficient than deleting rows one by one.
    *
    * @return {{success: boolean, removedCount: number, error?: string}} An object indicating success,
    * the number of rows removed, and an error message if one occurred.
@@ -180,27 +491,34 @@ class SheetService {
   static removeDisallowedActivities() {
     const sheetName = SHEET_NAMES.ACTIVITIES;
     try {
-      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
-      if (!sheet) {
+      const backend = this.getBackend(sheetName);
+      const allData = backend.readTable(sheetName);
+      if (!allData) {
         throw new Error(`Sheet "${sheetName}" not found.`);
       }
 
-      const allData = sheet.getDataRange().getValues();
       if (allData.length <= 1) {
         debugLog('No data to process in the Activities sheet.', 'INFO');
         return { success: true, removedCount: 0 };
       }
 
-      const headers = allData[0];
+      const headers = allData[0].map(h => String(h).trim());
       const typeColumnIndex = headers.indexOf('type');
+      const sportTypeColumnIndex = headers.indexOf('sport_type');
+      const categoryColumnIndex = headers.indexOf('category');
 
       if (typeColumnIndex === -1) {
         throw new Error("A 'type' column is required in the Activities sheet.");
       }
 
-      // Keep the header row and all rows where the type is in the allowed list.
+      // Keep the header row and all rows whose sport is enabled.
+      const enabledProfiles = SportsConfigService.getEnabledProfiles();
       const filteredActivities = allData.filter((row, index) => {
-        return index === 0 || STRAVA_SETTINGS.ALLOWED_ACTIVITY_TYPES.includes(row[typeColumnIndex]);
+        return index === 0 || SportsConfigService.isAllowed({
+          type: row[typeColumnIndex],
+          sport_type: sportTypeColumnIndex === -1 ? '' : row[sportTypeColumnIndex],
+          category: categoryColumnIndex === -1 ? '' : row[categoryColumnIndex]
+        }, enabledProfiles);
       });
 
       const originalRowCount = allData.length;
@@ -208,8 +526,8 @@ class SheetService {
       const removedCount = originalRowCount - finalRowCount;
 
       if (removedCount > 0) {
-        sheet.clearContents();
-        sheet.getRange(1, 1, filteredActivities.length, headers.length).setValues(filteredActivities);
+        backend.replaceRows(sheetName, filteredActivities.slice(1));
+        this._invalidateIdIndex(sheetName);
         debugLog(`Successfully removed ${removedCount} disallowed activities.`, 'INFO');
         AppCache.invalidateActivityCaches();
       } else {
@@ -223,5 +541,337 @@ class SheetService {
       return { success: false, removedCount: 0, error: error.message };
     }
   }
+
+  /**
+   * Private helper to read a sheet's trimmed header row.
+   * @param {string} sheetName The name of the sheet.
+   * @return {Array<string>} The headers.
+   * @throws {Error} If the sheet does not exist.
+   * @private
+   */
+  static _readHeaders(sheetName) {
+    const headerRow = this.getBackend(sheetName).readHeaders(sheetName);
+    if (!headerRow) throw new Error(`Sheet "${sheetName}" not found.`);
+    return headerRow.map(h => String(h).trim());
+  }
+
+  /**
+   * Private helper to find a row through the ID index and read only that row.
+   * An index can be out of date after the sheet was edited by hand, so the row's ID is
+   * checked and the index rebuilt once if it does not match.
+   * @param {string} sheetName The name of the sheet.
+   * @param {string|number} id The ID of the row.
+   * @param {string} idColumn The header name of the ID column.
+   * @return {{rowIndex: number, headers: Array<string>, row: Array<*>}|null} The row, or null if no row has the ID.
+   * @private
+   */
+  static _findRow(sheetName, id, idColumn) {
+    const backend = this.getBackend(sheetName);
+    const headers = this._readHeaders(sheetName);
+    const idColIndex = headers.indexOf(idColumn);
+    if (idColIndex === -1) throw new Error(`ID column "${idColumn}" not found in sheet "${sheetName}".`);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const rowsById = this._getIdIndex(sheetName, idColumn, headers).columns[idColumn];
+      if (!rowsById.hasOwnProperty(String(id))) return null;
+
+      const rowIndex = rowsById[String(id)];
+      const row = backend.readRows(sheetName, rowIndex, 1)[0];
+      if (row && String(row[idColIndex]) === String(id)) {
+        return { rowIndex: rowIndex, headers: headers, row: row };
+      }
+      this._invalidateIdIndex(sheetName);
+    }
+    return null;
+  }
+
+  /**
+   * Private helper for `upsertObjects`.
+   * @param {string} sheetName The name of the sheet.
+   * @param {Array<Object>} objects The objects to write.
+   * @param {string} idColumn The header name of the ID column.
+   * @param {boolean} retry Whether to rebuild the index and try again if rows moved.
+   * @return {{success: boolean, inserted: number, updated: number}}
+   * @private
+   */
+  static _upsert(sheetName, objects, idColumn, retry) {
+    const backend = this.getBackend(sheetName);
+    const headers = this._readHeaders(sheetName);
+    const idColIndex = headers.indexOf(idColumn);
+    if (idColIndex === -1) throw new Error(`ID column "${idColumn}" not found in sheet "${sheetName}".`);
+    const rowsById = this._getIdIndex(sheetName, idColumn, headers).columns[idColumn];
+
+    const updates = new Map(); // row index -> merged object
+    const inserts = new Map(); // ID -> merged object
+    objects.forEach(obj => {
+      const id = String(obj[idColumn]);
+      if (rowsById.hasOwnProperty(id)) {
+        updates.set(rowsById[id], { ...(updates.get(rowsById[id]) || {}), ...obj });
+      } else {
+        inserts.set(id, { ...(inserts.get(id) || {}), ...obj });
+      }
+    });
+
+    const runs = this._toRuns([...updates.keys()]);
+    const currentRuns = runs.map(run => backend.readRows(sheetName, run.start, run.count));
+    const moved = runs.some((run, i) => currentRuns[i].some((row, offset) => String(row[idColIndex]) !== String(updates.get(run.start + offset)[idColumn])));
+    if (moved) {
+      this._invalidateIdIndex(sheetName);
+      if (retry) return this._upsert(sheetName, objects, idColumn, false);
+      throw new Error(`Rows in sheet "${sheetName}" moved while they were being updated.`);
+    }
+
+    runs.forEach((run, i) => {
+      const mergedRows = currentRuns[i].map((row, offset) => {
+        const obj = updates.get(run.start + offset);
+        return headers.map((header, column) => obj.hasOwnProperty(header) ? obj[header] : row[column]);
+      });
+      backend.writeRows(sheetName, run.start, mergedRows);
+    });
+
+    if (inserts.size > 0) {
+      // The index only proves where IDs are; before adding rows, make sure none exists.
+      const columnIds = this._readIdColumn(sheetName, idColIndex);
+      if ([...inserts.keys()].some(id => columnIds.has(id))) {
+        this._invalidateIdIndex(sheetName);
+        if (retry) return this._upsert(sheetName, objects, idColumn, false);
+        throw new Error(`Rows in sheet "${sheetName}" changed while they were being updated.`);
+      }
+      const result = this.appendObjects(sheetName, [...inserts.values()]);
+      if (!result.success) throw new Error(result.error);
+    }
+    return { success: true, inserted: inserts.size, updated: updates.size };
+  }
+
+  /**
+   * Private helper to read the IDs in a sheet's ID column, without the index.
+   * @param {string} sheetName The name of the sheet.
+   * @param {number} idColIndex The index of the ID column.
+   * @return {Set<string>} The non-empty IDs, as strings.
+   * @private
+   */
+  static _readIdColumn(sheetName, idColIndex) {
+    const ids = this.getBackend(sheetName).readColumn(sheetName, idColIndex).slice(1);
+    return new Set(ids.filter(id => id !== '').map(String));
+  }
+
+  /**
+   * Private helper for `deleteObjectsByIds`.
+   * @param {string} sheetName The name of the sheet.
+   * @param {Array<string|number>} ids The IDs of the rows to delete.
+   * @param {string} idColumn The header name of the ID column.
+   * @param {boolean} retry Whether to rebuild the index and try again if rows moved.
+   * @return {{success: boolean, count: number}}
+   * @private
+   */
+  static _deleteByIds(sheetName, ids, idColumn, retry) {
+    const backend = this.getBackend(sheetName);
+    const headers = this._readHeaders(sheetName);
+    const idColIndex = headers.indexOf(idColumn);
+    if (idColIndex === -1) throw new Error(`ID column "${idColumn}" not found in sheet "${sheetName}".`);
+    const index = this._getIdIndex(sheetName, idColumn, headers);
+    const rowsById = index.columns[idColumn];
+
+    const targets = new Map(); // row index -> ID
+    ids.map(String).forEach(id => {
+      if (rowsById.hasOwnProperty(id)) targets.set(rowsById[id], id);
+    });
+    if (targets.size === 0) return { success: true, count: 0 };
+
+    const runs = this._toRuns([...targets.keys()]);
+    const moved = runs.some(run => backend.readRows(sheetName, run.start, run.count)
+      .some((row, offset) => String(row[idColIndex]) !== targets.get(run.start + offset)));
+    if (moved) {
+      this._invalidateIdIndex(sheetName);
+      if (retry) return this._deleteByIds(sheetName, ids, idColumn, false);
+      throw new Error(`Rows in sheet "${sheetName}" moved while they were being deleted.`);
+    }
+
+    // From the bottom up, so each deletion leaves the rows above it in place.
+    runs.reverse().forEach(run => backend.deleteRows(sheetName, run.start, run.count));
+    this._indexDeletedRows(sheetName, index, [...targets.keys()]);
+    return { success: true, count: targets.size };
+  }
+
+  /**
+   * Private helper to group row indexes into runs of consecutive rows.
+   * @param {Array<number>} rowIndexes The row indexes.
+   * @return {Array<{start: number, count: number}>} The runs, top to bottom.
+   * @private
+   */
+  static _toRuns(rowIndexes) {
+    const runs = [];
+    rowIndexes.slice().sort((a, b) => a - b).forEach(rowIndex => {
+      const lastRun = runs[runs.length - 1];
+      if (lastRun && lastRun.start + lastRun.count === rowIndex) {
+        lastRun.count++;
+      } else {
+        runs.push({ start: rowIndex, count: 1 });
+      }
+    });
+    return runs;
+  }
+
+  /**
+   * Private helper to get a sheet's ID index, building the given column's part from
+   * that column alone if needed. An index whose row count no longer matches the
+   * sheet, e.g. after rows were added by hand or by an older deployment, is rebuilt.
+   * @param {string} sheetName The name of the sheet.
+   * @param {string} idColumn The header name of the ID column.
+   * @param {Array<string>} headers The sheet's headers.
+   * @return {{rowCount: number, columns: Object<string, Object<string, number>>}} The index: for each
+   *     indexed column, the row index of every ID.
+   * @private
+   */
+  static _getIdIndex(sheetName, idColumn, headers) {
+    const backend = this.getBackend(sheetName);
+    const rowCount = backend.getRowCount(sheetName);
+    let index = this._peekIdIndex(sheetName);
+    if (!index || index.rowCount !== rowCount) {
+      index = { rowCount: rowCount, columns: {} };
+    }
+
+    if (!index.columns[idColumn]) {
+      const idColIndex = headers.indexOf(idColumn);
+      if (idColIndex === -1) throw new Error(`ID column "${idColumn}" not found in sheet "${sheetName}".`);
+
+      const ids = backend.readColumn(sheetName, idColIndex);
+      const rowsById = {};
+      // Bottom up, so the first row wins when an ID appears more than once.
+      for (let i = ids.length - 1; i > 0; i--) {
+        if (ids[i] !== '') rowsById[String(ids[i])] = i;
+      }
+      index.columns[idColumn] = rowsById;
+      this._saveIdIndex(sheetName, index);
+    }
+    return index;
+  }
+
+  /**
+   * Private helper to get a sheet's ID index if one was built, without building it.
+   * @param {string} sheetName The name of the sheet.
+   * @return {Object|null} The index, or null.
+   * @private
+   */
+  static _peekIdIndex(sheetName) {
+    const backend = this.getBackend(sheetName);
+    const indexes = this.idIndexes.get(backend);
+    if (indexes && indexes[sheetName]) return indexes[sheetName];
+
+    const cacheKey = this._idIndexCacheKey(sheetName);
+    const index = cacheKey ? AppCache.get(cacheKey) : null;
+    if (index) this._saveIdIndex(sheetName, index, false);
+    return index;
+  }
+
+  /**
+   * Private helper to keep an ID index for this execution and, for shared storage, in the cache.
+   * @param {string} sheetName The name of the sheet.
+   * @param {Object} index The index.
+   * @param {boolean} [persist=true] Whether to write it to the cache too.
+   * @private
+   */
+  static _saveIdIndex(sheetName, index, persist = true) {
+    const backend = this.getBackend(sheetName);
+    if (!this.idIndexes.has(backend)) this.idIndexes.set(backend, {});
+    this.idIndexes.get(backend)[sheetName] = index;
+
+    const cacheKey = this._idIndexCacheKey(sheetName);
+    if (persist && cacheKey) AppCache.set(cacheKey, index, CACHE_DURATIONS.LONG);
+  }
+
+  /**
+   * Private helper to drop a sheet's ID index after rows moved in a way it cannot follow.
+   * @param {string} sheetName The name of the sheet.
+   * @private
+   */
+  static _invalidateIdIndex(sheetName) {
+    const indexes = this.idIndexes.get(this.getBackend(sheetName));
+    if (indexes) delete indexes[sheetName];
+
+    const cacheKey = this._idIndexCacheKey(sheetName);
+    if (cacheKey) AppCache.remove(cacheKey);
+  }
+
+  /**
+   * Private helper to add appended rows to a sheet's ID index.
+   * @param {string} sheetName The name of the sheet.
+   * @param {Object} index The index.
+   * @param {Array<string>} headers The sheet's headers.
+   * @param {Array<Array<*>>} newRows The appended rows.
+   * @param {number} rowCountBefore The sheet's row count before the append.
+   * @private
+   */
+  static _indexAppendedRows(sheetName, index, headers, newRows, rowCountBefore) {
+    if (index.rowCount !== rowCountBefore) {
+      this._invalidateIdIndex(sheetName);
+      return;
+    }
+
+    Object.keys(index.columns).forEach(idColumn => {
+      const idColIndex = headers.indexOf(idColumn);
+      const rowsById = index.columns[idColumn];
+      newRows.forEach((row, offset) => {
+        const id = idColIndex === -1 ? '' : String(row[idColIndex]);
+        if (id !== '' && !rowsById.hasOwnProperty(id)) rowsById[id] = rowCountBefore + offset;
+      });
+    });
+    index.rowCount = rowCountBefore + newRows.length;
+    this._saveIdIndex(sheetName, index);
+  }
+
+  /**
+   * Private helper to remove deleted rows from a sheet's ID index and move the rows below them up.
+   * @param {string} sheetName The name of the sheet.
+   * @param {Object} index The index.
+   * @param {Array<number>} deletedRowIndexes The indexes the deleted rows had.
+   * @private
+   */
+  static _indexDeletedRows(sheetName, index, deletedRowIndexes) {
+    const deleted = new Set(deletedRowIndexes);
+    Object.keys(index.columns).forEach(idColumn => {
+      const rowsById = index.columns[idColumn];
+      Object.keys(rowsById).forEach(id => {
+        const rowIndex = rowsById[id];
+        if (deleted.has(rowIndex)) {
+          delete rowsById[id];
+        } else {
+          rowsById[id] = rowIndex - deletedRowIndexes.filter(deletedIndex => deletedIndex < rowIndex).length;
+        }
+      });
+    });
+    index.rowCount -= deletedRowIndexes.length;
+    this._saveIdIndex(sheetName, index);
+  }
+
+  /**
+   * Private helper to build the cache key of a sheet's ID index.
+   * @param {string} sheetName The name of the sheet.
+   * @return {string|null} The key, or null if the sheet's backend is not shared between executions.
+   * @private
+   */
+  static _idIndexCacheKey(sheetName) {
+    const storageKey = this.getBackend(sheetName).getCacheKey();
+    return storageKey ? `${CACHE_KEYS.ID_INDEX_PREFIX}${storageKey}_${sheetName}` : null;
+  }
+
+  /**
+   * Private helper to turn a row of values into an object keyed by header.
+   * @param {Array<string>} headers The trimmed header row.
+   * @param {Array<*>} row The row values.
+   * @return {Object} The row as an object.
+   * @private
+   */
+  static _rowToObject(headers, row) {
+    const obj = {};
+    headers.forEach((header, index) => {
+      if (header) obj[header] = row[index];
+    });
+    return obj;
+  }
 }
 
+// Initialize the static properties on the class. This is the correct way for Apps Script V8.
+SheetService.defaultBackend = null;
+SheetService.backendsBySheet = {};
+SheetService.idIndexes = new Map(); // backend -> {sheetName: ID index}, for this execution
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview This service reads the "Sports" configuration sheet, where admins
+ * enable Strava activity types (or sport_type values) and choose how each one is
+ * displayed and scored. It is the single source of truth for which activities are
+ * kept and which leaderboard ("board") they count towards.
+ */
+
+class SportsConfigService {
+
+  /**
+   * Gets all configured sport profiles. Falls back to one distance-scored profile
+   * per STRAVA_SETTINGS.ALLOWED_ACTIVITY_TYPES entry while the sheet is missing or empty.
+   * @return {Array<{activityType: string, enabled: boolean, displayName: string, unit: string, metric: string, board: string}>}
+   */
+  static getProfiles() {
+    let profiles = AppCache.get(CACHE_KEYS.SPORTS_PROFILES);
+    if (profiles) {
+      return profiles;
+    }
+
+    let rows = [];
+    try {
+      rows = SheetService.getDataAsObjects(SHEET_NAMES.SPORTS);
+    } catch (e) {
+      debugLog(`Sports sheet unavailable, using default sports: ${e.message}`, 'DEBUG');
+    }
+
+    profiles = rows
+      .filter(row => String(row.ActivityType || '').trim())
+      .map(row => this._toProfile(row));
+
+    if (profiles.length === 0) {
+      profiles = this.getDefaultProfiles();
+    }
+
+    AppCache.set(CACHE_KEYS.SPORTS_PROFILES, profiles, CACHE_DURATIONS.MEDIUM);
+    return profiles;
+  }
+
+  /**
+   * Builds the default profiles from the hard-coded allowed activity types.
+   * @return {Array<Object>} One enabled, distance-scored profile per type.
+   */
+  static getDefaultProfiles() {
+    return STRAVA_SETTINGS.ALLOWED_ACTIVITY_TYPES.map(type => this._toProfile({ ActivityType: type, Enabled: true }));
+  }
+
+  /**
+   * @return {Array<Object>} Only the enabled sport profiles.
+   */
+  static getEnabledProfiles() {
+    return this.getProfiles().filter(profile => profile.enabled);
+  }
+
+  /**
+   * Finds the enabled profile an activity belongs to. The activity is normalized first,
+   * then the more specific `sport_type` is matched, then the legacy `type`, then its
+   * canonical category (so a "Run" profile also covers trail and virtual runs).
+   * @param {Object} activity An activity object (from Strava or a sheet row).
+   * @param {Array<Object>} [enabledProfiles] The enabled profiles, from `getEnabledProfiles`.
+   *     Pass them when matching many activities, so the configuration is read only once.
+   * @return {Object|null} The matching profile, or null if the activity's sport is not enabled.
+   */
+  static getProfileForActivity(activity, enabledProfiles = this.getEnabledProfiles()) {
+    if (!activity) return null;
+    const normalized = ActivityTypeService.normalize(activity);
+    const candidates = [normalized.sport_type, normalized.type, normalized.category].filter(Boolean).map(String);
+
+    for (const candidate of candidates) {
+      const profile = enabledProfiles.find(p => p.activityType === candidate);
+      if (profile) return profile;
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether an activity's sport is enabled.
+   * @param {Object} activity An activity object.
+   * @param {Array<Object>} [enabledProfiles] The enabled profiles, see `getProfileForActivity`.
+   * @return {boolean} True if the activity should be kept.
+   */
+  static isAllowed(activity, enabledProfiles = this.getEnabledProfiles()) {
+    return this.getProfileForActivity(activity, enabledProfiles) !== null;
+  }
+
+  /**
+   * Groups the enabled profiles into leaderboards. A board is scored by the metric
+   * and unit of its first profile, so sports sharing a board should share a metric.
+   * @return {Array<{board: string, displayName: string, metric: string, unit: string, activityTypes: Array<string>}>}
+   */
+  static getBoards() {
+    const boards = new Map();
+    this.getEnabledProfiles().forEach(profile => {
+      if (!boards.has(profile.board)) {
+        boards.set(profile.board, {
+          board: profile.board,
+          displayName: profile.displayName,
+          metric: profile.metric,
+          unit: profile.unit,
+          activityTypes: []
+        });
+      }
+      boards.get(profile.board).activityTypes.push(profile.activityType);
+    });
+    return Array.from(boards.values());
+  }
+
+  /**
+   * Gets a board by its key, or the first (primary) board when no key is given.
+   * @param {string} [boardKey] The board key.
+   * @return {Object|null} The board, or null if it does not exist.
+   */
+  static getBoard(boardKey) {
+    const boards = this.getBoards();
+    if (!boardKey) return boards[0] || null;
+    return boards.find(b => b.board === String(boardKey).toLowerCase()) || null;
+  }
+
+  /**
+   * Reads the raw value an activity contributes to a metric
+   * (meters, seconds or a count of one).
+   * @param {Object} activity The activity object.
+   * @param {string} metric A key of SPORT_METRICS.
+   * @return {number} The activity's value for the metric.
+   */
+  static getMetricValue(activity, metric) {
+    const definition = SPORT_METRICS[metric] || SPORT_METRICS.distance;
+    if (!definition.field) return 1;
+    return parseFloat(activity[definition.field]) || 0;
+  }
+
+  /**
+   * Converts a raw metric total into its display unit.
+   * @param {number} value The raw value (meters, seconds or a count).
+   * @param {string} metric A key of SPORT_METRICS.
+   * @param {string} unit The display unit.
+   * @return {number} The converted value.
+   */
+  static convertToUnit(value, metric, unit) {
+    const factors = {
+      distance: { km: 1 / 1000, m: 1, mi: 1 / 1609.344 },
+      moving_time: { h: 1 / 3600, min: 1 / 60 },
+      elevation: { m: 1, ft: 3.28084 }
+    };
+    const factor = factors[metric] && factors[metric][unit];
+    return factor ? value * factor : value;
+  }
+
+  /**
+   * Clears the cached profiles so edits to the Sports sheet take effect immediately.
+   */
+  static clearCache() {
+    AppCache.remove(CACHE_KEYS.SPORTS_PROFILES);
+  }
+
+  /**
+   * Private helper to turn a Sports sheet row into a normalized profile.
+   * Invalid metrics or units fall back to distance in kilometers.
+   * @param {Object} row A row from the Sports sheet.
+   * @return {Object} The profile.
+   * @private
+   */
+  static _toProfile(row) {
+    const activityType = String(row.ActivityType).trim();
+    const metric = SPORT_METRICS[String(row.Metric || '').trim()] ? String(row.Metric).trim() : 'distance';
+    const unit = SPORT_METRICS[metric].units.includes(String(row.Unit || '').trim())
+      ? String(row.Unit).trim()
+      : SPORT_METRICS[metric].defaultUnit;
+    const enabledValue = row.Enabled === undefined || row.Enabled === '' ? true : row.Enabled;
+
+    return {
+      activityType: activityType,
+      enabled: enabledValue === true || String(enabledValue).toUpperCase() === 'TRUE',
+      displayName: String(row.DisplayName || '').trim() || activityType,
+      unit: unit,
+      metric: metric,
+      board: (String(row.Board || '').trim() || activityType).toLowerCase()
+    };
+  }
+}
+
+/**
+ * Creates the "Sports" sheet seeded with the current default sports.
+ * Run this function once manually from the editor, then edit the sheet to
+ * enable more activity types or change how they are scored.
+ */
+function setupSportsSheet() {
+  SheetService.ensureSheet(SHEET_NAMES.SPORTS, SHEET_HEADERS.SPORTS);
+  if (SheetService.getDataAsObjects(SHEET_NAMES.SPORTS).length === 0) {
+    const rows = SportsConfigService.getDefaultProfiles().map(profile => ({
+      ActivityType: profile.activityType,
+      Enabled: profile.enabled,
+      DisplayName: profile.displayName,
+      Unit: profile.unit,
+      Metric: profile.metric,
+      Board: profile.board
+    }));
+    SheetService.appendObjects(SHEET_NAMES.SPORTS, rows);
+  }
+  SportsConfigService.clearCache();
+  debugLog("Sports configuration sheet is ready.", "INFO");
+}
@@ -0,0 +1,395 @@
+/**
+ * @fileoverview The storage backends behind SheetService. A backend stores named
+ * tables of rows; the first row of every table is its header. SheetService turns rows
+ * into objects and back, so a backend only moves values and every service works the
+ * same whichever backend holds its data.
+ *
+ * Every backend implements:
+ *   hasTable(name)                   -> boolean
+ *   createTable(name, headers)
+ *   readTable(name)                  -> Array<Array<*>>|null, header row first; null if missing
+ *   readHeaders(name)                -> Array<*>|null
+ *   readRows(name, rowIndex, count)  -> Array<Array<*>>, a block of rows (0 is the header row)
+ *   readColumn(name, columnIndex)    -> Array<*>, one column of every row, header first
+ *   getRowCount(name)                -> number of rows, header included
+ *   writeRows(name, rowIndex, rows)  overwrites rows from rowIndex (0 is the header row)
+ *   appendRows(name, rows)
+ *   deleteRows(name, rowIndex, count)
+ *   replaceRows(name, rows)          replaces every row below the header
+ *   getCacheKey()                    -> string|null, names the storage for caches shared
+ *                                       between executions; null if it must not be cached
+ *
+ * The three backends live in one file because JsonFileStorageBackend extends
+ * InMemoryStorageBackend, and Apps Script gives no guarantee about file load order.
+ */
+
+/**
+ * Stores tables as sheets of a spreadsheet: the bound spreadsheet by default, or
+ * another one, e.g. an archive, opened by ID.
+ */
+class SheetsStorageBackend {
+
+  /**
+   * @param {string} [spreadsheetId] The spreadsheet to use. Defaults to the bound spreadsheet.
+   */
+  constructor(spreadsheetId) {
+    this.spreadsheetId = spreadsheetId || null;
+    this.spreadsheet = null;
+  }
+
+  /**
+   * @param {string} name The sheet name.
+   * @return {boolean} True if the sheet exists.
+   */
+  hasTable(name) {
+    return this._getSheet(name) !== null;
+  }
+
+  /**
+   * Creates a sheet with a frozen header row.
+   * @param {string} name The sheet name.
+   * @param {Array<string>} headers The header row.
+   */
+  createTable(name, headers) {
+    const sheet = this._getSpreadsheet().insertSheet(name);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.setFrozenRows(1);
+  }
+
+  /**
+   * @param {string} name The sheet name.
+   * @return {Array<Array<*>>|null} Every row, header first, or null if the sheet does not exist.
+   */
+  readTable(name) {
+    const sheet = this._getSheet(name);
+    return sheet ? sheet.getDataRange().getValues() : null;
+  }
+
+  /**
+   * Reads only the header row, which is much cheaper than the whole sheet.
+   * @param {string} name The sheet name.
+   * @return {Array<*>|null} The header row, or null if the sheet does not exist.
+   */
+  readHeaders(name) {
+    const sheet = this._getSheet(name);
+    if (!sheet) return null;
+    return sheet.getLastColumn() > 0 ? sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0] : [];
+  }
+
+  /**
+   * @param {string} name The sheet name.
+   * @param {number} rowIndex The index of the first row; 0 is the header row.
+   * @param {number} count The number of rows.
+   * @return {Array<Array<*>>} The rows, as wide as the sheet.
+   */
+  readRows(name, rowIndex, count) {
+    const sheet = this._requireSheet(name);
+    return sheet.getRange(rowIndex + 1, 1, count, sheet.getLastColumn()).getValues();
+  }
+
+  /**
+   * Reads one column, e.g. to index a sheet by ID without reading every cell.
+   * @param {string} name The sheet name.
+   * @param {number} columnIndex The 0-based column index.
+   * @return {Array<*>} The column's values, header first.
+   */
+  readColumn(name, columnIndex) {
+    const sheet = this._requireSheet(name);
+    if (sheet.getLastRow() === 0) return [];
+    return sheet.getRange(1, columnIndex + 1, sheet.getLastRow(), 1).getValues().map(row => row[0]);
+  }
+
+  /**
+   * @param {string} name The sheet name.
+   * @return {number} The number of rows, header included.
+   */
+  getRowCount(name) {
+    return this._requireSheet(name).getLastRow();
+  }
+
+  /**
+   * Identifies the spreadsheet, so ID indexes can be cached across executions.
+   * @return {string} The cache key.
+   */
+  getCacheKey() {
+    return this.spreadsheetId || 'bound';
+  }
+
+  /**
+   * Overwrites a block of rows in one call. All rows must have the same length.
+   * @param {string} name The sheet name.
+   * @param {number} rowIndex The index of the first row to write; 0 is the header row.
+   * @param {Array<Array<*>>} rows The rows.
+   */
+  writeRows(name, rowIndex, rows) {
+    if (rows.length === 0) return;
+    this._requireSheet(name).getRange(rowIndex + 1, 1, rows.length, rows[0].length).setValues(rows);
+  }
+
+  /**
+   * Appends rows below the last row in one call. All rows must have the same length.
+   * @param {string} name The sheet name.
+   * @param {Array<Array<*>>} rows The rows.
+   */
+  appendRows(name, rows) {
+    if (rows.length === 0) return;
+    const sheet = this._requireSheet(name);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+  }
+
+  /**
+   * Deletes a block of rows; the rows below move up.
+   * @param {string} name The sheet name.
+   * @param {number} rowIndex The index of the first row to delete; 0 is the header row.
+   * @param {number} count The number of rows.
+   */
+  deleteRows(name, rowIndex, count) {
+    this._requireSheet(name).deleteRows(rowIndex + 1, count);
+  }
+
+  /**
+   * Replaces every row below the header by clearing them and writing the new rows
+   * in one call, which is much faster than deleting rows one by one.
+   * @param {string} name The sheet name.
+   * @param {Array<Array<*>>} rows The new rows.
+   */
+  replaceRows(name, rows) {
+    const sheet = this._requireSheet(name);
+    if (sheet.getLastRow() > 1) {
+      sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).clearContent();
+    }
+    this.writeRows(name, 1, rows);
+  }
+
+  /**
+   * Private helper to open the spreadsheet once per execution.
+   * @return {GoogleAppsScript.Spreadsheet.Spreadsheet} The spreadsheet.
+   * @private
+   */
+  _getSpreadsheet() {
+    if (!this.spreadsheet) {
+      this.spreadsheet = this.spreadsheetId ? SpreadsheetApp.openById(this.spreadsheetId) : SpreadsheetApp.getActiveSpreadsheet();
+    }
+    return this.spreadsheet;
+  }
+
+  /**
+   * @param {string} name The sheet name.
+   * @return {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if it does not exist.
+   * @private
+   */
+  _getSheet(name) {
+    return this._getSpreadsheet().getSheetByName(name);
+  }
+
+  /**
+   * @param {string} name The sheet name.
+   * @return {GoogleAppsScript.Spreadsheet.Sheet} The sheet.
+   * @throws {Error} If the sheet does not exist.
+   * @private
+   */
+  _requireSheet(name) {
+    const sheet = this._getSheet(name);
+    if (!sheet) throw new Error(`Sheet "${name}" not found.`);
+    return sheet;
+  }
+}
+
+/**
+ * Keeps tables in memory for the current execution. Used by tests, so the service
+ * layer can run without touching the real spreadsheet.
+ */
+class InMemoryStorageBackend {
+
+  /**
+   * @param {Object<string, Array<Array<*>>>} [tables] The initial tables, header row first. They are copied.
+   */
+  constructor(tables = {}) {
+    this.tables = {};
+    Object.keys(tables).forEach(name => this.tables[name] = tables[name].map(row => row.slice()));
+  }
+
+  /**
+   * @param {string} name The table name.
+   * @return {boolean} True if the table exists.
+   */
+  hasTable(name) {
+    return this._getTables().hasOwnProperty(name);
+  }
+
+  /**
+   * @param {string} name The table name.
+   * @param {Array<string>} headers The header row.
+   */
+  createTable(name, headers) {
+    this._getTables()[name] = [headers.slice()];
+    this._changed();
+  }
+
+  /**
+   * @param {string} name The table name.
+   * @return {Array<Array<*>>|null} A copy of every row, header first, or null if the table does not exist.
+   *     Short rows are padded with empty strings, like the values of a sheet's data range.
+   */
+  readTable(name) {
+    if (!this.hasTable(name)) return null;
+    const table = this._getTables()[name];
+    const width = Math.max(...table.map(row => row.length));
+    return table.map(row => Array.from({ length: width }, (value, column) => row[column] === undefined ? '' : row[column]));
+  }
+
+  /**
+   * @param {string} name The table name.
+   * @return {Array<*>|null} A copy of the header row, or null if the table does not exist.
+   */
+  readHeaders(name) {
+    return this.hasTable(name) ? this._getTables()[name][0].slice() : null;
+  }
+
+  /**
+   * @param {string} name The table name.
+   * @param {number} rowIndex The index of the first row; 0 is the header row.
+   * @param {number} count The number of rows.
+   * @return {Array<Array<*>>} A copy of the rows.
+   */
+  readRows(name, rowIndex, count) {
+    this._requireTable(name);
+    return this.readTable(name).slice(rowIndex, rowIndex + count);
+  }
+
+  /**
+   * @param {string} name The table name.
+   * @param {number} columnIndex The 0-based column index.
+   * @return {Array<*>} The column's values, header first.
+   */
+  readColumn(name, columnIndex) {
+    return this._requireTable(name).map(row => row[columnIndex] === undefined ? '' : row[columnIndex]);
+  }
+
+  /**
+   * @param {string} name The table name.
+   * @return {number} The number of rows, header included.
+   */
+  getRowCount(name) {
+    return this._requireTable(name).length;
+  }
+
+  /**
+   * In-memory tables are not shared between executions, so their indexes are not cached.
+   * @return {null}
+   */
+  getCacheKey() {
+    return null;
+  }
+
+  /**
+   * Overwrites a block of rows. Cells beyond the end of a written row are kept, as in a sheet.
+   * @param {string} name The table name.
+   * @param {number} rowIndex The index of the first row to write; 0 is the header row.
+   * @param {Array<Array<*>>} rows The rows.
+   */
+  writeRows(name, rowIndex, rows) {
+    const table = this._requireTable(name);
+    rows.forEach((row, offset) => {
+      const target = table[rowIndex + offset] || [];
+      row.forEach((value, column) => target[column] = value);
+      table[rowIndex + offset] = target;
+    });
+    this._changed();
+  }
+
+  /**
+   * @param {string} name The table name.
+   * @param {Array<Array<*>>} rows The rows.
+   */
+  appendRows(name, rows) {
+    const table = this._requireTable(name);
+    rows.forEach(row => table.push(row.slice()));
+    this._changed();
+  }
+
+  /**
+   * @param {string} name The table name.
+   * @param {number} rowIndex The index of the first row to delete; 0 is the header row.
+   * @param {number} count The number of rows.
+   */
+  deleteRows(name, rowIndex, count) {
+    this._requireTable(name).splice(rowIndex, count);
+    this._changed();
+  }
+
+  /**
+   * @param {string} name The table name.
+   * @param {Array<Array<*>>} rows The new rows below the header.
+   */
+  replaceRows(name, rows) {
+    const table = this._requireTable(name);
+    table.splice(1, table.length - 1, ...rows.map(row => row.slice()));
+    this._changed();
+  }
+
+  /**
+   * Private helper to get the tables. Subclasses that load them lazily override it.
+   * @return {Object<string, Array<Array<*>>>} The tables by name.
+   * @private
+   */
+  _getTables() {
+    return this.tables;
+  }
+
+  /**
+   * Private hook called after every write. Subclasses that persist the tables override it.
+   * @private
+   */
+  _changed() {}
+
+  /**
+   * @param {string} name The table name.
+   * @return {Array<Array<*>>} The table itself, not a copy.
+   * @throws {Error} If the table does not exist.
+   * @private
+   */
+  _requireTable(name) {
+    if (!this.hasTable(name)) throw new Error(`Sheet "${name}" not found.`);
+    return this._getTables()[name];
+  }
+}
+
+/**
+ * Keeps tables in a JSON file in Google Drive, e.g. for a small archive or a copy of
+ * the data that does not need a spreadsheet. The file is read on first use and
+ * rewritten after every change, so it suits small tables only. Dates are stored as
+ * ISO strings.
+ */
+class JsonFileStorageBackend extends InMemoryStorageBackend {
+
+  /**
+   * @param {string} fileId The Drive ID of the JSON file. An empty file counts as having no tables.
+   */
+  constructor(fileId) {
+    super();
+    this.fileId = fileId;
+    this.tables = null;
+  }
+
+  /**
+   * Private helper to read the file on first use.
+   * @return {Object<string, Array<Array<*>>>} The tables by name.
+   * @private
+   */
+  _getTables() {
+    if (!this.tables) {
+      const content = DriveApp.getFileById(this.fileId).getBlob().getDataAsString();
+      this.tables = content.trim() ? JSON.parse(content).tables || {} : {};
+    }
+    return this.tables;
+  }
+
+  /**
+   * Private hook to write every table back to the file.
+   * @private
+   */
+  _changed() {
+    DriveApp.getFileById(this.fileId).setContent(JSON.stringify({ tables: this._getTables() }));
+  }
+}
@@ -56,71 +56,125 @@ class StravaService {
    * @return {Object} The athlete's profile information.
    */
   static getAthleteInfo(accessToken) {
-    const response = UrlFetchApp.fetch('https://www.strava.com/api/v3/athlete', {
-      headers: { 'Authorization': 'Bearer ' + accessToken },
-      muteHttpExceptions: true
+    const response = StravaApiClient.fetch('https://www.strava.com/api/v3/athlete', {
+      headers: { 'Authorization': 'Bearer ' + accessToken }
     });
     return JSON.parse(response.getContentText());
   }
 
 /**
    * Fetches a user's activities from Strava for a given period.
-   * It now filters for an array of activity types defined in constants.
+   * It follows Strava's pagination until a short page is returned, then
+   * normalizes their sport and filters for the sports enabled in the Sports configuration.
    * @param {string|number} userId The user's Strava ID.
    * @param {number} afterTimestamp A Unix timestamp for the start of the period.
    * @param {number} beforeTimestamp A Unix timestamp for the end of the period.
+   * @param {boolean} [includeAllTypes=false] If true, activities of every type are returned unfiltered.
    * @return {Array<Object>|null} An array of allowed activities, or null on failure.
    */
-  static getAthleteActivities(userId, afterTimestamp, beforeTimestamp) {
-    let accessToken = DatabaseService.getAccessToken(userId);
-    if (!accessToken) {
-      debugLog(`No access token for user ${userId}. Attempting refresh.`, 'WARNING');
-      const refreshed = this.refreshAccessToken(userId);
-      if(refreshed) {
-        accessToken = refreshed.accessToken;
-      } else {
-        debugLog(`Token refresh failed for user ${userId}. Cannot fetch activities.`, 'ERROR');
+  static getAthleteActivities(userId, afterTimestamp, beforeTimestamp, includeAllTypes = false) {
+    const result = this.fetchAthleteActivities(userId, afterTimestamp, beforeTimestamp, includeAllTypes);
+    return result ? result.activities : null;
+  }
+
+  /**
+   * Fetches a user's activities like `getAthleteActivities`, but also reports whether
+   * the period held more than ACTIVITY_BACKFILL.MAX_PAGES_PER_REQUEST pages. The
+   * activities are then those of the pages fetched, in the order Strava returned them,
+   * and the caller must fetch the rest starting after the last one.
+   * @param {string|number} userId The user's Strava ID.
+   * @param {number} afterTimestamp A Unix timestamp for the start of the period.
+   * @param {number} beforeTimestamp A Unix timestamp for the end of the period.
+   * @param {boolean} [includeAllTypes=false] If true, activities of every type are returned unfiltered.
+   * @return {{activities: Array<Object>, truncated: boolean}|null} The activities, or null on failure.
+   */
+  static fetchAthleteActivities(userId, afterTimestamp, beforeTimestamp, includeAllTypes = false) {
+    const activities = [];
+    let truncated = false;
+
+    for (let page = 1; page <= ACTIVITY_BACKFILL.MAX_PAGES_PER_REQUEST; page++) {
+      const pageActivities = this.getAthleteActivitiesPage(userId, {
+        after: afterTimestamp,
+        before: beforeTimestamp,
+        page: page
+      });
+
+      // A failed page means the result would be incomplete, so report a failure.
+      if (pageActivities === null) {
         return null;
       }
+
+      activities.push(...pageActivities.map(activity => ActivityTypeService.normalize(activity)));
+      if (pageActivities.length < ACTIVITY_BACKFILL.PER_PAGE) {
+        break;
+      }
+      truncated = page === ACTIVITY_BACKFILL.MAX_PAGES_PER_REQUEST;
+    }
+
+    if (truncated) {
+      debugLog(`Stopped fetching activities for user ${userId} after ${ACTIVITY_BACKFILL.MAX_PAGES_PER_REQUEST} pages (${activities.length} activities). The rest of the period was not fetched.`, 'WARNING', true);
+    }
+
+    if (includeAllTypes) {
+      return { activities: activities, truncated: truncated };
+    }
+
+    // Filter activities to include only the sports enabled in the Sports configuration.
+    if (activities.length > 0) {
+      const enabledProfiles = SportsConfigService.getEnabledProfiles();
+      const allowedActivities = activities.filter(activity => SportsConfigService.isAllowed(activity, enabledProfiles));
+      debugLog(`Fetched ${activities.length} total activities, filtered down to ${allowedActivities.length} of enabled sports for user ${userId}.`, 'DEBUG');
+      return { activities: allowedActivities, truncated: truncated };
     }
 
-    const apiUrl = `https://www.strava.com/api/v3/athlete/activities?before=${beforeTimestamp}&after=${afterTimestamp}&per_page=100`;
+    return { activities: [], truncated: truncated }; // An empty array if no activities were found
+  }
+
+  /**
+   * Fetches a single page of a user's activities, unfiltered.
+   * The token is refreshed ahead of expiry; a 401 still triggers a one-time refresh.
+   * @param {string|number} userId The user's Strava ID.
+   * @param {object} query The query parameters.
+   * @param {number} [query.after] A Unix timestamp; only activities after it are returned.
+   * @param {number} [query.before] A Unix timestamp; only activities before it are returned.
+   * @param {number} [query.page=1] The 1-based page number.
+   * @param {number} [query.perPage] The page size, defaults to ACTIVITY_BACKFILL.PER_PAGE.
+   * @return {Array<Object>|null} The raw activities on the page, or null on failure.
+   */
+  static getAthleteActivitiesPage(userId, { after, before, page = 1, perPage = ACTIVITY_BACKFILL.PER_PAGE } = {}) {
+    const accessToken = TokenManager.getValidAccessToken(userId);
+    if (!accessToken) {
+      debugLog(`No valid access token for user ${userId}. Cannot fetch activities.`, 'ERROR');
+      return null;
+    }
+
+    const queryParts = [`page=${page}`, `per_page=${perPage}`];
+    if (before) queryParts.push(`before=${before}`);
+    if (after) queryParts.push(`after=${after}`);
+    const apiUrl = `https://www.strava.com/api/v3/athlete/activities?${queryParts.join('&')}`;
     const options = {
-      headers: { 'Authorization': 'Bearer ' + accessToken },
-      muteHttpExceptions: true
+      headers: { 'Authorization': 'Bearer ' + accessToken }
     };
     
-    const response = UrlFetchApp.fetch(apiUrl, options);
-    const responseCode = response.getResponseCode();
-    let activities = [];
+    let response = StravaApiClient.fetch(apiUrl, options);
+    let responseCode = response.getResponseCode();
 
-    if (responseCode === 200) {
-      activities = JSON.parse(response.getContentText());
-    } else if (responseCode === 401) {
+    if (responseCode === 401) {
       debugLog(`Received 401 for user ${userId}. Attempting one-time token refresh.`, 'INFO');
       const refreshed = this.refreshAccessToken(userId);
       if (refreshed) {
         options.headers['Authorization'] = 'Bearer ' + refreshed.accessToken;
-        const retryResponse = UrlFetchApp.fetch(apiUrl, options);
-        if (retryResponse.getResponseCode() === 200) {
-          activities = JSON.parse(retryResponse.getContentText());
-        }
+        response = StravaApiClient.fetch(apiUrl, options);
+        responseCode = response.getResponseCode();
       }
-    } else {
-        debugLog(`Failed to fetch activities for user ${userId}. Code: ${responseCode}, Response: ${response.getContentText()}`, 'ERROR');
-        return null;
     }
-    
-    // Filter activities to include any type present in the ALLOWED_ACTIVITY_TYPES array.
-    if (activities && activities.length > 0) {
-      const allowedActivities = activities.filter(activity =>
-        STRAVA_SETTINGS.ALLOWED_ACTIVITY_TYPES.includes(activity.type)
-      );
-      debugLog(`Fetched ${activities.length} total activities, filtered down to ${allowedActivities.length} allowed types: [${STRAVA_SETTINGS.ALLOWED_ACTIVITY_TYPES.join(', ')}] for user ${userId}.`, 'DEBUG');
-      return allowedActivities;
+
+    if (responseCode !== 200) {
+      debugLog(`Failed to fetch activities page ${page} for user ${userId}. Code: ${responseCode}, Response: ${response.getContentText()}`, 'ERROR');
+      return null;
     }
 
-    return []; // Return an empty array if no activities were found
+    return JSON.parse(response.getContentText()) || [];
   }
 
 /**
@@ -131,25 +185,31 @@ class StravaService {
    * @return {Object|null} The activity object, or null on failure.
    */
   static getActivityById(activityId, userId) {
-    let accessToken = DatabaseService.getAccessToken(userId);
+    return this.fetchActivityById(activityId, userId).activity;
+  }
+
+  /**
+   * Fetches a single activity like `getActivityById`, but also reports the response
+   * code, so callers can tell an activity Strava no longer has from a failure that
+   * may pass.
+   * @param {string|number} activityId The ID of the activity to fetch.
+   * @param {string|number} userId The ID of the user who owns the activity.
+   * @return {{status: number|null, activity: Object|null}} The final response code (null if
+   *     there was no valid access token to call Strava with) and the activity on success.
+   */
+  static fetchActivityById(activityId, userId) {
+    const accessToken = TokenManager.getValidAccessToken(userId);
     if (!accessToken) {
-      debugLog(`No access token for user ${userId}. Attempting refresh before API call.`, "WARNING");
-      const refreshed = this.refreshAccessToken(userId);
-      if(refreshed) {
-        accessToken = refreshed.accessToken;
-      } else {
-        debugLog(`Initial token refresh failed for user ${userId}. Cannot fetch activity ${activityId}.`, 'ERROR');
-        return null;
-      }
+      debugLog(`No valid access token for user ${userId}. Cannot fetch activity ${activityId}.`, 'ERROR');
+      return { status: null, activity: null };
     }
 
     const apiUrl = `https://www.strava.com/api/v3/activities/${activityId}`;
     const options = {
-      headers: { 'Authorization': 'Bearer ' + accessToken },
-      muteHttpExceptions: true
+      headers: { 'Authorization': 'Bearer ' + accessToken }
     };
 
-    let response = UrlFetchApp.fetch(apiUrl, options);
+    let response = StravaApiClient.fetch(apiUrl, options);
     let responseCode = response.getResponseCode();
 
     // Handle token expiration during the API call
@@ -159,7 +219,7 @@ class StravaService {
       if (refreshed && refreshed.accessToken) {
         // Retry the API call with the new token
         options.headers['Authorization'] = 'Bearer ' + refreshed.accessToken;
-        response = UrlFetchApp.fetch(apiUrl, options);
+        response = StravaApiClient.fetch(apiUrl, options);
         responseCode = response.getResponseCode();
       }
     }
@@ -167,20 +227,30 @@ class StravaService {
     // Final check on the response
     if (responseCode === 200) {
       debugLog(`Successfully fetched activity ID: ${activityId}`, "INFO");
-      return JSON.parse(response.getContentText());
+      return { status: responseCode, activity: JSON.parse(response.getContentText()) };
     } else {
       debugLog(`Failed to fetch activity ${activityId} after all attempts. Code: ${responseCode}`, 'ERROR');
-      return null;
+      return { status: responseCode, activity: null };
     }
   }
 
   /**
    * Refreshes an expired access token using a refresh token.
+   * If Strava rejects the refresh token (it was revoked or the app was deauthorized),
+   * the member is marked as requiring reauthorization. If it rejects the app itself
+   * (e.g. a wrong or rotated STRAVA_CLIENT_SECRET), no member is flagged: the error is
+   * recorded in `appCredentialError` and every later refresh in this execution is skipped.
    * @param {string|number} userId The user's ID.
    * @return {{accessToken: string, expiresAt: Date}|null} The new token info, or null.
    */
   static refreshAccessToken(userId) {
-    const refreshToken = DatabaseService.getRefreshToken(userId);
+    if (this.appCredentialError) {
+      debugLog(`Skipping the token refresh for user ${userId}: Strava rejected the app credentials.`, 'WARNING');
+      return null;
+    }
+
+    const credentials = CredentialStore.get(userId);
+    const refreshToken = credentials ? credentials.refreshToken : null;
     if (!refreshToken) {
       debugLog(`No refresh token found for user ${userId}.`, 'ERROR');
       return null;
@@ -188,7 +258,7 @@ class StravaService {
     
     try {
       const scriptProperties = PropertiesService.getScriptProperties();
-      const response = UrlFetchApp.fetch('https://www.strava.com/oauth/token', {
+      const response = StravaApiClient.fetch('https://www.strava.com/oauth/token', {
         method: 'post',
         payload: {
           client_id: scriptProperties.getProperty('STRAVA_CLIENT_ID'),
@@ -197,27 +267,55 @@ class StravaService {
           refresh_token: refreshToken
         }
       });
+
+      const responseCode = response.getResponseCode();
+      if (responseCode === 400 || responseCode === 401) {
+        if (this._isRefreshTokenError(response.getContentText())) {
+          TokenManager.markReauthorizationRequired(userId, `Refresh token rejected (${responseCode}): ${response.getContentText()}`);
+        } else {
+          this.appCredentialError = `Code: ${responseCode}, Response: ${response.getContentText()}`;
+          debugLog(`Strava rejected the app credentials while refreshing the token of user ${userId}. Check STRAVA_CLIENT_ID and STRAVA_CLIENT_SECRET. ${this.appCredentialError}`, 'ERROR', true);
+        }
+        return null;
+      }
+      if (responseCode !== 200) {
+        throw new Error(`Code: ${response.getResponseCode()}, Response: ${response.getContentText()}`);
+      }
       
       const tokenData = JSON.parse(response.getContentText());
       const expiresAt = new Date(Date.now() + tokenData.expires_in * 1000);
 
-      // Update the user's data in our database
-      const user = DatabaseService.getUserData(userId);
-      user.accessToken = tokenData.access_token;
-      user.refreshToken = tokenData.refresh_token; // Strava may send a new refresh token
-      user.expiresAt = expiresAt.toISOString();
-      DatabaseService.updateUserData(userId, user);
+      CredentialStore.save(userId, {
+        accessToken: tokenData.access_token,
+        refreshToken: tokenData.refresh_token, // Strava may send a new refresh token
+        expiresAt: expiresAt.toISOString()
+      });
 
       debugLog(`Successfully refreshed token for user ${userId}.`, 'INFO');
       return { accessToken: tokenData.access_token, expiresAt };
       
     } catch (e) {
       debugLog(`Token refresh API call failed for user ${userId}: ${e.message}`, 'ERROR');
-      // Potentially mark user as needing re-authentication
       return null;
     }
   }
 
+  /**
+   * Private helper to tell a rejected refresh token from a rejected app. Strava names
+   * the offending field in the error body, e.g. `refresh_token` or `client_secret`.
+   * @param {string} responseText The body of the failed token response.
+   * @return {boolean} True only if the error is about the member's refresh token.
+   * @private
+   */
+  static _isRefreshTokenError(responseText) {
+    try {
+      const body = JSON.parse(responseText);
+      return Array.isArray(body.errors) && body.errors.some(error => error.field === 'refresh_token');
+    } catch (e) {
+      return false;
+    }
+  }
+
   /**
    * Parses activity details from a Strava activity page's HTML content.
    * @param {string} htmlContent The HTML of the activity page.
@@ -231,15 +329,16 @@ class StravaService {
 
       if (!activity) return null;
 
-      return {
+      // The page only exposes the sport type, so derive the legacy type and category from it.
+      return ActivityTypeService.normalize({
         id: activity.id,
         athlete_id: activity.athlete?.id,
         name: activity.name,
-        type: activity.activityKind?.sportType,
+        sport_type: activity.activityKind?.sportType,
         distance: activity.scalars?.distance,
         moving_time: activity.scalars?.movingTime,
         start_date: activity.startLocal,
-      };
+      });
     } catch (e) {
       debugLog(`Error parsing activity page HTML: ${e.message}`, 'ERROR');
       return null;
@@ -247,8 +346,9 @@ class StravaService {
   }
 }
 
-// Initialize the static property on the class. This is the correct way for Apps Script V8.
+// Initialize the static properties on the class. This is the correct way for Apps Script V8.
 StravaService.oAuth2Service = null;
+StravaService.appCredentialError = null; // Set when Strava rejects the app's client ID or secret
 
 
 /**
@@ -266,19 +366,40 @@ function handleAuthorizationCallback(request) {
       const accessToken = service.getAccessToken();
       const athleteInfo = StravaService.getAthleteInfo(accessToken);
       const tokenData = service.getToken(); // Gets the full token object
+      const existingUser = DatabaseService.getUserData(athleteInfo.id);
+      const isNewMember = !existingUser;
 
-      const userData = {
-        ...athleteInfo, // Spread raw athlete data
+      CredentialStore.save(athleteInfo.id, {
         accessToken: accessToken,
         refreshToken: tokenData.refresh_token,
         expiresAt: new Date(Date.now() + (tokenData.expires_in * 1000)).toISOString()
+      });
+
+      // Merge with the existing record so sync state survives a reconnect,
+      // and clear any earlier reauthorization flag.
+      const userData = {
+        ...(existingUser || {}),
+        ...athleteInfo, // Spread raw athlete data
+        reauthorizationRequired: false,
+        reauthorizationReason: null,
+        reauthorizationRequiredAt: null
       };
 
       DatabaseService.updateUserData(athleteInfo.id, userData);
       
       // Enqueue the new user for an initial activity fetch
       enqueueUsersForSync([athleteInfo.id]);
-      
+
+      // Members joining mid-season also get their earlier history backfilled.
+      if (isNewMember) {
+        enqueueUsersForBackfill_([athleteInfo.id]);
+      }
+
+      // When clubs share the worker, it only routes a member's events here once they are registered.
+      if (isNewMember && PropertiesService.getScriptProperties().getProperty(WORKER_ROUTING.CLUB_ID_PROPERTY)) {
+        registerAthletesWithWorker_();
+      }
+
       return HtmlService.createHtmlOutputFromFile('auth_success');
     } catch (e) {
       debugLog(`Error during auth callback processing: ${e.message}`, 'ERROR');
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview A shared HTTP client for every call to the Strava API.
+ * It records Strava's rate-limit headers in script properties so that
+ * background jobs can check the remaining budget before starting work,
+ * and it retries rate-limited (429) and server error (5xx) responses with backoff.
+ */
+
+class StravaApiClient {
+
+  /**
+   * Performs a request against the Strava API and records the rate-limit usage.
+   * HTTP errors never throw; callers inspect the response code as they would
+   * with `muteHttpExceptions: true`.
+   * @param {string} url The full request URL.
+   * @param {Object} [options={}] Options passed to UrlFetchApp.fetch.
+   * @return {GoogleAppsScript.URL_Fetch.HTTPResponse} The final response.
+   */
+  static fetch(url, options = {}) {
+    const requestOptions = { ...options, muteHttpExceptions: true };
+    let response;
+
+    for (let attempt = 0; attempt <= STRAVA_RATE_LIMIT.MAX_RETRIES; attempt++) {
+      response = UrlFetchApp.fetch(url, requestOptions);
+      this._recordUsage(response);
+
+      const responseCode = response.getResponseCode();
+      const isRateLimited = responseCode === 429;
+      const isServerError = responseCode >= 500;
+
+      if ((!isRateLimited && !isServerError) || attempt === STRAVA_RATE_LIMIT.MAX_RETRIES) {
+        break;
+      }
+
+      let waitMs = STRAVA_RATE_LIMIT.BACKOFF_BASE_MS * Math.pow(2, attempt);
+      if (isRateLimited) {
+        // Retrying before the 15-minute window resets only burns more budget.
+        const msUntilReset = this._msUntilShortWindowReset();
+        if (msUntilReset > STRAVA_RATE_LIMIT.MAX_WAIT_MS) {
+          debugLog(`Strava rate limit reached. Window resets in ${Math.round(msUntilReset / 1000)}s; deferring request to ${this._redact(url)}.`, 'WARNING', true);
+          break;
+        }
+        waitMs = Math.max(waitMs, msUntilReset);
+      }
+
+      debugLog(`Strava responded ${responseCode} for ${this._redact(url)}. Retrying in ${waitMs}ms (attempt ${attempt + 1}).`, 'WARNING');
+      Utilities.sleep(waitMs);
+    }
+
+    return response;
+  }
+
+  /**
+   * Gets the current rate-limit usage, resetting the counters of any window that has expired.
+   * @return {{shortUsage: number, shortLimit: number, dailyUsage: number, dailyLimit: number, updatedAt: string|null}}
+   */
+  static getUsage() {
+    const stateString = PropertiesService.getScriptProperties().getProperty(STRAVA_RATE_LIMIT.STATE_KEY);
+    const state = stateString ? JSON.parse(stateString) : {};
+    const now = new Date().getTime();
+
+    return {
+      shortUsage: state.shortWindowStart === this._shortWindowStart(now) ? (state.shortUsage || 0) : 0,
+      shortLimit: state.shortLimit || STRAVA_RATE_LIMIT.DEFAULT_SHORT_LIMIT,
+      dailyUsage: state.dailyWindowStart === this._dailyWindowStart(now) ? (state.dailyUsage || 0) : 0,
+      dailyLimit: state.dailyLimit || STRAVA_RATE_LIMIT.DEFAULT_DAILY_LIMIT,
+      updatedAt: state.updatedAt || null
+    };
+  }
+
+  /**
+   * Checks whether there is enough budget left to make a number of requests
+   * without getting close to either the 15-minute or the daily limit.
+   * @param {number} [requestCount=1] The number of requests about to be made.
+   * @return {boolean} True if the requests fit within the safety margin.
+   */
+  static hasBudget(requestCount = 1) {
+    const usage = this.getUsage();
+    const shortCeiling = Math.floor(usage.shortLimit * STRAVA_RATE_LIMIT.SAFETY_RATIO);
+    const dailyCeiling = Math.floor(usage.dailyLimit * STRAVA_RATE_LIMIT.SAFETY_RATIO);
+    return usage.shortUsage + requestCount <= shortCeiling && usage.dailyUsage + requestCount <= dailyCeiling;
+  }
+
+  /**
+   * Private helper to store the usage reported in a response's rate-limit headers.
+   * Responses without the headers (e.g. the OAuth token endpoint) are ignored.
+   * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response The Strava response.
+   * @private
+   */
+  static _recordUsage(response) {
+    const headers = response.getHeaders();
+    const limit = this._parseHeaderPair(headers, 'X-RateLimit-Limit');
+    const usage = this._parseHeaderPair(headers, 'X-RateLimit-Usage');
+    if (!usage) return;
+
+    const now = new Date().getTime();
+    const state = {
+      shortUsage: usage[0],
+      dailyUsage: usage[1],
+      shortLimit: limit ? limit[0] : STRAVA_RATE_LIMIT.DEFAULT_SHORT_LIMIT,
+      dailyLimit: limit ? limit[1] : STRAVA_RATE_LIMIT.DEFAULT_DAILY_LIMIT,
+      shortWindowStart: this._shortWindowStart(now),
+      dailyWindowStart: this._dailyWindowStart(now),
+      updatedAt: new Date(now).toISOString()
+    };
+    PropertiesService.getScriptProperties().setProperty(STRAVA_RATE_LIMIT.STATE_KEY, JSON.stringify(state));
+  }
+
+  /**
+   * Private helper to read a "15-minute,daily" header value case-insensitively.
+   * @param {Object} headers The response headers.
+   * @param {string} name The header name.
+   * @return {Array<number>|null} The two numbers, or null if the header is missing or malformed.
+   * @private
+   */
+  static _parseHeaderPair(headers, name) {
+    const key = Object.keys(headers).find(h => h.toLowerCase() === name.toLowerCase());
+    if (!key) return null;
+
+    const parts = String(headers[key]).split(',').map(part => parseInt(part, 10));
+    return parts.length === 2 && !parts.some(isNaN) ? parts : null;
+  }
+
+  /**
+   * Strava's 15-minute windows start at 0, 15, 30 and 45 minutes past the hour.
+   * @param {number} nowMs The current time in milliseconds.
+   * @return {number} The start of the current 15-minute window in milliseconds.
+   * @private
+   */
+  static _shortWindowStart(nowMs) {
+    return Math.floor(nowMs / STRAVA_RATE_LIMIT.SHORT_WINDOW_MS) * STRAVA_RATE_LIMIT.SHORT_WINDOW_MS;
+  }
+
+  /**
+   * @param {number} nowMs The current time in milliseconds.
+   * @return {number} Midnight UTC of the current day in milliseconds.
+   * @private
+   */
+  static _dailyWindowStart(nowMs) {
+    const date = new Date(nowMs);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  }
+
+  /**
+   * @return {number} Milliseconds until the current 15-minute window resets.
+   * @private
+   */
+  static _msUntilShortWindowReset() {
+    const now = new Date().getTime();
+    return this._shortWindowStart(now) + STRAVA_RATE_LIMIT.SHORT_WINDOW_MS - now;
+  }
+
+  /**
+   * Removes credentials from a URL before it is logged.
+   * @param {string} url The URL.
+   * @return {string} The URL without its query string.
+   * @private
+   */
+  static _redact(url) {
+    return url.split('?')[0];
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview This service derives swim-specific metrics (pool length, lengths,
+ * pace per 100m, stroke counts and a SWOLF-style score) from a detailed Strava
+ * activity and its laps, and stores them in the "SwimMetrics" sheet.
+ */
+
+class SwimMetricsService {
+
+  /**
+   * Checks whether an activity is a swim.
+   * @param {Object} activity The activity object.
+   * @return {boolean} True for swims.
+   */
+  static isSwim(activity) {
+    return ActivityTypeService.getCategory(activity) === 'Swim';
+  }
+
+  /**
+   * Checks whether a leaderboard only counts swims, so swim paces mean something on it.
+   * @param {Object|null} board A board from `SportsConfigService.getBoards`.
+   * @return {boolean} True if every sport on the board is a swim.
+   */
+  static isSwimBoard(board) {
+    return !!board && board.activityTypes.length > 0 && board.activityTypes.every(type => this.isSwim({ type: type }));
+  }
+
+  /**
+   * Computes and stores the swim metrics of one activity (see `recordForActivities`).
+   * @param {Object} activity A summary or detailed Strava activity.
+   * @return {Object|null} The stored metrics, or null if they could not be computed.
+   */
+  static recordForActivity(activity) {
+    return this.recordForActivities([activity])[0] || null;
+  }
+
+  /**
+   * Computes the swim metrics of the swims among a batch of activities and writes them
+   * to the SwimMetrics sheet in one upsert, replacing any previous row for the same
+   * activity. Activities that are not swims are ignored.
+   * @param {Array<Object>} activities Summary or detailed Strava activities.
+   * @return {Array<Object>} The stored metrics, one row per swim whose metrics could be computed.
+   */
+  static recordForActivities(activities) {
+    const metricsRows = activities.filter(activity => this.isSwim(activity))
+      .map(activity => this._computeForActivity(activity))
+      .filter(Boolean);
+    if (metricsRows.length === 0) return [];
+
+    try {
+      SheetService.ensureSheet(SHEET_NAMES.SWIM_METRICS, SHEET_HEADERS.SWIM_METRICS);
+      const result = SheetService.upsertObjects(SHEET_NAMES.SWIM_METRICS, metricsRows, 'activity_id');
+      if (!result.success) throw new Error(result.error);
+      debugLog(`Recorded swim metrics for activities ${metricsRows.map(metrics => metrics.activity_id).join(', ')}.`, 'DEBUG');
+      return metricsRows;
+
+    } catch (e) {
+      debugLog(`Error recording swim metrics for ${metricsRows.length} activities: ${e.message}`, 'ERROR');
+      return [];
+    }
+  }
+
+  /**
+   * Private helper to fetch a swim's detailed activity (which includes its laps) when
+   * needed and compute its metrics. The fetch is one more Strava call per swim; when
+   * the rate-limit budget is low, the metrics are computed from the summary alone and
+   * the lap-based fields are left empty.
+   * @param {Object} activity A summary or detailed Strava activity.
+   * @return {Object|null} The metrics, or null if they could not be computed.
+   * @private
+   */
+  static _computeForActivity(activity) {
+    try {
+      let detailedActivity = activity;
+      if (!Array.isArray(activity.laps) && !StravaApiClient.hasBudget(1)) {
+        debugLog(`Strava rate-limit budget is low. Recording swim ${activity.id} without its laps.`, 'WARNING');
+        detailedActivity = { ...activity, laps: [] };
+      } else if (!Array.isArray(activity.laps)) {
+        // Counted like any other call: StravaApiClient records the usage Strava reports.
+        const athleteId = activity.athlete ? activity.athlete.id : activity.athlete_id;
+        detailedActivity = StravaService.getActivityById(activity.id, athleteId);
+        if (!detailedActivity) {
+          debugLog(`Could not fetch detailed data for swim ${activity.id}. Metrics were not recorded.`, 'WARNING');
+          return null;
+        }
+      }
+
+      return this.computeMetrics(detailedActivity, detailedActivity.laps || []);
+
+    } catch (e) {
+      debugLog(`Error computing swim metrics for activity ${activity.id}: ${e.message}`, 'ERROR');
+      return null;
+    }
+  }
+
+  /**
+   * Computes the swim metrics for an activity from its laps.
+   * Paces are in seconds per 100m. The best 100m pace is that of the fastest run of
+   * consecutive laps covering at least 100m, so it works for 25m lengths as well as
+   * longer laps; a rest lap ends the run, since the swim around it was not continuous.
+   * Stroke counts come from the laps when Strava provides them, otherwise they are
+   * estimated from the average stroke cadence.
+   * Fields that cannot be derived (e.g. lengths for open water swims) are left empty.
+   *
+   * @param {Object} activity The detailed Strava activity.
+   * @param {Array<Object>} laps The activity's laps.
+   * @return {Object} A row for the SwimMetrics sheet.
+   */
+  static computeMetrics(activity, laps) {
+    const distance = parseFloat(activity.distance) || 0;
+    const movingTime = parseFloat(activity.moving_time) || 0;
+    const swimLaps = laps.filter(lap => (parseFloat(lap.distance) || 0) > 0);
+
+    const lapWithPool = laps.find(lap => parseFloat(lap.pool_length) > 0);
+    const poolLength = parseFloat(activity.pool_length) || (lapWithPool ? parseFloat(lapWithPool.pool_length) : 0);
+
+    const lengths = poolLength > 0
+      ? swimLaps.reduce((sum, lap) => sum + Math.round(parseFloat(lap.distance) / poolLength), 0) || Math.round(distance / poolLength)
+      : null;
+
+    const bestPace = this._bestPacePer100m(laps);
+
+    const totalStrokes = this._countStrokes(swimLaps);
+    const strokesPerLength = totalStrokes !== null && lengths ? totalStrokes / lengths : null;
+    const secondsPerLength = lengths ? movingTime / lengths : null;
+
+    return {
+      activity_id: activity.id,
+      athlete_id: activity.athlete ? activity.athlete.id : activity.athlete_id,
+      start_date: activity.start_date,
+      distance: distance,
+      moving_time: movingTime,
+      pool_length: poolLength || '',
+      lengths: lengths === null ? '' : lengths,
+      lap_count: swimLaps.length,
+      pace_per_100m: distance > 0 ? this._round(this._pacePer100m(movingTime, distance)) : '',
+      best_100m_pace: bestPace === null ? '' : this._round(bestPace),
+      total_strokes: totalStrokes === null ? '' : Math.round(totalStrokes),
+      strokes_per_length: strokesPerLength === null ? '' : this._round(strokesPerLength),
+      swolf: strokesPerLength !== null && secondsPerLength !== null ? this._round(secondsPerLength + strokesPerLength) : '',
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Reads all stored swim metrics, keyed by activity ID.
+   * Returns an empty map if the SwimMetrics sheet has not been created yet.
+   * @return {Map<string, Object>} The metrics rows by activity ID.
+   */
+  static getMetricsByActivityId() {
+    try {
+      const rows = SheetService.getDataAsObjects(SHEET_NAMES.SWIM_METRICS);
+      return new Map(rows.map(row => [String(row.activity_id), row]));
+    } catch (e) {
+      debugLog(`Swim metrics are unavailable: ${e.message}`, 'DEBUG');
+      return new Map();
+    }
+  }
+
+  /**
+   * Private helper to total the stroke counts of a list of laps.
+   * @param {Array<Object>} laps The laps with a distance.
+   * @return {number|null} The total strokes, or null if no lap has stroke data.
+   * @private
+   */
+  static _countStrokes(laps) {
+    let total = 0;
+    let hasData = false;
+
+    laps.forEach(lap => {
+      const strokes = parseFloat(lap.total_strokes !== undefined ? lap.total_strokes : lap.strokes);
+      const cadence = parseFloat(lap.average_cadence);
+      if (!isNaN(strokes)) {
+        total += strokes;
+        hasData = true;
+      } else if (!isNaN(cadence) && parseFloat(lap.moving_time) > 0) {
+        // Strava reports swim cadence in strokes per minute.
+        total += cadence * parseFloat(lap.moving_time) / 60;
+        hasData = true;
+      }
+    });
+
+    return hasData ? total : null;
+  }
+
+  /**
+   * Private helper to find the fastest 100m of a swim: for each lap, the shortest run
+   * of consecutive laps starting there that covers at least 100m, timed as a whole.
+   * Rest laps (no distance) break a run.
+   * @param {Array<Object>} laps All the laps, rest laps included, in order.
+   * @return {number|null} Seconds per 100m, or null if the laps never add up to 100m.
+   * @private
+   */
+  static _bestPacePer100m(laps) {
+    let best = null;
+    for (let start = 0; start < laps.length; start++) {
+      let meters = 0;
+      let seconds = 0;
+      for (let end = start; end < laps.length && meters < 100; end++) {
+        const lapMeters = parseFloat(laps[end].distance) || 0;
+        if (lapMeters <= 0) break;
+        meters += lapMeters;
+        seconds += parseFloat(laps[end].moving_time) || 0;
+      }
+      if (meters >= 100 && seconds > 0) {
+        const pace = this._pacePer100m(seconds, meters);
+        if (best === null || pace < best) best = pace;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * @param {number} seconds The time in seconds.
+   * @param {number} meters The distance in meters.
+   * @return {number} Seconds per 100 meters.
+   * @private
+   */
+  static _pacePer100m(seconds, meters) {
+    return seconds / meters * 100;
+  }
+
+  /**
+   * @param {number} value The number to round.
+   * @return {number} The value rounded to one decimal place.
+   * @private
+   */
+  static _round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
@@ -42,9 +42,19 @@ function runAllTests() {
   try {
     // Run tests in a logical order
     testSheetService();
+    testInMemoryStorageBackend();
+    testSheetServiceIdIndex();
+    testSchemaMigrations();
+    testMemberPurge();
     testDatabaseWriteOperations(testUserId);
     testGetSingleUserData(testUserId);
     testGetAllUsersData(testUserId);
+    testCredentialStoreSplit(testUserId);
+    testSwimMetricsComputation();
+    testActivityTypeNormalization();
+    testWebhookSignatureVerification();
+    testWebhookEventDeduplication();
+    testStravaEventSchemaValidation();
     debugLog('====== ALL TESTS PASSED SUCCESSFULLY ======', 'INFO');
   } catch (e) {
     debugLog(`====== A TEST FAILED: ${e.message} ======`, 'ERROR');
@@ -64,6 +74,7 @@ function _cleanupTestUser(testUserId) {
     const dbData = dbSheet.getDataRange().getValues();
     const rowIndex = dbData.findIndex(row => row[DB_COLUMNS.ID - 1] == testUserId);
     
+    CredentialStore.remove(testUserId);
     if (rowIndex > -1) {
       dbSheet.deleteRow(rowIndex + 1);
       AppCache.remove(CACHE_KEYS.ALL_MEMBERS); // Clear cache to reflect deletion
@@ -120,17 +131,216 @@ function testSheetService() {
 }
 
 /**
- * Tests the create/update and encoding logic of the DatabaseService.
+ * Runs SheetService and services built on it against the in-memory backend,
+ * so the real spreadsheet is never touched.
+ */
+function testInMemoryStorageBackend() {
+  debugLog('--- Running In-Memory Storage Backend Tests ---', 'INFO');
+  SheetService.setBackend(new InMemoryStorageBackend({
+    [SHEET_NAMES.REGISTRATIONS]: [['EventID', 'Name'], ['E1', 'Ann'], ['E1', 'Bob']],
+    [SHEET_NAMES.CHALLENGE_PARTICIPANTS]: [['ChallengeID', 'UserID', 'Progress']]
+  }));
+
+  try {
+    assert(SheetService.ensureSheet('TestSheet_Memory', ['ID', 'Name']) === true, 'ensureSheet should create a missing table.');
+    SheetService.appendObjects('TestSheet_Memory', [{ ID: 1, Name: 'A' }, { ID: 2, Name: 'B' }, { ID: 2, Name: 'B again' }]);
+    SheetService.ensureColumns('TestSheet_Memory', ['ID', 'Name', 'Value']);
+    SheetService.updateObjectById('TestSheet_Memory', 1, { Value: 10 }, 'ID');
+    SheetService.removeDuplicates('TestSheet_Memory', 1);
+    const rows = SheetService.getDataAsObjects('TestSheet_Memory');
+    assert(rows.length === 2 && rows[0].Value === 10 && rows[1].Value === '', 'SheetService should work the same on the in-memory backend.');
+    debugLog('Test Passed: SheetService on the in-memory backend', 'INFO');
+
+    ChallengeService._updateParticipantProgress('C1', '42', { Progress: 5 });
+    ChallengeService._updateParticipantProgress('C1', '42', { Progress: 7 });
+    const participants = SheetService.getDataAsObjects(SHEET_NAMES.CHALLENGE_PARTICIPANTS);
+    assert(participants.length === 1 && participants[0].Progress === 7, 'Challenge progress should be created, then updated in place.');
+
+    const cancelled = JSON.parse(deleteRegistration({ eventId: 'E1', name: ' ann ' }));
+    const registrations = SheetService.getDataAsObjects(SHEET_NAMES.REGISTRATIONS);
+    assert(cancelled.success && registrations.length === 1 && registrations[0].Name === 'Bob', 'deleteRegistration should remove only the matching registration.');
+
+    SheetService.appendObjects(SHEET_NAMES.REGISTRATIONS, [{ EventID: 'E1', Name: 'Cy' }, { EventID: 'E1', Name: 'cy' }]);
+    JSON.parse(deleteRegistration({ eventId: 'E1', name: 'Cy' }));
+    const remaining = SheetService.getDataAsObjects(SHEET_NAMES.REGISTRATIONS).map(row => row.Name);
+    assert(remaining.join() === 'Bob,Cy', 'deleteRegistration should cancel one of two registrations under the same name.');
+    debugLog('Test Passed: Services run on the in-memory backend', 'INFO');
+  } finally {
+    SheetService.resetBackends();
+  }
+}
+
+/**
+ * Tests the ID-indexed operations of the SheetService: bulk upserts and deletes,
+ * and recovery when the sheet was changed behind the index's back.
+ */
+function testSheetServiceIdIndex() {
+  debugLog('--- Running SheetService ID Index Tests ---', 'INFO');
+  const backend = new InMemoryStorageBackend({
+    TestSheet_Index: [['id', 'Value'], [1, 'a'], [2, 'b'], [3, 'c'], [4, 'd'], [5, 'e']]
+  });
+  SheetService.setBackend(backend);
+
+  try {
+    const upserted = SheetService.upsertObjects('TestSheet_Index', [
+      { id: 2, Value: 'b2' }, { id: 3, Value: 'c2' }, { id: 9, Value: 'i' }, { id: '9', Value: 'i2' }
+    ]);
+    assert(upserted.success && upserted.updated === 2 && upserted.inserted === 1, 'upsertObjects should update existing rows and append new ones once.');
+    assert(SheetService.getObjectById('TestSheet_Index', 3).Value === 'c2' && SheetService.getObjectById('TestSheet_Index', 9).Value === 'i2', 'upsertObjects should keep the last object for each ID.');
+
+    const existing = SheetService.findExistingIds('TestSheet_Index', [1, '9', 42]);
+    assert(existing.size === 2 && existing.has('1') && existing.has('9'), 'findExistingIds should report only the IDs in the sheet.');
+
+    const deleted = SheetService.deleteObjectsByIds('TestSheet_Index', [2, 3, 5, 'missing']);
+    assert(deleted.success && deleted.count === 3, 'deleteObjectsByIds should delete every row it finds.');
+    assert(SheetService.getDataAsObjects('TestSheet_Index').map(row => row.id).join(',') === '1,4,9', 'deleteObjectsByIds should leave the other rows in order.');
+    assert(SheetService.getObjectById('TestSheet_Index', 9).Value === 'i2', 'The index should follow the rows moved by a delete.');
+    debugLog('Test Passed: Bulk upserts and deletes keep the ID index current', 'INFO');
+
+    // A manual edit: rows swapped without going through the SheetService.
+    backend.writeRows('TestSheet_Index', 1, [[4, 'd'], [1, 'a']]);
+    assert(SheetService.getObjectById('TestSheet_Index', 1).Value === 'a', 'A stale index should be rebuilt rather than return the wrong row.');
+    backend.writeRows('TestSheet_Index', 1, [[1, 'a'], [4, 'd']]);
+    const afterEdit = SheetService.upsertObjects('TestSheet_Index', [{ id: 4, Value: 'd2' }]);
+    assert(afterEdit.success && afterEdit.updated === 1 && SheetService.getDataAsObjects('TestSheet_Index')[1].Value === 'd2', 'upsertObjects should recover from a stale index.');
+
+    // A manual edit that keeps the row count: an ID typed over, which the index cannot notice.
+    backend.writeRows('TestSheet_Index', 3, [[7, 'g']]);
+    const typedOver = SheetService.findExistingIds('TestSheet_Index', [7, 9]);
+    assert(typedOver.size === 1 && typedOver.has('7'), 'findExistingIds should see an ID typed over by hand.');
+    backend.writeRows('TestSheet_Index', 3, [[8, 'h']]);
+    SheetService.upsertObjects('TestSheet_Index', [{ id: 8, Value: 'h2' }]);
+    assert(SheetService.getDataAsObjects('TestSheet_Index').map(row => `${row.id}${row.Value}`).join(',') === '1a,4d2,8h2', 'upsertObjects should update an ID typed over by hand instead of adding it again.');
+    debugLog('Test Passed: A stale ID index is detected and rebuilt', 'INFO');
+  } finally {
+    SheetService.resetBackends();
+  }
+}
+
+/**
+ * Tests that schema migrations run once, in order, and stop at the first failure.
+ * Runs against a test registry; the real SchemaVersion record is restored afterwards.
+ */
+function testSchemaMigrations() {
+  debugLog('--- Running Schema Migration Tests ---', 'INFO');
+  const props = PropertiesService.getScriptProperties();
+  const storedRecord = props.getProperty(SCHEMA_MIGRATIONS.VERSION_PROPERTY);
+  const registeredMigrations = MigrationService.MIGRATIONS;
+  const runs = [];
+  let secondShouldFail = true;
+
+  try {
+    props.deleteProperty(SCHEMA_MIGRATIONS.VERSION_PROPERTY);
+    MigrationService.MIGRATIONS = [
+      { version: 1, name: 'first', run: dryRun => { runs.push(`1${dryRun ? '?' : ''}`); return { changed: 1 }; } },
+      { version: 2, name: 'second', run: () => {
+        if (secondShouldFail) throw new Error('Test failure');
+        runs.push('2');
+        return { changed: 2 };
+      } },
+      { version: 3, name: 'third', run: () => { runs.push('3'); return { changed: 3 }; } }
+    ];
+
+    const preview = MigrationService.applyPending(true);
+    assert(preview.applied.length === 1 && preview.failed.version === 2 && MigrationService.getSchemaVersion() === 0, 'A dry run should report the migrations without recording them.');
+
+    const firstRun = MigrationService.applyPending();
+    assert(firstRun.toVersion === 1 && firstRun.failed.error === 'Test failure', 'A failed migration should stop the run after recording the ones before it.');
+
+    secondShouldFail = false;
+    const secondRun = MigrationService.applyPending();
+    assert(secondRun.fromVersion === 1 && secondRun.toVersion === 3 && !secondRun.failed, 'The next run should resume at the failed migration.');
+    assert(runs.join(',') === '1?,1,2,3', 'Every migration should run exactly once.');
+    assert(MigrationService.getSchemaRecord().history.length === 3 && MigrationService.applyPending().applied.length === 0, 'The SchemaVersion record should list every applied migration.');
+
+    MigrationService.MIGRATIONS = [{ version: 2, name: 'misnumbered', run: () => ({}) }];
+    let registryError = null;
+    try {
+      MigrationService.getPendingMigrations();
+    } catch (e) {
+      registryError = e;
+    }
+    assert(registryError !== null, 'A misnumbered migration should be rejected.');
+    debugLog('Test Passed: Schema migrations', 'INFO');
+  } finally {
+    MigrationService.MIGRATIONS = registeredMigrations;
+    if (storedRecord) {
+      props.setProperty(SCHEMA_MIGRATIONS.VERSION_PROPERTY, storedRecord);
+    } else {
+      props.deleteProperty(SCHEMA_MIGRATIONS.VERSION_PROPERTY);
+    }
+  }
+}
+
+/**
+ * Tests that purging a member under either policy removes or anonymizes their rows
+ * in every sheet and leaves everyone else's alone. Runs against the in-memory backend.
+ */
+function testMemberPurge() {
+  debugLog('--- Running Member Purge Tests ---', 'INFO');
+  const memberId = '999999998';
+  const loadFixture = () => {
+    SheetService.setBackend(new InMemoryStorageBackend({
+      [SHEET_NAMES.DATABASE]: [['ID', 'NAME', 'USER_DATA', 'LAST_UPDATED'], [memberId, 'Ann', '{}', ''], ['42', 'Bob', '{}', '']],
+      [SHEET_NAMES.ACTIVITIES]: [['id', 'athlete_id', 'name', 'distance'], ['101', memberId, 'Morning swim', 1000], ['102', '42', 'Run', 500], ['103', memberId, 'Evening swim', 2000]],
+      [SHEET_NAMES.SWIM_METRICS]: [SHEET_HEADERS.SWIM_METRICS],
+      [SHEET_NAMES.HIDDEN_ACTIVITIES]: [SHEET_HEADERS.HIDDEN_ACTIVITIES],
+      [SHEET_NAMES.CHALLENGES]: [['ChallengeID', 'Status', 'Type']],
+      [SHEET_NAMES.CHALLENGE_PARTICIPANTS]: [['ChallengeID', 'UserID'], ['C1', memberId], ['C1', '42']],
+      // The second "Ann" was typed in by hand and may be someone else, so it is kept.
+      [SHEET_NAMES.REGISTRATIONS]: [['EventID', 'Name', 'Notes', 'StravaLink', 'AthleteID'], ['E1', 'Ann', 'Lane 2', 'link', memberId], ['E1', 'Ann', '', '', '']],
+      [SHEET_NAMES.WEBHOOK_EVENTS]: [SHEET_HEADERS.WEBHOOK_EVENTS],
+      [SHEET_NAMES.WEBHOOK_OUTAGES]: [SHEET_HEADERS.WEBHOOK_OUTAGES]
+    }));
+    SheetService.appendObjects(SHEET_NAMES.SWIM_METRICS, [{ activity_id: '101', athlete_id: memberId, distance: 1000 }]);
+    SheetService.appendObjects(SHEET_NAMES.HIDDEN_ACTIVITIES, [{ activity_id: '104', athlete_id: memberId }]);
+    SheetService.appendObjects(SHEET_NAMES.WEBHOOK_EVENTS, [{ ID: 'w1', OwnerID: memberId }, { ID: 'w2', OwnerID: '42' }]);
+    SheetService.appendObjects(SHEET_NAMES.WEBHOOK_OUTAGES, [{ ID: 'o1', Status: 'recovered', RecoveredActivityIDs: '101, 102' }]);
+  };
+  const columnOf = (sheetName, column) => SheetService.getDataAsObjects(sheetName).map(row => String(row[column])).join(',');
+
+  try {
+    loadFixture();
+    const deleted = MemberPurgeService.purgeMember(memberId, 'test', 'delete');
+    assert(deleted.errors.length === 0 && deleted.counts[SHEET_NAMES.ACTIVITIES] === 2 && deleted.counts[SHEET_NAMES.REGISTRATIONS] === 1, 'The delete receipt should count the rows removed from each sheet.');
+    assert(columnOf(SHEET_NAMES.DATABASE, 'ID') === '42' && columnOf(SHEET_NAMES.ACTIVITIES, 'id') === '102' && columnOf(SHEET_NAMES.CHALLENGE_PARTICIPANTS, 'UserID') === '42', 'The delete policy should remove only the member\'s rows.');
+    assert(columnOf(SHEET_NAMES.SWIM_METRICS, 'activity_id') === '' && columnOf(SHEET_NAMES.HIDDEN_ACTIVITIES, 'activity_id') === '', 'The delete policy should remove the member\'s swim metrics and hidden activities.');
+    assert(columnOf(SHEET_NAMES.REGISTRATIONS, 'Name') === 'Ann', 'Registrations should be matched by athlete ID, not by name.');
+    assert(columnOf(SHEET_NAMES.WEBHOOK_EVENTS, 'ID') === 'w2' && columnOf(SHEET_NAMES.WEBHOOK_OUTAGES, 'RecoveredActivityIDs') === '102', 'The webhook journal and recovery records should forget the member.');
+    assert(columnOf(SHEET_NAMES.AUDIT_LOG, 'policy') === 'delete', 'The purge should leave a receipt in the AuditLog.');
+    debugLog('Test Passed: Member purge with the delete policy', 'INFO');
+
+    loadFixture();
+    const anonymized = MemberPurgeService.purgeMember(memberId, 'test', 'anonymize');
+    const activities = SheetService.getDataAsObjects(SHEET_NAMES.ACTIVITIES);
+    const formerActivities = activities.filter(row => MemberPurgeService.isFormerMember(row.athlete_id));
+    const metrics = SheetService.getDataAsObjects(SHEET_NAMES.SWIM_METRICS);
+    assert(anonymized.errors.length === 0 && anonymized.counts[SHEET_NAMES.ACTIVITIES] === 2 && anonymized.counts[SHEET_NAMES.HIDDEN_ACTIVITIES] === 1, 'The anonymize receipt should count the rows changed in each sheet.');
+    assert(activities.length === 3 && formerActivities.length === 2 && formerActivities.every(row => row.name === '' && MemberPurgeService.isFormerMember(row.id)), 'The anonymize policy should keep the member\'s activities under random IDs, without titles.');
+    assert(formerActivities.reduce((sum, row) => sum + row.distance, 0) === 3000 && columnOf(SHEET_NAMES.ACTIVITIES, 'id').includes('102'), 'The anonymize policy should keep the club totals and other members\' activities.');
+    assert(metrics.length === 1 && metrics[0].activity_id === formerActivities[0].id && metrics[0].athlete_id === formerActivities[0].athlete_id, 'Swim metrics should stay joined to their anonymized activity.');
+    assert(columnOf(SHEET_NAMES.HIDDEN_ACTIVITIES, 'activity_id') === '' && columnOf(SHEET_NAMES.DATABASE, 'ID') === '42', 'Hidden activities and the member record should always be deleted.');
+    const registrations = SheetService.getDataAsObjects(SHEET_NAMES.REGISTRATIONS);
+    assert(registrations[0].Name === MEMBER_PURGE.ANONYMIZED_NAME && registrations[0].Notes === '' && MemberPurgeService.isFormerMember(registrations[0].AthleteID) && registrations[1].Name === 'Ann', 'Only the member\'s own registration should be anonymized.');
+    assert(columnOf(SHEET_NAMES.CHALLENGE_PARTICIPANTS, 'UserID') === `${formerActivities[0].athlete_id},42`, 'Challenge participation should move to the anonymous ID.');
+    debugLog('Test Passed: Member purge with the anonymize policy', 'INFO');
+  } finally {
+    SheetService.resetBackends();
+  }
+}
+
+/**
+ * Tests the create/update and encryption logic of the DatabaseService.
  * @param {number} testUserId The ID for the test user.
  */
 function testDatabaseWriteOperations(testUserId) {
-  debugLog('--- Running Database Write & Encoding Tests ---', 'INFO');
+  debugLog('--- Running Database Write & Encryption Tests ---', 'INFO');
   const dbSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.DATABASE);
   const testUserData = {
       id: testUserId,
       firstname: 'Test',
       lastname: 'User',
-      accessToken: 'test-token-' + new Date().getTime()
+      city: 'Test City'
   };
 
   const createResult = DatabaseService.updateUserData(testUserId, testUserData);
@@ -142,11 +352,34 @@ function testDatabaseWriteOperations(testUserId) {
   assert(newRowIndex > -1, 'Test user row was not found in the sheet after creation.');
   const rawEncodedData = updatedData[newRowIndex][DB_COLUMNS.USER_DATA - 1];
   
-  const plainJsonWithoutId = `{"firstname":"Test","lastname":"User","accessToken":"${testUserData.accessToken}"}`;
+  const plainJsonWithoutId = `{"firstname":"Test","lastname":"User","city":"${testUserData.city}"}`;
   assert(rawEncodedData.length > 0, 'USER_DATA should not be empty.');
-  assert(rawEncodedData.indexOf('accessToken') === -1, 'USER_DATA should be encoded and not contain plain text keys.');
-  assert(decodeData(rawEncodedData) === plainJsonWithoutId, 'decodeData should correctly reverse the encoded string.');
-  debugLog('Test Passed: Data is correctly encoded in the sheet.', 'INFO');
+  assert(rawEncodedData.indexOf('firstname') === -1, 'USER_DATA should be encoded and not contain plain text keys.');
+  assert(DataEncryption.getKeyVersion(rawEncodedData) === DataEncryption.getCurrentKeyVersion(), 'USER_DATA should be encrypted with the current key.');
+  assert(decodeData(rawEncodedData).indexOf('firstname') === -1, 'USER_DATA should not be readable by reversing the old Caesar shift.');
+  assert(DataEncryption.decrypt(rawEncodedData) === plainJsonWithoutId, 'decrypt should correctly reverse the encrypted string.');
+  debugLog('Test Passed: Data is correctly encrypted in the sheet.', 'INFO');
+
+  const tampered = rawEncodedData.slice(0, -2) + (rawEncodedData.slice(-2) === 'AA' ? 'BB' : 'AA');
+  let tamperedError = null;
+  try {
+    DataEncryption.decrypt(tampered);
+  } catch (e) {
+    tamperedError = e;
+  }
+  assert(tamperedError !== null, 'decrypt should reject a modified value.');
+  debugLog('Test Passed: Modified encrypted data is rejected.', 'INFO');
+
+  // Rows from before encryption must keep decoding until they are migrated.
+  dbSheet.getRange(newRowIndex + 1, DB_COLUMNS.USER_DATA).setValue(encodeData(plainJsonWithoutId));
+  AppCache.remove(CACHE_KEYS.ALL_MEMBERS);
+  const legacyUser = DatabaseService.getUserData(testUserId);
+  assert(legacyUser && legacyUser.city === testUserData.city, 'Rows in the old format should still decode.');
+  DatabaseService.reencryptAllUsers();
+  const migratedData = dbSheet.getRange(newRowIndex + 1, DB_COLUMNS.USER_DATA).getValue();
+  assert(DataEncryption.isEncrypted(migratedData), 'reencryptAllUsers should encrypt rows in the old format.');
+  assert(DataEncryption.decrypt(migratedData) === plainJsonWithoutId, 'Migrated rows should decrypt to the original data.');
+  debugLog('Test Passed: Old-format rows decode and are migrated.', 'INFO');
 }
 
 /**
@@ -164,7 +397,7 @@ function testGetSingleUserData(testUserId = "63781571") {
   assert(user, 'getUserData should return a user object for an existing user.');
   assert(user.id == testUserId, `Fetched user ID ${user.id} does not match expected ID ${testUserId}.`);
   assert(user.name === 'Test User', 'User name is incorrect.');
-  assert(user.accessToken.startsWith('test-token'), 'User access token is incorrect.');
+  assert(user.city === 'Test City', 'User profile data is incorrect.');
   
   debugLog('Test Passed: getUserData correctly decodes and returns a single user object.', 'INFO');
 }
@@ -186,6 +419,170 @@ function testGetAllUsersData(testUserId) {
   debugLog('Test Passed: getAllUsers includes the test user.', 'INFO');
 }
 
+/**
+ * Tests that credentials are kept out of the Database sheet and the member APIs,
+ * and that rows from before the split are migrated. Assumes the test user exists.
+ * @param {number} testUserId The ID of the test user.
+ */
+function testCredentialStoreSplit(testUserId) {
+  debugLog('--- Running Credential Store Tests ---', 'INFO');
+  const dbSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.DATABASE);
+  const credentials = { accessToken: 'test-access-' + new Date().getTime(), refreshToken: 'test-refresh', expiresAt: new Date().toISOString() };
+  const user = DatabaseService.getUserData(testUserId);
+
+  DatabaseService.updateUserData(testUserId, { ...user, ...credentials });
+  const rowIndex = dbSheet.getDataRange().getValues().findIndex(row => row[DB_COLUMNS.ID - 1] == testUserId);
+  const storedRow = JSON.parse(DataEncryption.decrypt(dbSheet.getRange(rowIndex + 1, DB_COLUMNS.USER_DATA).getValue()));
+  assert(!('accessToken' in storedRow) && !('refreshToken' in storedRow), 'updateUserData should never write credentials to the sheet.');
+  assert(CredentialStore.get(testUserId).accessToken === credentials.accessToken, 'updateUserData should move credentials to the CredentialStore.');
+  debugLog('Test Passed: Credentials are written to the CredentialStore only.', 'INFO');
+
+  const member = JSON.parse(getAllMembersData()).data.find(m => m.id == testUserId);
+  assert(member && member.isAuthorized === true, 'getAllMembersData should report the test user as connected.');
+  assert(Object.keys(member).every(key => MEMBER_PUBLIC_FIELDS.includes(key) || key === 'isAuthorized' || key === 'needsReauthorization'), 'getAllMembersData should only return public fields.');
+  debugLog('Test Passed: Member APIs return the public profile only.', 'INFO');
+
+  // A row from before the split keeps its credentials in USER_DATA until it is migrated.
+  CredentialStore.remove(testUserId);
+  dbSheet.getRange(rowIndex + 1, DB_COLUMNS.USER_DATA).setValue(DataEncryption.encrypt(JSON.stringify({ firstname: 'Test', lastname: 'User', city: 'Test City', ...credentials })));
+  DatabaseService.moveCredentialsToStore();
+  const migratedRow = JSON.parse(DataEncryption.decrypt(dbSheet.getRange(rowIndex + 1, DB_COLUMNS.USER_DATA).getValue()));
+  assert(!('refreshToken' in migratedRow) && migratedRow.city === 'Test City', 'moveCredentialsToStore should strip credentials and keep the profile.');
+  assert(CredentialStore.get(testUserId).refreshToken === credentials.refreshToken, 'moveCredentialsToStore should store the credentials.');
+  debugLog('Test Passed: Old rows are split into profile and credentials.', 'INFO');
+}
+
+/**
+ * Tests the lap-based swim metric calculations. Does not touch any sheet.
+ */
+function testSwimMetricsComputation() {
+  debugLog('--- Running Swim Metrics Computation Test ---', 'INFO');
+
+  const activity = { id: 1, athlete: { id: 2 }, type: 'Swim', distance: 200, moving_time: 240, start_date: '2025-06-01T00:00:00Z' };
+  const laps = [
+    { distance: 100, moving_time: 110, pool_length: 25, total_strokes: 60 },
+    { distance: 100, moving_time: 130, pool_length: 25, total_strokes: 68 },
+    { distance: 0, moving_time: 30, pool_length: 25 } // A rest lap
+  ];
+
+  const metrics = SwimMetricsService.computeMetrics(activity, laps);
+  assert(metrics.pool_length === 25, 'Pool length should be read from the laps.');
+  assert(metrics.lengths === 8, 'Lengths should be distance divided by pool length.');
+  assert(metrics.lap_count === 2, 'Rest laps should not count as swim laps.');
+  assert(metrics.pace_per_100m === 120, 'Pace per 100m should be moving time per 100m.');
+  assert(metrics.best_100m_pace === 110, 'Best 100m pace should be the fastest lap.');
+
+  const lengthLaps = [30, 26, 27, 28, 29, 35].map(seconds => ({ distance: 25, moving_time: seconds, pool_length: 25 }));
+  const lengthMetrics = SwimMetricsService.computeMetrics({ ...activity, distance: 150, moving_time: 175 }, lengthLaps);
+  assert(lengthMetrics.best_100m_pace === 110, 'Best 100m pace should be the fastest four consecutive 25m lengths.');
+  assert(SwimMetricsService.computeMetrics(activity, lengthLaps.slice(0, 3)).best_100m_pace === '', 'Laps under 100m in total should have no best 100m pace.');
+  const restedLaps = [{ distance: 50, moving_time: 50 }, { distance: 0, moving_time: 60 }, { distance: 50, moving_time: 50 }];
+  assert(SwimMetricsService.computeMetrics(activity, restedLaps).best_100m_pace === '', 'A rest lap should break the run of laps a best 100m pace is timed over.');
+  assert(metrics.strokes_per_length === 16, 'Strokes per length should be total strokes divided by lengths.');
+  assert(metrics.swolf === 46, 'SWOLF should be seconds per length plus strokes per length.');
+
+  const openWater = SwimMetricsService.computeMetrics({ ...activity, laps: undefined }, []);
+  assert(openWater.lengths === '' && openWater.swolf === '', 'Open water swims should leave length-based metrics empty.');
+
+  debugLog('Test Passed: Swim metrics are computed from laps.', 'INFO');
+}
+
+/**
+ * Tests that API activities, page imports and old sheet rows normalize to the same sport.
+ * Does not touch any sheet.
+ */
+function testActivityTypeNormalization() {
+  debugLog('--- Running Activity Type Normalization Test ---', 'INFO');
+
+  const fromApi = ActivityTypeService.normalize({ type: 'Run', sport_type: 'TrailRun' });
+  assert(fromApi.type === 'Run' && fromApi.sport_type === 'TrailRun' && fromApi.category === 'Run', 'API activities should keep their sport type and get a category.');
+
+  const fromImport = ActivityTypeService.normalize({ sport_type: 'Trail Run' });
+  assert(fromImport.type === 'Run' && fromImport.sport_type === 'TrailRun', 'Imported sport types should map to the legacy type.');
+
+  const fromOldRow = ActivityTypeService.normalize({ type: 'Swim', sport_type: '' });
+  assert(fromOldRow.sport_type === 'Swim' && fromOldRow.category === 'Swim', 'Rows with only a type should be normalized from it.');
+
+  const unknown = ActivityTypeService.normalize({ type: 'Workout', sport_type: 'Pickleball' });
+  assert(unknown.type === 'Workout' && unknown.category === 'Pickleball', 'Unknown sport types should be their own category.');
+
+  debugLog('Test Passed: Activity types are normalized for every source.', 'INFO');
+}
+
+/**
+ * Tests that signed worker events are accepted once, and that tampered,
+ * stale or replayed events are rejected. Uses the configured WORKER_SHARED_SECRET.
+ */
+function testWebhookSignatureVerification() {
+  debugLog('--- Running Webhook Signature Verification Test ---', 'INFO');
+
+  const secret = PropertiesService.getScriptProperties().getProperty(WEBHOOK_SIGNATURE.SECRET_PROPERTY);
+  assert(secret, `${WEBHOOK_SIGNATURE.SECRET_PROPERTY} must be set to run this test.`);
+
+  const signEnvelope = (payload, timestamp, key) => {
+    const nonce = Utilities.getUuid();
+    return { timestamp: timestamp, nonce: nonce, payload: payload, signature: WebhookSecurity.sign(`${timestamp}.${nonce}.${payload}`, key) };
+  };
+  const now = Math.floor(new Date().getTime() / 1000);
+  const payload = JSON.stringify({ object_type: 'activity', aspect_type: 'create', object_id: 1, owner_id: 2 });
+
+  const envelope = signEnvelope(payload, now, secret);
+  const result = WebhookSecurity.verify(envelope);
+  assert(result.valid && result.payload.object_id === 1, 'A correctly signed event should be accepted.');
+  assert(!WebhookSecurity.verify(envelope).valid, 'A replayed nonce should be rejected.');
+
+  const tampered = signEnvelope(payload, now, secret);
+  tampered.payload = payload.replace('"object_id":1', '"object_id":3');
+  assert(!WebhookSecurity.verify(tampered).valid, 'A tampered payload should be rejected.');
+
+  const stale = signEnvelope(payload, now - WEBHOOK_SIGNATURE.MAX_CLOCK_SKEW_SECONDS - 60, secret);
+  assert(!WebhookSecurity.verify(stale).valid, 'A stale timestamp should be rejected.');
+
+  assert(!WebhookSecurity.verify(signEnvelope(payload, now, 'not-the-secret')).valid, 'A signature made with another key should be rejected.');
+  assert(!WebhookSecurity.verify({ secret: secret, strava_payload: {} }).valid, 'The old plaintext-secret format should be rejected.');
+
+  debugLog('Test Passed: Webhook signatures are verified and replays are rejected.', 'INFO');
+}
+
+/**
+ * Tests that redelivered events and updates older than a processed event are skipped.
+ * Uses a random object ID so no real activity is touched.
+ */
+function testWebhookEventDeduplication() {
+  debugLog('--- Running Webhook Event Deduplication Test ---', 'INFO');
+
+  const objectId = `test-${Utilities.getUuid()}`;
+  const update = { object_type: 'activity', object_id: objectId, aspect_type: 'update', owner_id: 1, event_time: 2000 };
+
+  assert(getWebhookEventSkipReason(update) === null, 'A new event should be processed.');
+  recordProcessedWebhookEvent(update);
+  assert(getWebhookEventSkipReason(update) !== null, 'A redelivered event should be skipped.');
+  assert(getWebhookEventSkipReason({ ...update, event_time: 1000 }) !== null, 'An update older than a processed one should be skipped.');
+  assert(getWebhookEventSkipReason({ ...update, event_time: 3000 }) === null, 'A newer update should be processed.');
+  assert(getWebhookEventSkipReason({ ...update, aspect_type: 'delete', event_time: 1000 }) === null, 'Only updates are skipped for being older.');
+
+  debugLog('Test Passed: Duplicate and stale webhook events are skipped.', 'INFO');
+}
+
+/**
+ * Test suite for the webhook event schema check in doPost.
+ */
+function testStravaEventSchemaValidation() {
+  debugLog('--- Running Strava Event Schema Validation Test ---', 'INFO');
+
+  const event = { object_type: 'activity', object_id: 1360128428, aspect_type: 'create', owner_id: 134815, subscription_id: 120475, event_time: 1516126040, updates: {} };
+
+  assert(getStravaEventSchemaError(event) === null, 'A valid event should pass.');
+  assert(getStravaEventSchemaError({ ...event, updates: undefined }) === null, 'updates is optional.');
+  assert(getStravaEventSchemaError({ ...event, object_type: 'club' }) !== null, 'An unknown object_type should be rejected.');
+  assert(getStravaEventSchemaError({ ...event, aspect_type: 'rename' }) !== null, 'An unknown aspect_type should be rejected.');
+  assert(getStravaEventSchemaError({ ...event, object_id: '1360128428' }) !== null, 'A string ID should be rejected.');
+  assert(getStravaEventSchemaError({ ...event, owner_id: 0 }) !== null, 'A non-positive ID should be rejected.');
+  assert(getStravaEventSchemaError({ ...event, updates: [] }) !== null, 'updates must be an object.');
+
+  debugLog('Test Passed: Events that do not match the webhook schema are rejected.', 'INFO');
+}
+
 // =================================================================
 // MANUAL & DEBUGGING FUNCTIONS
 // =================================================================
@@ -287,24 +684,6 @@ function manualTest_GetAndLogUserData() {
   }
 }
 
-// Add this to your Tests.js file for easy execution
-
-/**
- * A manual function to clean the Activities sheet of any non-swim entries.
- * Can be run directly from the Apps Script editor.
- */
-function manualCleanNonSwimActivities() {
-    debugLog('--- Starting manual cleanup of non-swim activities ---', 'INFO');
-    const result = SheetService.removeNonSwimActivities();
-    if (result.success) {
-      ui.alert(`Cleanup successful. Removed ${result.removedCount} activities.`);
-      debugLog(`--- Cleanup successful. Removed ${result.removedCount} activities. ---`, 'INFO');
-    } else {
-      debugLog(`--- Cleanup failed: ${result.error} ---`, 'ERROR');
-    }
-
-}
-
 /**
  * A manual test function to trigger the activity sync process for a single, specific user.
  * Edit the 'testUserId' variable to target a different user for testing.
@@ -351,67 +730,6 @@ function manualTest_SyncUserActivities() {
   debugLog(`--- Finished MANUAL sync for User ID: ${testUserId} ---`, 'INFO');
 }
 
-/**
- * A one-time manual function to migrate all date formats in the 'Activities' sheet.
- * It finds cells that are Date objects and converts them to a standard ISO 8601 UTC string.
- * WARNING: This version has no UI confirmation and will modify data immediately upon running.
- */
-function manualTest_MigrateDateFormatsToISO_NoUI() {
-  debugLog('--- Starting Date Format Migration for Activities Sheet (No UI) ---', 'INFO');
-  
-  try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.ACTIVITIES);
-    const range = sheet.getDataRange();
-    const values = range.getValues();
-    const headers = values[0];
-    
-    const dateColumnIndex = headers.indexOf('start_date');
-    if (dateColumnIndex === -1) {
-      throw new Error('Could not find a "start_date" column in the Activities sheet.');
-    }
-    
-    let convertedCount = 0;
-    
-    // Start from row 1 to skip headers
-    for (let i = 1; i < values.length; i++) {
-      const currentDateValue = values[i][dateColumnIndex];
-      
-      // --- REVISED LOGIC ---
-      // Check if the value is a JavaScript Date object.
-      // Apps Script automatically converts recognized date formats into Date objects.
-      // A cell with an ISO 8601 string will remain a string.
-      if (currentDateValue instanceof Date) {
-        
-        // The value is already a Date object, so we can directly convert it to ISO string.
-        values[i][dateColumnIndex] = currentDateValue.toISOString();
-        convertedCount++;
-        
-      }
-    }
-    
-    if (convertedCount > 0) {
-      range.setValues(values);
-      const successMessage = `Successfully converted ${convertedCount} date entries to ISO 8601 format.`;
-      debugLog(successMessage, 'INFO');
-      Logger.log(successMessage);
-      
-      AppCache.invalidateActivityCaches();
-      debugLog('Invalidated activity caches to reflect the data migration.', 'INFO');
-    } else {
-      const noChangeMessage = 'No dates required conversion.';
-      debugLog(noChangeMessage, 'INFO');
-      Logger.log(noChangeMessage);
-    }
-
-  } catch (e) {
-    const errorMessage = `An error occurred during date migration: ${e.message}`;
-    debugLog(errorMessage, 'ERROR');
-    Logger.log(errorMessage);
-  }
-  
-  debugLog('--- Date Format Migration Finished (No UI) ---', 'INFO');
-}
-
 /**
  * A manual test function to simulate a webhook event from Strava.
  * This allows testing the event processing logic without needing the full webhook pipeline.
@@ -428,6 +746,9 @@ function manualTest_WebhookEvent() {
   // 3. Set the type of event you want to simulate: 'create', 'update', or 'delete'.
   const testAspectType = 'create';
 
+  // 4. For 'update' events, set the changed fields as Strava sends them (e.g. { "title": "New name", "type": "Swim" }).
+  const testUpdates = {};
+
   // --- End of configuration ---
 
 
@@ -440,7 +761,7 @@ function manualTest_WebhookEvent() {
     "object_type": "activity",
     "object_id": testActivityId,
     "aspect_type": testAspectType,
-    "updates": {},
+    "updates": testUpdates,
     "owner_id": testUserId,
     "subscription_id": 99999,
     "event_time": Math.floor(new Date().getTime() / 1000)
@@ -457,10 +778,27 @@ function manualTest_WebhookEvent() {
 
 
 /**
- * A manual function to clean the Activities sheet of any disallowed entries.
- * Can be run directly from the Apps Script editor.
+ * A manual function to clean the Activities sheet of any disallowed entries, i.e.
+ * activities of sports that are not enabled in the Sports configuration. Leaderboards
+ * already ignore them, so this only frees space. It deletes rows, so it is never run
+ * by the schema migrations. Can be run directly from the Apps Script editor.
+ * @param {boolean} [dryRun=false] If true, only count the activities that would be removed.
  */
-function manualCleanDisallowedActivities() {
+function manualCleanDisallowedActivities(dryRun = false) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) { // Wait 10s
+    debugLog('Could not obtain the lock to clean disallowed activities. Another process is likely running.', 'WARNING');
+    return;
+  }
+
+  try {
+    if (dryRun) {
+      const enabledProfiles = SportsConfigService.getEnabledProfiles();
+      const disallowed = SheetService.getDataAsObjects(SHEET_NAMES.ACTIVITIES).filter(row => !SportsConfigService.isAllowed(row, enabledProfiles));
+      debugLog(`--- Dry run: ${disallowed.length} disallowed activities would be removed. ---`, 'INFO');
+      return;
+    }
+
     debugLog('--- Starting manual cleanup of disallowed activities ---', 'INFO');
     const result = SheetService.removeDisallowedActivities();
     if (result.success) {
@@ -468,6 +806,9 @@ function manualCleanDisallowedActivities() {
     } else {
       debugLog(`--- Cleanup failed: ${result.error} ---`, 'ERROR');
     }
+  } finally {
+    lock.releaseLock();
+  }
 }
 
 /**
@@ -480,12 +821,16 @@ function manualTest_SendRequestToProxy() {
   const props = PropertiesService.getScriptProperties();
   const proxyUrl = props.getProperty('CLOUDFLARE_WORKER_URL');
 
-  // The JSON payload you want to send, simulating a Strava event.
+  // The JSON payload you want to send, simulating a Strava event. The worker rejects
+  // events for any subscription other than its STRAVA_SUBSCRIPTION_ID.
+  const subscriptionState = getWebhookSubscriptionState();
   const payload = {
     "object_type": "activity",
     "object_id": 15004044454,
     "aspect_type": "create",
-    "owner_id": 118783404
+    "owner_id": 118783404,
+    "subscription_id": subscriptionState ? subscriptionState.subscriptionId : 0,
+    "event_time": Math.floor(new Date().getTime() / 1000)
   };
 
   debugLog(`--- Sending POST request to proxy URL: ${proxyUrl} ---`, "INFO");
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview This module decides when a member's Strava access token must be
+ * refreshed. Tokens are refreshed from the stored `expiresAt` before they expire,
+ * instead of after a failed call, and members whose refresh token was revoked are
+ * flagged so they can be asked to reconnect. Tokens are read from CredentialStore.
+ */
+
+class TokenManager {
+
+  /**
+   * Gets an access token for a member that is valid for at least the safety margin,
+   * refreshing it first if it is missing or about to expire.
+   * @param {string|number} userId The member's Strava ID.
+   * @return {string|null} A valid access token, or null if none can be obtained.
+   */
+  static getValidAccessToken(userId) {
+    const user = DatabaseService.getUserData(userId);
+    if (!user) {
+      debugLog(`No member record for user ${userId}. Cannot get an access token.`, 'WARNING');
+      return null;
+    }
+
+    if (user.reauthorizationRequired) {
+      debugLog(`User ${userId} must reconnect to Strava. Skipping API call.`, 'WARNING');
+      return null;
+    }
+
+    let credentials = CredentialStore.get(userId);
+    if (!credentials && user.refreshToken) {
+      // A record from before the credential split that the migration has not reached yet:
+      // saving it moves its tokens to the CredentialStore.
+      debugLog(`Moving the credentials of user ${userId} out of their member record.`, 'INFO');
+      DatabaseService.updateUserData(userId, user);
+      credentials = CredentialStore.get(userId);
+    }
+    if (credentials && credentials.accessToken && !this.isExpiringSoon(credentials, TOKEN_REFRESH.EXPIRY_MARGIN_MS)) {
+      return credentials.accessToken;
+    }
+
+    debugLog(`Access token for user ${userId} is missing or expires soon. Refreshing.`, 'INFO');
+    const refreshed = StravaService.refreshAccessToken(userId);
+    return refreshed ? refreshed.accessToken : null;
+  }
+
+  /**
+   * Checks whether a member's access token expires within a margin.
+   * A missing or unreadable `expiresAt` counts as expiring.
+   * @param {{expiresAt: string}} credentials The member's stored credentials.
+   * @param {number} marginMs The safety margin in milliseconds.
+   * @return {boolean} True if the token should be refreshed.
+   */
+  static isExpiringSoon(credentials, marginMs) {
+    const expiresAt = new Date(credentials.expiresAt).getTime();
+    if (isNaN(expiresAt)) return true;
+    return expiresAt - new Date().getTime() <= marginMs;
+  }
+
+  /**
+   * Flags a member whose refresh token was revoked or rejected. No further API calls
+   * are made until they authorize again. Their credentials are kept, in case the flag
+   * was set by mistake; reconnecting overwrites them.
+   * @param {string|number} userId The member's Strava ID.
+   * @param {string} reason Why the refresh failed, kept for troubleshooting.
+   * @return {boolean} True if the member record was updated.
+   */
+  static markReauthorizationRequired(userId, reason) {
+    const user = DatabaseService.getUserData(userId);
+    if (!user) return false;
+
+    debugLog(`Marking user ${userId} as requiring reauthorization: ${reason}`, 'WARNING', true);
+    const updatedUser = {
+      ...user,
+      reauthorizationRequired: true,
+      reauthorizationReason: reason,
+      reauthorizationRequiredAt: new Date().toISOString()
+    };
+    return DatabaseService.updateUserData(userId, updatedUser);
+  }
+
+  /**
+   * Refreshes every member token that expires within the background margin.
+   * Members without a refresh token or needing reauthorization are skipped.
+   * @return {{refreshed: number, failed: number, skipped: number}} A summary of the run.
+   */
+  static refreshExpiringTokens() {
+    const deadline = new Date().getTime() + TOKEN_REFRESH.MAX_RUNTIME_MS;
+    const summary = { refreshed: 0, failed: 0, skipped: 0 };
+
+    const connectedIds = new Set(CredentialStore.getAthleteIds());
+
+    for (const user of DatabaseService.getAllUsers()) {
+      if (new Date().getTime() > deadline) {
+        debugLog('Token refresh is running out of time. Remaining members will be refreshed on the next run.', 'WARNING');
+        break;
+      }
+
+      const credentials = connectedIds.has(user.id) && !user.reauthorizationRequired ? CredentialStore.get(user.id) : null;
+      if (!credentials || !credentials.refreshToken || !this.isExpiringSoon(credentials, TOKEN_REFRESH.BACKGROUND_MARGIN_MS)) {
+        summary.skipped++;
+        continue;
+      }
+
+      if (StravaService.refreshAccessToken(user.id)) {
+        summary.refreshed++;
+      } else {
+        summary.failed++;
+      }
+      // A rejected app fails every member the same way, so there is no point going on.
+      if (StravaService.appCredentialError) {
+        debugLog('Stopping the token refresh: Strava rejected the app credentials. No member was flagged.', 'ERROR', true);
+        break;
+      }
+    }
+
+    debugLog(`Background token refresh finished. Refreshed: ${summary.refreshed}, Failed: ${summary.failed}, Skipped: ${summary.skipped}.`, 'INFO');
+    return summary;
+  }
+}
@@ -66,8 +66,16 @@ function processActivitySyncQueue() {
     debugLog(`Processing ${usersToProcess.length} users from queue. Remaining: ${queue.length}`, 'INFO');
 
     let activitiesWereAdded = false;
-    for (const userId of usersToProcess) {
-      if (syncActivitiesForUser(userId)) {
+    for (let i = 0; i < usersToProcess.length; i++) {
+      // Defer the rest of the batch to a later run rather than hitting Strava's rate limit.
+      if (!StravaApiClient.hasBudget(STRAVA_RATE_LIMIT.CALLS_PER_USER_SYNC)) {
+        const deferredUsers = usersToProcess.slice(i);
+        queue.unshift(...deferredUsers);
+        debugLog(`Strava rate-limit budget is low. Deferred ${deferredUsers.length} users to the next run.`, 'WARNING');
+        break;
+      }
+
+      if (syncActivitiesForUser(usersToProcess[i])) {
         activitiesWereAdded = true;
       }
     }
@@ -90,98 +98,181 @@ function processActivitySyncQueue() {
 /**
  * Checks for duplicates and visibility settings, then adds a single
  * activity to the sheet if it's new and has allowed privacy.
+ * Activities that were hidden earlier are recorded as restored.
  * @param {Object} activityObject The full activity object from Strava.
+ * @param {string} [source='sync'] What is adding the activity, for the visibility audit trail.
  * @return {boolean} True if the activity was new and added, false otherwise.
  */
-function addSingleActivityToSheet(activityObject) {
-  if (!activityObject || !activityObject.id) {
-    return false;
-  }
+function addSingleActivityToSheet(activityObject, source = 'sync') {
+  return addActivitiesToSheet([activityObject], source).length > 0;
+}
 
-  // Check if the activity type is in the allowed list from Constants ---
-  if (!STRAVA_SETTINGS.ALLOWED_ACTIVITY_TYPES.includes(activityObject.type)) {
-    debugLog(`Skipping activity ${activityObject.id} due to disallowed type: "${activityObject.type}"`, "INFO", true);
-    return false;
+/**
+ * Adds a batch of activities to the sheet with the same rules as single adds: only
+ * allowed sports and visibilities, and only activities not already in the sheet.
+ * Existing IDs are looked up in the sheet's ID index and all new rows are appended in
+ * one call, so a sync costs a handful of sheet calls however many activities it brings.
+ * @param {Array<Object>} activities The full activity objects from Strava.
+ * @param {string} [source='sync'] What is adding the activities, for the visibility audit trail.
+ * @return {Array<string>} The IDs of the activities that were new and added.
+ */
+function addActivitiesToSheet(activities, source = 'sync') {
+  const candidates = new Map(); // ID -> activity, so a batch never adds the same activity twice
+  const enabledProfiles = SportsConfigService.getEnabledProfiles(); // Read once for the whole batch
+  for (const activityObject of activities) {
+    if (!activityObject || !activityObject.id) continue;
+
+    // Check if the activity's sport is enabled in the Sports configuration.
+    if (!SportsConfigService.isAllowed(activityObject, enabledProfiles)) {
+      debugLog(`Skipping activity ${activityObject.id} due to disallowed type: "${activityObject.type}"`, "INFO", true);
+      continue;
+    }
+
+    // Check if the activity's visibility is in the allowed list from Constants.
+    if (!ActivityVisibilityService.isVisible(activityObject)) {
+      debugLog(`Skipping activity ${activityObject.id} due to privacy setting: "${activityObject.visibility}"`, "INFO");
+      continue;
+    }
+    candidates.set(String(activityObject.id), activityObject);
   }
+  if (candidates.size === 0) return [];
 
-  // Check if the activity's visibility is in the allowed list from Constants.
-  if (!STRAVA_SETTINGS.ALLOWED_VISIBILITY.includes(activityObject.visibility)) {
-    debugLog(`Skipping activity ${activityObject.id} due to privacy setting: "${activityObject.visibility}"`, "INFO");
-    return false;
+  let existingActivityIds;
+  try {
+    existingActivityIds = SheetService.findExistingIds(SHEET_NAMES.ACTIVITIES, [...candidates.keys()], 'id');
+  } catch (e) {
+    debugLog(`Could not check which activities are already in the sheet: ${e.message}`, "ERROR", true);
+    return [];
   }
+  existingActivityIds.forEach(id => {
+    debugLog(`Activity ${id} already exists in the sheet. Skipping.`, "INFO");
+    candidates.delete(id);
+  });
+  if (candidates.size === 0) return [];
 
-  const allExistingActivities = SheetService.getDataAsObjects(SHEET_NAMES.ACTIVITIES);
-  const existingActivityIds = new Set(allExistingActivities.map(a => String(a.id)));
+  const newActivities = [...candidates.values()];
+  const preparedActivities = newActivities.map(activityObject => ({
+    ...ActivityTypeService.normalize(activityObject),
+    athlete_id: activityObject.athlete ? activityObject.athlete.id : null
+  }));
 
-  if (existingActivityIds.has(String(activityObject.id))) {
-    debugLog(`Activity ${activityObject.id} already exists in the sheet. Skipping.`, "INFO");
-    return false;
+  const result = SheetService.appendObjects(SHEET_NAMES.ACTIVITIES, preparedActivities);
+  if (!result.success) {
+    debugLog(`Could not add ${preparedActivities.length} activities to the sheet: ${result.error}`, "ERROR", true);
+    return [];
   }
+  debugLog(`Added ${preparedActivities.length} new activities to the sheet: ${[...candidates.keys()].join(', ')}.`, "INFO");
 
-  const preparedActivity = {
-    ...activityObject,
-    athlete_id: activityObject.athlete ? activityObject.athlete.id : null
-  };
+  const hiddenIds = ActivityVisibilityService.getHiddenActivityIds();
+  preparedActivities.forEach(preparedActivity => ActivityVisibilityService.recordRestored(preparedActivity, source, hiddenIds));
 
-  SheetService.appendObjects(SHEET_NAMES.ACTIVITIES, [preparedActivity]);
-  debugLog(`Added single new activity ${activityObject.id} to the sheet.`, "INFO");
-  return true;
+  // Swims also get lap-based metrics (pace, lengths, strokes) in their own sheet.
+  SwimMetricsService.recordForActivities(newActivities);
+  return [...candidates.keys()];
 }
 
 /**
  * Syncs activities for a single user.
- * This function now fetches a list of activities and then uses the
- * robust `addSingleActivityToSheet` helper for each one.
+ * Each member record keeps a high-water mark (`lastActivityStartTime`) of the
+ * latest activity seen by a sync. Every sync fetches everything after that mark,
+ * minus a small overlap for late uploads, so no gaps are left no matter how long
+ * a member was away. Webhooks never move the mark, so a missed event is always
+ * picked up by the next sync.
  *
  * @param {string|number} userId The ID of the user to sync.
- * @param {boolean} [forceSync=false] - If true, ignores the last updated timestamp.
+ * @param {boolean} [forceSync=false] - If true, ignores the last synced timestamp.
  * @param {boolean} [sheetLog=false] - If true, logs the activity to the sheet.
- * @param {number} [daysToSync=3] - The default number of days to look back.
+ * @param {number} [daysToSync=ACTIVITY_QUEUE.INITIAL_LOOKBACK_DAYS] - How far to look back for members without a high-water mark.
  * @return {boolean} True if at least one new activity was added, false otherwise.
  */
-function syncActivitiesForUser(userId, forceSync = false, sheetLog = false, daysToSync = 3) {
+function syncActivitiesForUser(userId, forceSync = false, sheetLog = false, daysToSync = ACTIVITY_QUEUE.INITIAL_LOOKBACK_DAYS) {
   const user = DatabaseService.getUserData(userId);
   if (!user) {
     debugLog(`User not found with ID: ${userId}. Skipping sync.`, 'WARNING', sheetLog);
     return false;
   }
 
+  if (user.reauthorizationRequired) {
+    debugLog(`User ${userId} must reconnect to Strava. Skipping sync.`, 'WARNING', sheetLog);
+    return false;
+  }
+
   const now = new Date();
 
   if (!forceSync) {
-    const lastUpdated = user.lastUpdated ? new Date(user.lastUpdated) : null;
-    if (lastUpdated && (now - lastUpdated) / (1000 * 60 * 60) < ACTIVITY_QUEUE.UPDATE_INTERVAL_HOURS) {
-      debugLog(`Skipping sync for user ${userId}, updated recently.`, 'DEBUG', sheetLog);
+    const lastSyncedAt = user.lastSyncedAt ? new Date(user.lastSyncedAt) : null;
+    if (lastSyncedAt && (now - lastSyncedAt) / (1000 * 60 * 60) < ACTIVITY_QUEUE.UPDATE_INTERVAL_HOURS) {
+      debugLog(`Skipping sync for user ${userId}, synced recently.`, 'DEBUG', sheetLog);
       return false;
     }
   }
 
-  let actualDaysToSync = !user.lastUpdated ? 30 : daysToSync;
-  debugLog(`Syncing for user ${userId}. Fetching last ${actualDaysToSync} days.`, 'INFO', sheetLog);
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  const highWaterMark = user.lastActivityStartTime ? new Date(user.lastActivityStartTime) : null;
+  let afterTimestamp;
 
-  const lookbackSeconds = actualDaysToSync * 24 * 60 * 60;
-  const afterTimestamp = Math.floor((now.getTime() / 1000) - lookbackSeconds);
-  const beforeTimestamp = Math.floor(now.getTime() / 1000);
+  if (highWaterMark && !isNaN(highWaterMark)) {
+    afterTimestamp = Math.floor(highWaterMark.getTime() / 1000) - (ACTIVITY_QUEUE.SYNC_OVERLAP_HOURS * 60 * 60);
+    debugLog(`Syncing for user ${userId}. Fetching activities since ${highWaterMark.toISOString()} (minus ${ACTIVITY_QUEUE.SYNC_OVERLAP_HOURS}h overlap).`, 'INFO', sheetLog);
+  } else {
+    afterTimestamp = nowSeconds - (daysToSync * 24 * 60 * 60);
+    debugLog(`Syncing for user ${userId}. No high-water mark yet, fetching last ${daysToSync} days.`, 'INFO', sheetLog);
+  }
 
-  const newActivities = StravaService.getAthleteActivities(userId, afterTimestamp, beforeTimestamp);
+  // All types are fetched so the high-water mark also advances past activities we do not keep.
+  const fetchResult = StravaService.fetchAthleteActivities(userId, afterTimestamp, nowSeconds, true);
 
-  if (!newActivities || newActivities.length === 0) {
-    debugLog(`No new activities found from Strava API for user ${userId}.`, 'DEBUG', sheetLog);
+  if (!fetchResult) {
+    // Leave the high-water mark untouched so the next sync retries the same window.
+    debugLog(`Fetching activities failed for user ${userId}. The high-water mark was not moved.`, 'WARNING', sheetLog);
     return false;
   }
+  const fetchedActivities = fetchResult.activities;
 
-  let activitiesWereAdded = false;
-  // Loop through each fetched activity and use the single-add helper function.
-  // This ensures both sync and webhook use the exact same validation rules.
-  for (const activity of newActivities) {
-    if (addSingleActivityToSheet(activity)) {
-      activitiesWereAdded = true;
+  let activitiesWereWithdrawn = false;
+  const previousStartTime = highWaterMark && !isNaN(highWaterMark) ? highWaterMark.getTime() : 0;
+  let latestStartTime = previousStartTime;
+  const activitiesToAdd = [];
+  for (const activity of fetchedActivities) {
+    // Activities made private since they were added are withdrawn from the sheet.
+    if (ActivityVisibilityService.applyVisibility(activity, 'sync')) {
+      activitiesWereWithdrawn = true;
+    } else {
+      activitiesToAdd.push(activity);
     }
+    const startTime = new Date(activity.start_date).getTime();
+    if (!isNaN(startTime)) {
+      latestStartTime = Math.max(latestStartTime, startTime);
+    }
+  }
+  // The same helper as the webhook, so both use the exact same validation rules.
+  const activitiesWereAdded = addActivitiesToSheet(activitiesToAdd, 'sync').length > 0;
+
+  const updatedUser = { ...user, lastSyncedAt: now.toISOString() };
+  if (fetchResult.truncated) {
+    // Only the pages fetched are synced: the high-water mark moves to the last activity
+    // fetched, and lastSyncedAt stays put so the next run fetches the rest.
+    const lastFetchedTime = new Date(fetchedActivities[fetchedActivities.length - 1].start_date).getTime();
+    updatedUser.lastSyncedAt = user.lastSyncedAt;
+    latestStartTime = isNaN(lastFetchedTime) ? previousStartTime : Math.max(previousStartTime, lastFetchedTime);
+    debugLog(`Sync for user ${userId} was cut short. Continuing from ${latestStartTime > 0 ? new Date(latestStartTime).toISOString() : 'the same window'} on the next run.`, 'WARNING', sheetLog);
+  }
+  if (latestStartTime > 0) {
+    updatedUser.lastActivityStartTime = new Date(latestStartTime).toISOString();
+  }
+  DatabaseService.updateUserData(userId, updatedUser);
+
+  if (fetchedActivities.length === 0) {
+    debugLog(`No new activities found from Strava API for user ${userId}.`, 'DEBUG', sheetLog);
+  }
+
+  if (activitiesWereWithdrawn) {
+    ActivityVisibilityService.recomputeAfterChange([userId]);
+    return true;
   }
 
   // If any activity was successfully added, perform post-add tasks.
   if (activitiesWereAdded) {
-    DatabaseService.updateUserData(userId, { ...user, lastUpdated: new Date().toISOString() });
     ChallengeService.updateUserChallengeProgress(userId);
     return true;
   }
@@ -189,6 +280,396 @@ function syncActivitiesForUser(userId, forceSync = false, sheetLog = false, days
   return false;
 }
 
+/**
+ * Queues users for a resumable backfill of their activity history.
+ * Each user gets a cursor in script properties so the backfill can continue
+ * across executions. Users with a backfill already in progress are left as is.
+ * @param {Array<string|number>} userIds An array of user IDs to backfill.
+ * @param {number|null} [daysBack=ACTIVITY_BACKFILL.DEFAULT_DAYS_BACK] How far back to go, or null for the whole history.
+ */
+function enqueueUsersForBackfill_(userIds, daysBack = ACTIVITY_BACKFILL.DEFAULT_DAYS_BACK) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(15000); // Wait up to 15s for lock
+
+  try {
+    const props = PropertiesService.getScriptProperties();
+    const queue = JSON.parse(props.getProperty(ACTIVITY_BACKFILL.QUEUE_KEY) || '[]');
+    const nowSeconds = Math.floor(new Date().getTime() / 1000);
+
+    userIds.forEach(id => {
+      const userId = String(id);
+      if (queue.includes(userId)) {
+        return;
+      }
+
+      const cursor = {
+        userId: userId,
+        after: daysBack ? nowSeconds - (daysBack * 24 * 60 * 60) : 0,
+        before: nowSeconds,
+        page: 1,
+        pagesFetched: 0,
+        activitiesFetched: 0,
+        activitiesAdded: 0,
+        failures: 0,
+        status: 'pending',
+        startedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      _saveBackfillCursor(props, cursor);
+      queue.push(userId);
+    });
+
+    props.setProperty(ACTIVITY_BACKFILL.QUEUE_KEY, JSON.stringify(queue));
+    debugLog(`Enqueued ${userIds.length} users for backfill. Backfill queue size is now ${queue.length}.`, 'INFO');
+
+    setupActivityBackfillTrigger();
+
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * The main function to be run by the backfill trigger. Works through the backfill
+ * queue one page at a time until the execution time budget is used. Strava is only
+ * called outside the script lock; the lock is held just long enough to claim the next
+ * page and to store its activities and the advanced cursor, so syncs, the webhook
+ * inbox and new-member sign-ups are never kept waiting for the whole run.
+ */
+function processActivityBackfillQueue() {
+  const deadline = new Date().getTime() + ACTIVITY_BACKFILL.MAX_RUNTIME_MS;
+  const usersWithNewActivities = new Set();
+
+  try {
+    while (new Date().getTime() < deadline) {
+      const step = backfillNextActivityPage();
+      if (step.addedCount > 0) {
+        usersWithNewActivities.add(step.userId);
+      }
+      // Nothing due, no budget or a failed page: the next trigger run tries again.
+      if (!step.progressed) break;
+    }
+    _finishBackfillRun(usersWithNewActivities);
+  } catch (e) {
+    debugLog(`Error in processActivityBackfillQueue: ${e.message}`, 'ERROR');
+  }
+}
+
+/**
+ * Fetches and stores the next page of the first queued user whose backfill is due.
+ * The pages cover the fixed window chosen when the user was queued (`after` to
+ * `before`) and are walked by number until one comes back short, so nothing relies
+ * on the order in which Strava returns activities.
+ *
+ * @return {{progressed: boolean, userId?: string, addedCount?: number}} Whether a page
+ *     was stored, and for whom and how many of its activities were new.
+ */
+function backfillNextActivityPage() {
+  if (!StravaApiClient.hasBudget(STRAVA_RATE_LIMIT.CALLS_PER_USER_SYNC)) {
+    debugLog('Strava rate-limit budget is low. Pausing the activity backfill until the next run.', 'WARNING');
+    return { progressed: false };
+  }
+
+  const claimed = _withBackfillLock(() => _claimNextBackfillPage());
+  if (!claimed) return { progressed: false };
+
+  // The only slow part, so it runs without the lock.
+  const activities = StravaService.getAthleteActivitiesPage(claimed.userId, { after: claimed.after, before: claimed.before, page: claimed.page });
+
+  const stored = _withBackfillLock(() => _storeBackfillPage(claimed, activities));
+  return stored || { progressed: false };
+}
+
+/**
+ * Private helper to pick the next page to backfill. Users whose backfill is over (or
+ * whose cursor is missing) leave the queue; users waiting to retry a failed page are
+ * skipped. The caller must hold the script lock.
+ * @return {{userId: string, after: number, before: number, page: number}|null} The page, or null if none is due.
+ * @private
+ */
+function _claimNextBackfillPage() {
+  const props = PropertiesService.getScriptProperties();
+  const queue = JSON.parse(props.getProperty(ACTIVITY_BACKFILL.QUEUE_KEY) || '[]');
+  const now = new Date().getTime();
+  let claimed = null;
+
+  const activeQueue = queue.filter(userId => {
+    const cursor = getActivityBackfillProgress(userId);
+    if (!cursor || cursor.status === 'complete' || cursor.status === 'failed') return false;
+
+    if (!claimed && !(cursor.retryAt > now)) {
+      claimed = { userId: cursor.userId, after: cursor.after, before: cursor.before, page: cursor.page || 1 };
+    }
+    return true;
+  });
+  if (activeQueue.length !== queue.length) {
+    props.setProperty(ACTIVITY_BACKFILL.QUEUE_KEY, JSON.stringify(activeQueue));
+  }
+  return claimed;
+}
+
+/**
+ * Private helper to store a fetched page and advance the user's cursor. A failed page
+ * is retried after a delay that doubles with each failure, and the user is given up
+ * after ACTIVITY_BACKFILL.MAX_FETCH_FAILURES. The caller must hold the script lock.
+ * @param {{userId: string, page: number}} claimed The page that was fetched.
+ * @param {Array<Object>|null} activities The page's activities, or null if the fetch failed.
+ * @return {{progressed: boolean, userId: string, addedCount: number}}
+ * @private
+ */
+function _storeBackfillPage(claimed, activities) {
+  const props = PropertiesService.getScriptProperties();
+  const cursor = getActivityBackfillProgress(claimed.userId);
+  const result = { progressed: false, userId: claimed.userId, addedCount: 0 };
+
+  // Another run stored this page first (e.g. a manual run next to the trigger).
+  if (!cursor || (cursor.page || 1) !== claimed.page || cursor.status === 'complete' || cursor.status === 'failed') {
+    return result;
+  }
+
+  if (activities === null) {
+    cursor.failures++;
+    if (cursor.failures >= ACTIVITY_BACKFILL.MAX_FETCH_FAILURES) {
+      cursor.status = 'failed';
+      _removeFromBackfillQueue(props, cursor.userId);
+    } else {
+      cursor.status = 'pending';
+      cursor.retryAt = new Date().getTime() + ACTIVITY_BACKFILL.RETRY_DELAY_MS * Math.pow(2, cursor.failures - 1);
+    }
+    debugLog(`Backfill page ${claimed.page} fetch failed for user ${cursor.userId} (attempt ${cursor.failures}, status ${cursor.status}).`, 'WARNING', true);
+  } else {
+    result.addedCount = addActivitiesToSheet(activities).length;
+    result.progressed = true;
+
+    cursor.page = claimed.page + 1;
+    cursor.failures = 0;
+    delete cursor.retryAt;
+    cursor.pagesFetched++;
+    cursor.activitiesFetched += activities.length;
+    cursor.activitiesAdded += result.addedCount;
+    cursor.status = 'running';
+
+    if (activities.length < ACTIVITY_BACKFILL.PER_PAGE) {
+      cursor.status = 'complete';
+      cursor.completedAt = new Date().toISOString();
+      _removeFromBackfillQueue(props, cursor.userId);
+      debugLog(`Backfill for user ${cursor.userId} complete: pages=${cursor.pagesFetched}, fetched=${cursor.activitiesFetched}, added=${cursor.activitiesAdded}.`, 'INFO', true);
+    }
+  }
+
+  cursor.updatedAt = new Date().toISOString();
+  _saveBackfillCursor(props, cursor);
+  return result;
+}
+
+/**
+ * Private helper to finish a backfill run: updates the challenge progress of the
+ * users who got activities, and deletes the trigger once the queue is empty.
+ * @param {Set<string>} usersWithNewActivities The users whose backfill added activities in this run.
+ * @private
+ */
+function _finishBackfillRun(usersWithNewActivities) {
+  _withBackfillLock(() => {
+    if (usersWithNewActivities.size > 0) {
+      usersWithNewActivities.forEach(userId => ChallengeService.updateUserChallengeProgress(userId));
+      AppCache.invalidateActivityCaches();
+    }
+
+    const queue = JSON.parse(PropertiesService.getScriptProperties().getProperty(ACTIVITY_BACKFILL.QUEUE_KEY) || '[]');
+    if (queue.length === 0) {
+      debugLog("Activity backfill queue is empty. Deleting backfill trigger.", "INFO");
+      deleteTriggersByName('processActivityBackfillQueue');
+    } else {
+      debugLog(`Backfill paused for this run. ${queue.length} users remaining in the queue.`, "INFO");
+    }
+  });
+}
+
+/**
+ * Private helper to run a short piece of backfill bookkeeping under the script lock.
+ * @param {function(): *} callback The work to do under the lock.
+ * @return {*} The callback's result, or null if the lock was busy.
+ * @private
+ */
+function _withBackfillLock(callback) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) { // Wait 10s
+    debugLog("Could not obtain backfill lock. Another process is likely running.", "WARNING");
+    return null;
+  }
+
+  try {
+    return callback();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Private helper to take a user off the backfill queue.
+ * @param {GoogleAppsScript.Properties.Properties} props The script properties store.
+ * @param {string} userId The user ID.
+ * @private
+ */
+function _removeFromBackfillQueue(props, userId) {
+  const queue = JSON.parse(props.getProperty(ACTIVITY_BACKFILL.QUEUE_KEY) || '[]');
+  props.setProperty(ACTIVITY_BACKFILL.QUEUE_KEY, JSON.stringify(queue.filter(id => id !== String(userId))));
+}
+
+/**
+ * Reports the progress of activity backfills.
+ * @param {string|number} [userId] A user ID. If omitted, all known backfills are returned.
+ * @return {Object|Array<Object>|null} The cursor for the user (or null), or an array of all cursors.
+ */
+function getActivityBackfillProgress(userId) {
+  const props = PropertiesService.getScriptProperties();
+
+  if (userId !== undefined) {
+    const cursorString = props.getProperty(ACTIVITY_BACKFILL.CURSOR_KEY_PREFIX + String(userId));
+    return cursorString ? JSON.parse(cursorString) : null;
+  }
+
+  const allProps = props.getProperties();
+  return Object.keys(allProps)
+    .filter(key => key.startsWith(ACTIVITY_BACKFILL.CURSOR_KEY_PREFIX))
+    .map(key => JSON.parse(allProps[key]));
+}
+
+/**
+ * Private helper to persist a backfill cursor in script properties.
+ * @param {GoogleAppsScript.Properties.Properties} props The script properties store.
+ * @param {Object} cursor The cursor to save.
+ * @private
+ */
+function _saveBackfillCursor(props, cursor) {
+  props.setProperty(ACTIVITY_BACKFILL.CURSOR_KEY_PREFIX + cursor.userId, JSON.stringify(cursor));
+}
+
+/**
+ * Creates a trigger to continue the activity backfill every 10 minutes.
+ */
+function setupActivityBackfillTrigger() {
+  deleteTriggersByName('processActivityBackfillQueue'); // Ensure no duplicates
+  ScriptApp.newTrigger('processActivityBackfillQueue')
+    .timeBased()
+    .everyMinutes(10)
+    .create();
+  debugLog("Activity backfill trigger created.", "INFO");
+}
+
+/**
+ * The main function to be run by the gap recovery trigger. Syncs the athletes
+ * queued after a webhook outage, covering exactly the outage window.
+ */
+function processGapRecoveryQueue() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) { // Wait 10s
+    debugLog("Could not obtain gap recovery lock. Another process is likely running.", "WARNING");
+    return;
+  }
+
+  try {
+    const summary = GapRecoveryService.processQueue();
+    debugLog(`Gap recovery run finished. Athletes: ${summary.athletes}, recovered activities: ${summary.recovered}, outages remaining: ${summary.remaining}.`, "INFO");
+
+    if (summary.remaining === 0) {
+      debugLog("Gap recovery queue is empty. Deleting gap recovery trigger.", "INFO");
+      deleteTriggersByName('processGapRecoveryQueue');
+    }
+  } catch (e) {
+    debugLog(`Error in processGapRecoveryQueue: ${e.message}`, 'ERROR');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Creates a trigger to continue gap recovery every 10 minutes.
+ * `GapRecoveryService.closeOpenOutage` calls this when an outage ends.
+ */
+function setupGapRecoveryTrigger() {
+  deleteTriggersByName('processGapRecoveryQueue'); // Ensure no duplicates
+  ScriptApp.newTrigger('processGapRecoveryQueue')
+    .timeBased()
+    .everyMinutes(10)
+    .create();
+  debugLog("Gap recovery trigger created.", "INFO");
+}
+
+/**
+ * The main function to be run by the token refresh trigger. Refreshes member
+ * tokens that are close to expiry so API calls rarely have to wait on a refresh.
+ */
+function refreshExpiringTokens() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) { // Wait 10s
+    debugLog("Could not obtain token refresh lock. Another process is likely running.", "WARNING");
+    return;
+  }
+
+  try {
+    TokenManager.refreshExpiringTokens();
+  } catch (e) {
+    debugLog(`Error in refreshExpiringTokens: ${e.message}`, 'ERROR');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Creates a trigger to refresh expiring member tokens every hour.
+ * Run this function once manually from the editor.
+ */
+function setupTokenRefreshTrigger() {
+  deleteTriggersByName('refreshExpiringTokens'); // Ensure no duplicates
+  ScriptApp.newTrigger('refreshExpiringTokens')
+    .timeBased()
+    .everyHours(1)
+    .create();
+  debugLog("Token refresh trigger created.", "INFO");
+}
+
+/**
+ * Rotates the data encryption key: creates a new key version, re-encrypts every
+ * Database row and stored credential with it and retires the old versions. Run it
+ * through the `rotateDataEncryptionKey` admin API from the editor, e.g. after someone
+ * who could read script properties leaves the club. Upgrades encrypt the data through the schema migrations,
+ * so this refuses to run while any are pending. If some rows failed in an earlier
+ * rotation, running it again moves them to the current key instead of adding another version.
+ * @return {{reencrypted: number, failed: number, current: number}|null} The summary, or null if the lock was busy or the run could not start.
+ */
+function rotateDataEncryptionKey_() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) { // Wait 10s
+    debugLog("Could not obtain user data encryption lock. Another process is likely running.", "WARNING");
+    return null;
+  }
+
+  try {
+    if (MigrationService.getPendingMigrations().length > 0) {
+      debugLog("Schema migrations are pending. Run runSchemaMigrations() before rotating the data encryption key.", "WARNING", true);
+      return null;
+    }
+
+    const leftOver = DatabaseService.reencryptAllUsers(true).reencrypted;
+    if (leftOver > 0) {
+      const summary = DatabaseService.reencryptAllUsers();
+      debugLog(`${leftOver} rows or tokens were still on an older key and were moved to version ${DataEncryption.getCurrentKeyVersion()}, ${summary.failed} failed. The key was not rotated; run this again to rotate it.`, "WARNING", true);
+      return summary;
+    }
+
+    const version = DataEncryption.rotateKey();
+    const summary = DatabaseService.reencryptAllUsers();
+    debugLog(`Data encryption key rotated to version ${version}. Re-encrypted ${summary.reencrypted} rows, ${summary.failed} failed.`, "INFO", true);
+    return summary;
+  } catch (e) {
+    debugLog(`Error in rotateDataEncryptionKey_: ${e.message}`, 'ERROR', true);
+    return null;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
 /**
  * Creates a trigger to process the activity queue every 15 minutes.
  */
@@ -215,7 +696,7 @@ function deleteTriggersByName(functionName) {
 
 /**
  * Forces a refresh of the access token and profile data for every user
- * who has a refresh token.
+ * who has credentials in the CredentialStore.
  * This function directly calls the Strava API for each user and updates the
  * Database sheet. It should be run manually for maintenance.
  */
@@ -231,12 +712,19 @@ function forceRefreshAllUserProfiles() {
   let successCount = 0;
   let skippedCount = 0;
   let errorCount = 0;
+  const connectedIds = new Set(CredentialStore.getAthleteIds());
   
   // Loop through every user in the database
   for (const user of allUsers) {
     const userId = user.id;
-    // We can only refresh users who have a refresh token stored
-    if (!user.refreshToken) {
+    // Each refresh costs two API calls; stop before exhausting the rate-limit budget.
+    if (!StravaApiClient.hasBudget(2)) {
+      debugLog(`Strava rate-limit budget is low. Stopping the profile refresh before user ${userId}; run it again later.`, "WARNING");
+      break;
+    }
+
+    // We can only refresh users who have credentials stored
+    if (!connectedIds.has(userId)) {
       debugLog(`Skipping user ${userId}: No refresh token found.`, "DEBUG");
       skippedCount++;
       continue;
@@ -252,12 +740,11 @@ function forceRefreshAllUserProfiles() {
         const athleteInfo = StravaService.getAthleteInfo(newAccessToken);
         
         if (athleteInfo && athleteInfo.id) {
-          // Step 3: Get the user's current data from our database,
-          // which now includes the newly refreshed tokens from Step 1.
+          // Step 3: Get the user's current data from our database.
           const currentUserData = DatabaseService.getUserData(userId);
           
           // Step 4: Merge the latest profile info from Strava with our current data.
-          // This ensures we keep our tokens while updating profile details like name or avatar.
+          // This keeps our sync state while updating profile details like name or avatar.
           const updatedUserData = {
             ...currentUserData,
             ...athleteInfo 
@@ -277,6 +764,12 @@ function forceRefreshAllUserProfiles() {
       debugLog(`Error refreshing profile for user ${userId}: ${e.message}`, "ERROR");
       errorCount++;
     }
+
+    // A rejected app fails every user the same way.
+    if (StravaService.appCredentialError) {
+      debugLog("Stopping the profile refresh: Strava rejected the app credentials.", "ERROR", true);
+      break;
+    }
   }
   
   debugLog("--- Full Profile Refresh Complete ---", "INFO");
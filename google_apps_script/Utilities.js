@@ -119,7 +119,8 @@ function include(filename) {
 /**
  * Encodes data using a simple Caesar cipher shift.
  * This is not for security, but for simple obfuscation as in the original code.
- * It only shifts alphabetic characters.
+ * It only shifts alphabetic characters. USER_DATA is now encrypted with
+ * DataEncryption; this format is only read from rows written before that.
  *
  * @param {string} data The data to encode.
  * @return {string} The encoded data.
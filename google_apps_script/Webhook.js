@@ -1,7 +1,8 @@
 /**
  * @fileoverview This file handles all incoming webhook logic from Strava,
- * received via a Cloudflare Worker proxy. It also contains the fallback
- * mechanism to re-enable manual polling if webhooks fail.
+ * received via a Cloudflare Worker proxy. Events are stored in the webhook
+ * inbox by doPost and processed by the drainWebhookInbox trigger. It also
+ * contains the fallback mechanism to re-enable manual polling if webhooks fail.
  */
 
 /**
@@ -20,34 +21,45 @@ function doPost(e) {
     debugLog(`Received raw post data: ${rawContent}`, "DEBUG", true);
 
     const scriptProperties = PropertiesService.getScriptProperties();
-    const workerSecret = scriptProperties.getProperty('WORKER_SHARED_SECRET');
-
-    if (!workerSecret) {
-      const errorMsg = "CRITICAL: WORKER_SHARED_SECRET is not set in Script Properties.";
-      debugLog(errorMsg, "ERROR", true);
-      throw new Error(errorMsg);
-    }
-    debugLog("Successfully retrieved WORKER_SHARED_SECRET.", "DEBUG", true);
-
     const data = JSON.parse(rawContent);
 
-    if (data.secret !== workerSecret) {
-      debugLog("Authentication failed: Received secret does not match stored secret.", "ERROR", true);
+    // The worker signs each delivery with a fresh timestamp and nonce, so a rejected
+    // request is simply retried later with a new signature.
+    const verification = WebhookSecurity.verify(data);
+    if (!verification.valid) {
+      debugLog(`Authentication failed: ${verification.reason}`, "ERROR", true);
       return ContentService.createTextOutput("Authentication Failed");
     }
     
-    debugLog("Webhook authenticated successfully.", "DEBUG");
+    debugLog("Webhook signature verified successfully.", "DEBUG");
 
-    const stravaPayload = data.strava_payload;
-    if (!stravaPayload) {
-        const errorMsg = "Authentication successful, but 'strava_payload' was missing.";
+    const stravaPayload = verification.payload;
+    if (!stravaPayload || typeof stravaPayload !== 'object') {
+        const errorMsg = "Authentication successful, but the signed payload was empty.";
         debugLog(errorMsg, "ERROR", true);
         throw new Error(errorMsg);
     }
     
     debugLog(stravaPayload, "DEBUG", true); // Log the full payload object to the sheet
 
-    processStravaEvent(stravaPayload);
+    // Synthetic events from the worker's /self-test route only confirm the round trip.
+    if (stravaPayload.object_type === WEBHOOK_SUBSCRIPTION.SELF_TEST_OBJECT_TYPE) {
+      AppCache.set(WEBHOOK_SUBSCRIPTION.SELF_TEST_CACHE_PREFIX + stravaPayload.object_id, true, WEBHOOK_SUBSCRIPTION.SELF_TEST_CACHE_SECONDS);
+      return ContentService.createTextOutput("Success");
+    }
+
+    // The worker validates events too; this guards against a worker that predates that check.
+    const schemaError = getStravaEventSchemaError(stravaPayload);
+    if (schemaError) {
+      throw new Error(`Rejected an event that does not match the webhook schema: ${schemaError}`);
+    }
+
+    // Only store the event here; drainWebhookInbox processes it, so the reply is fast
+    // and never waits on Strava, the Activities sheet or the script lock.
+    const enqueueResult = WebhookInboxService.enqueue(stravaPayload);
+    if (!enqueueResult.success) {
+      throw new Error(`Could not store the event in the webhook inbox: ${enqueueResult.error}`);
+    }
     
     scriptProperties.setProperty(PROPERTY_KEYS.LAST_WEBHOOK_TIMESTAMP, new Date().getTime().toString());
     debugLog("Updated last webhook timestamp.", "DEBUG", true);
@@ -63,28 +75,152 @@ function doPost(e) {
   }
 }
 
+/**
+ * The main function to be run by the webhook inbox trigger. Processes a batch of
+ * stored events under the script lock, so it never overlaps the activity sync, and
+ * ends a webhook outage once events arrive again.
+ */
+function drainWebhookInbox() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) { // Wait 10s
+    debugLog("Could not obtain webhook inbox lock. Another process is likely running.", "WARNING");
+    return;
+  }
+
+  try {
+    // The first event after an outage ends it and queues the recovery of the missed window.
+    GapRecoveryService.closeOpenOutage();
+
+    const summary = WebhookInboxService.drain();
+    if (summary.processed > 0 || summary.failed > 0) {
+      debugLog(`Webhook inbox run finished. Processed ${summary.processed}, failed ${summary.failed}, ${summary.remaining} remaining.`, "INFO");
+    }
+    WebhookInboxService.pruneProcessedEvents();
+  } catch (e) {
+    debugLog(`Error in drainWebhookInbox: ${e.message}`, 'ERROR');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Creates a trigger to process the webhook inbox every minute.
+ * Run this function once manually from the editor.
+ */
+function setupWebhookInboxTrigger() {
+  deleteTriggersByName('drainWebhookInbox'); // Ensure no duplicates
+  ScriptApp.newTrigger('drainWebhookInbox')
+    .timeBased()
+    .everyMinutes(1)
+    .create();
+  debugLog("Webhook inbox trigger created.", "INFO");
+}
+
 /**
  * Main router for processing validated Strava webhook events.
  * @param {Object} payload The Strava event object from the webhook.
+ * @param {{force?: boolean}} [options] Set `force` to process an event again even if it was already processed (used by replays).
+ * @return {{outcome: string, affectedActivities: Array<string>}} What the event did, for the WebhookEvents journal.
  */
-function processStravaEvent(payload) {
+function processStravaEvent(payload, options = {}) {
   const { object_type, aspect_type, owner_id, object_id, updates } = payload;
+
+  const skipReason = options.force ? null : getWebhookEventSkipReason(payload);
+  if (skipReason) {
+    debugLog(`Skipping ${object_type} ${aspect_type} event for ${object_id}: ${skipReason}`, "INFO", true);
+    return { outcome: `skipped: ${skipReason}`, affectedActivities: [] };
+  }
+
   debugLog(`Routing event: type=${object_type}, aspect=${aspect_type}, owner=${owner_id}`, "INFO", true);
 
+  let result;
   // Main switch to route based on the object type
   switch (object_type) {
     case 'activity':
-      handleActivityEvent(aspect_type, owner_id, object_id);
+      result = handleActivityEvent(aspect_type, owner_id, object_id, updates);
       break;
 
     case 'athlete':
-      handleAthleteEvent(aspect_type, owner_id, updates);
+      result = handleAthleteEvent(aspect_type, owner_id, updates);
       break;
 
     default:
       debugLog(`Received webhook for an unhandled object_type: "${object_type}"`, "WARNING", true);
+      result = { outcome: 'ignored: unhandled object type', affectedActivities: [] };
       break;
   }
+
+  // Only recorded once the event was handled, so a failed event is processed again when retried.
+  recordProcessedWebhookEvent(payload);
+  return result;
+}
+
+/**
+ * Checks a Strava event against the webhook event schema.
+ * @param {Object} payload The Strava event object.
+ * @returns {string|null} What is wrong with the event, or null if it is valid.
+ */
+function getStravaEventSchemaError(payload) {
+  if (!STRAVA_WEBHOOK_SCHEMA.OBJECT_TYPES.includes(payload.object_type)) {
+    return `Unknown object_type "${payload.object_type}".`;
+  }
+  if (!STRAVA_WEBHOOK_SCHEMA.ASPECT_TYPES.includes(payload.aspect_type)) {
+    return `Unknown aspect_type "${payload.aspect_type}".`;
+  }
+  const invalidField = STRAVA_WEBHOOK_SCHEMA.ID_FIELDS.find(field => !Number.isSafeInteger(payload[field]) || payload[field] <= 0);
+  if (invalidField) {
+    return `${invalidField} must be a positive integer.`;
+  }
+  if (payload.updates !== undefined && (!payload.updates || typeof payload.updates !== 'object' || Array.isArray(payload.updates))) {
+    return "updates must be an object.";
+  }
+  return null;
+}
+
+/**
+ * Builds the ID that Strava's redeliveries of an event share.
+ * @param {Object} payload The Strava event object.
+ * @returns {string} The event ID.
+ */
+function getWebhookEventId(payload) {
+  return `${payload.object_type}:${payload.object_id}:${payload.aspect_type}:${payload.event_time}`;
+}
+
+/**
+ * Checks whether an event was already processed, or is an update older than the
+ * newest event processed for the same object. The worker deduplicates too; this
+ * catches events it delivered twice, e.g. when a reply to it was lost.
+ * @param {Object} payload The Strava event object.
+ * @returns {string|null} Why the event should be skipped, or null to process it.
+ */
+function getWebhookEventSkipReason(payload) {
+  if (!payload.event_time) return null; // Manual test events may not carry one.
+
+  if (AppCache.get(WEBHOOK_DEDUP.EVENT_CACHE_PREFIX + getWebhookEventId(payload))) {
+    return 'duplicate event';
+  }
+
+  // Updates are patched from their 'updates' field, so an older one must not overwrite a newer change.
+  const latestEventTime = AppCache.get(`${WEBHOOK_DEDUP.LATEST_CACHE_PREFIX}${payload.object_type}:${payload.object_id}`);
+  if (payload.aspect_type === 'update' && latestEventTime && Number(payload.event_time) < Number(latestEventTime)) {
+    return `stale update (a newer event from ${latestEventTime} was already processed)`;
+  }
+  return null;
+}
+
+/**
+ * Records an event as processed for `getWebhookEventSkipReason`.
+ * @param {Object} payload The Strava event object.
+ */
+function recordProcessedWebhookEvent(payload) {
+  if (!payload.event_time) return;
+
+  AppCache.set(WEBHOOK_DEDUP.EVENT_CACHE_PREFIX + getWebhookEventId(payload), true, WEBHOOK_DEDUP.TTL_SECONDS);
+
+  const latestKey = `${WEBHOOK_DEDUP.LATEST_CACHE_PREFIX}${payload.object_type}:${payload.object_id}`;
+  if (Number(payload.event_time) > Number(AppCache.get(latestKey) || 0)) {
+    AppCache.set(latestKey, Number(payload.event_time), WEBHOOK_DEDUP.TTL_SECONDS);
+  }
 }
 
 /**
@@ -92,32 +228,40 @@ function processStravaEvent(payload) {
  * @param {string} aspect_type The type of change (e.g., 'create').
  * @param {string|number} owner_id The ID of the user.
  * @param {string|number} object_id The ID of the activity.
+ * @param {Object} [updates] For 'update' events, the changed fields (title, type, private).
+ * @return {{outcome: string, affectedActivities: Array<string>}} What the event did.
  */
-function handleActivityEvent(aspect_type, owner_id, object_id) {
+function handleActivityEvent(aspect_type, owner_id, object_id, updates) {
+  const affected = outcome => ({ outcome: outcome, affectedActivities: [String(object_id)] });
+  const unaffected = outcome => ({ outcome: outcome, affectedActivities: [] });
+
   // Nested switch for different activity aspects
   switch (aspect_type) {
     case 'update':
-      // For 'update', first delete the old record.
-      debugLog(`Update event for activity ${object_id}. Deleting existing entry.`, "DEBUG", true);
-      SheetService.deleteObjectById(SHEET_NAMES.ACTIVITIES, object_id, 'id');
+      // Activities already in the sheet are patched in place. Anything else
+      // (e.g. an activity that just became public) is added like a new one.
+      const updateOutcome = handleActivityUpdate(owner_id, object_id, updates || {});
+      if (updateOutcome) {
+        return ['updated', 'withdrawn'].includes(updateOutcome) ? affected(updateOutcome) : unaffected(updateOutcome);
+      }
       // IMPORTANT: No 'break' here. We want to "fall through" to the 'create'
-      // case to re-add the activity with its new data.
+      // case to add the activity with its current data.
 
     case 'create':
-      // This block now handles both 'create' and 'update' (after deletion).
-      const accessToken = DatabaseService.getAccessToken(owner_id);
-      if (!accessToken) {
-        debugLog(`No access token for user ${owner_id}, cannot process activity ${object_id}.`, "ERROR", true);
-        return;
+      // This block handles 'create' and updates of activities not in the sheet yet.
+      const ownerSkipReason = getWebhookOwnerSkipReason(owner_id);
+      if (ownerSkipReason) {
+        debugLog(`Skipping activity ${object_id}: ${ownerSkipReason}.`, "WARNING", true);
+        return unaffected(`skipped: ${ownerSkipReason}`);
       }
 
-      const singleActivity = StravaService.getActivityById(object_id, owner_id);
+      const singleActivity = fetchActivityForWebhook(owner_id, object_id);
       if (!singleActivity) {
-        debugLog(`Could not fetch details for activity ${object_id}.`, "WARNING", true);
-        return;
+        debugLog(`Activity ${object_id} is not available on Strava.`, "WARNING", true);
+        return unaffected('skipped: activity not found on Strava');
       }
 
-      const wasActivityAdded = addSingleActivityToSheet(singleActivity);
+      const wasActivityAdded = addSingleActivityToSheet(singleActivity, 'webhook');
       if (wasActivityAdded) {
         // Perform all post-addition tasks
         DatabaseService.updateUserData(owner_id, { ...DatabaseService.getUserData(owner_id), lastUpdated: new Date().toISOString() });
@@ -125,31 +269,149 @@ function handleActivityEvent(aspect_type, owner_id, object_id) {
         AppCache.invalidateActivityCaches();
         deleteTriggersByName('processActivitySyncQueue');
         debugLog(`Webhook for activity ${object_id} processed successfully.`, 'INFO', true);
+        return affected('added');
       }
-      break;
+      // Filtered out, private or already in the sheet.
+      return unaffected('not added');
 
     case 'delete':
-      SheetService.deleteObjectById(SHEET_NAMES.ACTIVITIES, object_id, 'id');
+      const deleteResult = SheetService.deleteObjectById(SHEET_NAMES.ACTIVITIES, object_id, 'id');
       AppCache.invalidateActivityCaches();
-      break;
+      return deleteResult.success ? affected('deleted') : unaffected('not in sheet');
 
     default:
       debugLog(`Received unhandled aspect_type for activity: "${aspect_type}"`, "WARNING", true);
-      break;
+      return unaffected('ignored: unhandled aspect type');
+  }
+}
+
+/**
+ * Decides whether an athlete's activity events can never be processed, so they are
+ * finished with an outcome instead of being retried.
+ * @param {string|number} owner_id The ID of the athlete.
+ * @return {string|null} The reason, or null if the athlete's events can be processed.
+ */
+function getWebhookOwnerSkipReason(owner_id) {
+  const member = DatabaseService.getUserData(owner_id);
+  if (!member) return 'unknown athlete';
+  if (member.reauthorizationRequired) return 'athlete must reconnect';
+  return null;
+}
+
+/**
+ * Fetches the activity of a webhook event. Failures that may pass (no access token,
+ * Strava rate limits or server errors) throw, so the inbox retries the event.
+ * @param {string|number} owner_id The ID of the athlete.
+ * @param {string|number} object_id The ID of the activity.
+ * @return {Object|null} The activity, or null if Strava no longer has it or does not show it.
+ * @throws {Error} If the fetch failed for any other reason.
+ */
+function fetchActivityForWebhook(owner_id, object_id) {
+  const response = StravaService.fetchActivityById(object_id, owner_id);
+  if (response.activity) return response.activity;
+  if (response.status === 404 || response.status === 403) return null;
+
+  throw new Error(response.status === null
+    ? `No valid access token for user ${owner_id}.`
+    : `Could not fetch activity ${object_id} (Strava returned ${response.status}).`);
+}
+
+/**
+ * Applies an activity 'update' event to the activity's existing row.
+ * Title and type changes are patched from the event's `updates` payload without
+ * calling Strava. A full refetch only happens for changes the payload cannot
+ * describe, and the row is left untouched if that refetch fails.
+ * @param {string|number} owner_id The ID of the user.
+ * @param {string|number} object_id The ID of the activity.
+ * @param {Object} updates The changed fields, e.g. {title: 'Morning Swim', type: 'Swim', private: 'true'}.
+ * @return {string|null} The outcome ('updated', 'withdrawn', 'unchanged' or a permanent skip), or null if the activity is not in the sheet.
+ * @throws {Error} If the refetch or the write failed in a way a retry may fix.
+ */
+function handleActivityUpdate(owner_id, object_id, updates) {
+  const existingActivity = SheetService.getObjectById(SHEET_NAMES.ACTIVITIES, object_id, 'id');
+  if (!existingActivity) {
+    debugLog(`Update event for activity ${object_id}, which is not in the sheet. Treating it as new.`, "DEBUG", true);
+    return null;
+  }
+
+  // Activities made private are withdrawn and kept in the HiddenActivities audit trail.
+  if (String(updates.private) === 'true') {
+    if (ActivityVisibilityService.withdraw(object_id, 'only_me', 'webhook')) {
+      ActivityVisibilityService.recomputeAfterChange([owner_id]);
+    }
+    return 'withdrawn';
+  }
+
+  let patch = {};
+  if (updates.title !== undefined) {
+    patch.name = updates.title;
   }
+  if (updates.type !== undefined) {
+    const normalized = ActivityTypeService.normalize({ sport_type: updates.type });
+    patch = { ...patch, type: normalized.type, sport_type: normalized.sport_type, category: normalized.category };
+  }
+
+  const knownFields = ['title', 'type', 'private'];
+  const needsRefetch = Object.keys(updates).some(field => !knownFields.includes(field)) || Object.keys(updates).length === 0;
+
+  if (needsRefetch) {
+    const ownerSkipReason = getWebhookOwnerSkipReason(owner_id);
+    if (ownerSkipReason) {
+      debugLog(`Cannot refetch activity ${object_id}: ${ownerSkipReason}. Keeping the existing row unchanged.`, "WARNING", true);
+      return `skipped: ${ownerSkipReason}`;
+    }
+    const refreshedActivity = fetchActivityForWebhook(owner_id, object_id);
+    if (!refreshedActivity) {
+      debugLog(`Activity ${object_id} is not available on Strava. Keeping the existing row unchanged.`, "WARNING", true);
+      return 'skipped: activity not found on Strava';
+    }
+    if (ActivityVisibilityService.applyVisibility(refreshedActivity, 'webhook')) {
+      ActivityVisibilityService.recomputeAfterChange([owner_id]);
+      return 'withdrawn';
+    }
+    patch = {
+      ...ActivityTypeService.normalize(refreshedActivity),
+      athlete_id: refreshedActivity.athlete ? refreshedActivity.athlete.id : existingActivity.athlete_id
+    };
+  }
+
+  if (Object.keys(patch).length === 0) {
+    debugLog(`Update event for activity ${object_id} changed nothing that is stored.`, "DEBUG", true);
+    return 'unchanged';
+  }
+
+  const result = SheetService.updateObjectById(SHEET_NAMES.ACTIVITIES, object_id, patch, 'id');
+  if (!result.success) {
+    throw new Error(`Failed to update activity ${object_id}: ${result.error}`);
+  }
+
+  const updatedActivity = { ...existingActivity, ...patch };
+  if (SwimMetricsService.isSwim(updatedActivity) && !SwimMetricsService.isSwim(existingActivity)) {
+    SwimMetricsService.recordForActivity(updatedActivity);
+  }
+
+  ChallengeService.updateUserChallengeProgress(owner_id);
+  AppCache.invalidateActivityCaches();
+  debugLog(`Updated activity ${object_id} in place (${Object.keys(patch).join(', ')}).`, 'INFO', true);
+  return 'updated';
 }
 
 /**
  * Handles all logic related to athlete events (e.g., deauthorization).
+ * A deauthorization purges the member's data according to DEAUTH_PURGE_POLICY.
  * @param {string} aspect_type The type of change ('update').
  * @param {string|number} owner_id The ID of the user.
  * @param {Object} updates An object containing the changed fields.
+ * @return {{outcome: string, affectedActivities: Array<string>}} What the event did.
  */
 function handleAthleteEvent(aspect_type, owner_id, updates) {
   if (aspect_type === 'update' && updates && updates.authorized === 'false') {
     debugLog(`User ${owner_id} has deauthorized the application. Processing...`, "WARNING", true);
-    DatabaseService.deauthorizeUser(owner_id);
+    const receipt = MemberPurgeService.purgeMember(owner_id, 'deauthorization');
+    // The purged activity rows are no longer known by ID, so only their count is recorded.
+    return { outcome: `purged (${receipt.policy}, ${receipt.counts[SHEET_NAMES.ACTIVITIES] || 0} activity rows)`, affectedActivities: [] };
   }
+  return { outcome: 'ignored: no deauthorization', affectedActivities: [] };
 }
 
 /**
@@ -158,6 +420,15 @@ function handleAthleteEvent(aspect_type, owner_id, updates) {
  */
 function monitorWebhookHealth() {
   debugLog("Running daily webhook health check...", "INFO");
+
+  // Repairs a missing or stale subscription and falls back to polling if the round trip fails.
+  reconcileWebhookSubscription_();
+
+  // When clubs share the worker, keep its list of this club's athletes current.
+  if (PropertiesService.getScriptProperties().getProperty(WORKER_ROUTING.CLUB_ID_PROPERTY)) {
+    registerAthletesWithWorker_();
+  }
+
   const props = PropertiesService.getScriptProperties();
   const lastWebhookTime = props.getProperty(PROPERTY_KEYS.LAST_WEBHOOK_TIMESTAMP);
 
@@ -169,9 +440,11 @@ function monitorWebhookHealth() {
 
   const timeDifferenceHours = (new Date().getTime() - parseInt(lastWebhookTime, 10)) / (1000 * 60 * 60);
 
-  if (timeDifferenceHours > 24) {
-    debugLog(`Webhook system appears to be down (last event > 24h ago). Re-activating manual sync trigger.`, "ERROR");
+  if (timeDifferenceHours > GAP_RECOVERY.SILENCE_THRESHOLD_HOURS) {
+    debugLog(`Webhook system appears to be down (last event > ${GAP_RECOVERY.SILENCE_THRESHOLD_HOURS}h ago). Re-activating manual sync trigger.`, "ERROR");
     setupActivitySyncTrigger(); //
+    // Record the outage so the missed window is synced in full once events arrive again.
+    GapRecoveryService.openOutage(parseInt(lastWebhookTime, 10));
   } else {
     debugLog(`Webhook system is healthy. Last event received ${timeDifferenceHours.toFixed(2)} hours ago.`, "INFO");
   }
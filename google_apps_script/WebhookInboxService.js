@@ -0,0 +1,317 @@
+/**
+ * @fileoverview This service keeps the inbox of Strava webhook events in the
+ * "WebhookEvents" sheet. `doPost` only verifies and stores each event, so the
+ * worker gets its reply in well under a second. The `drainWebhookInbox` trigger
+ * then processes stored events in batches under the script lock, tracking the
+ * status, attempts and last error of each one. Failed events are retried with an
+ * exponential backoff, so a Strava outage of a few hours does not use them up.
+ *
+ * The sheet doubles as a journal: each row records what processing the event did
+ * and which activities it affected. Replaying an event adds a new row with the same
+ * payload, so the original outcome stays on record.
+ */
+
+class WebhookInboxService {
+
+  /**
+   * Stores a verified Strava event as pending.
+   * @param {Object} payload The Strava event object.
+   * @return {{success: boolean, id?: string, error?: string}} The result, with the inbox row ID.
+   */
+  static enqueue(payload) {
+    const row = this._toRow(payload, 'webhook', '');
+    const result = this._append([row]);
+    return result.success ? { success: true, id: row.ID } : result;
+  }
+
+  /**
+   * Lists journal entries, newest first.
+   * @param {Object} [filters] Optional filters; all given filters must match.
+   * @param {string} [filters.status] e.g. 'failed' or 'dead'.
+   * @param {string} [filters.objectType] 'activity' or 'athlete'.
+   * @param {string} [filters.aspectType] 'create', 'update' or 'delete'.
+   * @param {string|number} [filters.objectId] The activity or athlete ID.
+   * @param {string|number} [filters.ownerId] The athlete who owns the object.
+   * @param {string} [filters.from] Only events received at or after this ISO date.
+   * @param {string} [filters.to] Only events received at or before this ISO date.
+   * @param {number} [filters.limit] The maximum number of entries to return.
+   * @return {Array<Object>} The matching journal rows.
+   */
+  static listEvents(filters = {}) {
+    const limit = Number(filters.limit) || WEBHOOK_INBOX.DEFAULT_LIST_LIMIT;
+    return this._getRows()
+      .filter(row => this._matches(row, filters))
+      .sort((a, b) => new Date(b.ReceivedAt).getTime() - new Date(a.ReceivedAt).getTime())
+      .slice(0, limit);
+  }
+
+  /**
+   * Queues a journal entry to be processed again, bypassing the duplicate check.
+   * @param {string} id The journal row ID.
+   * @return {{success: boolean, id?: string, error?: string}} The result, with the ID of the replay row.
+   */
+  static replayEvent(id) {
+    const original = this._getRows().find(row => row.ID === id);
+    if (!original) {
+      return { success: false, error: `Webhook event ${id} not found.` };
+    }
+    const row = this._toRow(JSON.parse(original.Payload), 'replay', original.ID);
+    const result = this._append([row]);
+    return result.success ? { success: true, id: row.ID } : result;
+  }
+
+  /**
+   * Queues every original Strava event received in a time range to be processed again,
+   * in the order Strava sent them. Earlier replays are not replayed a second time.
+   * @param {string} from The start of the range (ISO date, inclusive).
+   * @param {string} to The end of the range (ISO date, inclusive).
+   * @param {Object} [filters] Further filters, as for `listEvents`.
+   * @return {{success: boolean, count: number, error?: string}} The number of events queued.
+   */
+  static replayRange(from, to, filters = {}) {
+    if (!from || !to || isNaN(new Date(from).getTime()) || isNaN(new Date(to).getTime())) {
+      return { success: false, count: 0, error: 'A valid "from" and "to" date are required.' };
+    }
+
+    const rows = this._getRows()
+      .filter(row => row.Source !== 'replay' && this._matches(row, { ...filters, from: from, to: to }))
+      .sort((a, b) => Number(a.EventTime) - Number(b.EventTime) || new Date(a.ReceivedAt).getTime() - new Date(b.ReceivedAt).getTime())
+      .map(original => this._toRow(JSON.parse(original.Payload), 'replay', original.ID));
+
+    const result = this._append(rows);
+    return result.success ? { success: true, count: rows.length } : { ...result, count: 0 };
+  }
+
+  /**
+   * Counts the journal entries in each status.
+   * @return {Object<string, number>} The number of rows per status, e.g. {pending: 2, done: 40}.
+   */
+  static countByStatus() {
+    const counts = {};
+    Object.values(WEBHOOK_INBOX.STATUS).forEach(status => counts[status] = 0);
+    this._getRows().forEach(row => counts[row.Status] = (counts[row.Status] || 0) + 1);
+    return counts;
+  }
+
+  /**
+   * Gets the events that are due for processing, oldest first. Only the open rows are
+   * read, not the whole journal. Failed events are due once their `NextAttemptAt` has
+   * passed. Events left in 'processing' were interrupted (e.g. by the execution time
+   * limit) and are retried; if that was their last attempt, they are marked dead
+   * instead. The caller must hold the script lock.
+   * @return {Array<Object>} The inbox rows.
+   */
+  static getPendingEvents() {
+    const open = [WEBHOOK_INBOX.STATUS.PENDING, WEBHOOK_INBOX.STATUS.FAILED, WEBHOOK_INBOX.STATUS.PROCESSING];
+    const rows = SheetService.getObjectsWhereColumn(SHEET_NAMES.WEBHOOK_EVENTS, 'Status', status => open.includes(status));
+
+    rows.filter(row => Number(row.Attempts) >= WEBHOOK_INBOX.MAX_ATTEMPTS).forEach(row => {
+      const lastError = row.LastError || 'Processing was interrupted on the last attempt.';
+      this._setStatus(row.ID, { Status: WEBHOOK_INBOX.STATUS.DEAD, LastError: lastError });
+      debugLog(`Webhook event ${row.EventID} is out of attempts and was marked dead: ${lastError}`, 'ERROR', true);
+    });
+
+    const now = new Date().getTime();
+    return rows
+      .filter(row => Number(row.Attempts) < WEBHOOK_INBOX.MAX_ATTEMPTS)
+      .filter(row => !row.NextAttemptAt || new Date(row.NextAttemptAt).getTime() <= now)
+      .sort((a, b) => new Date(a.ReceivedAt).getTime() - new Date(b.ReceivedAt).getTime());
+  }
+
+  /**
+   * Processes up to WEBHOOK_INBOX.BATCH_SIZE pending events. Each event's status is
+   * written before and after it is processed, so a run that is cut off never
+   * processes an event twice without counting the attempt. When the Strava
+   * rate-limit budget runs low, the run stops and the event at hand keeps its
+   * attempts: being rate limited says nothing about the event.
+   * The caller must hold the script lock.
+   * @return {{processed: number, failed: number, remaining: number}} A summary of the run.
+   */
+  static drain() {
+    const deadline = new Date().getTime() + WEBHOOK_INBOX.MAX_RUNTIME_MS;
+    const pendingEvents = this.getPendingEvents();
+    const batch = pendingEvents.slice(0, WEBHOOK_INBOX.BATCH_SIZE);
+    let processed = 0;
+    let failed = 0;
+
+    for (const row of batch) {
+      if (new Date().getTime() >= deadline) break;
+      if (!StravaApiClient.hasBudget(1)) {
+        debugLog('Strava rate-limit budget is low. Pausing the webhook inbox.', 'WARNING');
+        break;
+      }
+
+      const attempts = Number(row.Attempts) + 1;
+      this._setStatus(row.ID, { Status: WEBHOOK_INBOX.STATUS.PROCESSING, Attempts: attempts });
+
+      try {
+        const result = processStravaEvent(JSON.parse(row.Payload), { force: row.Source === 'replay' });
+        this._setStatus(row.ID, {
+          Status: WEBHOOK_INBOX.STATUS.DONE,
+          LastError: '',
+          Outcome: result.outcome,
+          AffectedActivities: result.affectedActivities.join(', '),
+          ProcessedAt: new Date().toISOString(),
+          NextAttemptAt: ''
+        });
+        processed++;
+      } catch (e) {
+        if (!StravaApiClient.hasBudget(1)) {
+          // Rate limited: put the event back as it was and wait for the budget to recover.
+          this._setStatus(row.ID, {
+            Status: Number(row.Attempts) > 0 ? WEBHOOK_INBOX.STATUS.FAILED : WEBHOOK_INBOX.STATUS.PENDING,
+            Attempts: Number(row.Attempts),
+            LastError: e.message
+          });
+          debugLog(`Webhook event ${row.EventID} was rate limited and will be retried: ${e.message}`, 'WARNING');
+          break;
+        }
+
+        const status = attempts >= WEBHOOK_INBOX.MAX_ATTEMPTS ? WEBHOOK_INBOX.STATUS.DEAD : WEBHOOK_INBOX.STATUS.FAILED;
+        const nextAttemptAt = status === WEBHOOK_INBOX.STATUS.FAILED
+          ? new Date(new Date().getTime() + this._getBackoffMs(attempts)).toISOString()
+          : '';
+        this._setStatus(row.ID, { Status: status, LastError: e.message, NextAttemptAt: nextAttemptAt });
+        debugLog(`Webhook event ${row.EventID} failed (attempt ${attempts}, now ${status}${nextAttemptAt ? `, retrying after ${nextAttemptAt}` : ''}): ${e.message}`, 'ERROR', true);
+        failed++;
+      }
+    }
+
+    return { processed: processed, failed: failed, remaining: pendingEvents.length - processed - failed };
+  }
+
+  /**
+   * Deletes processed events older than WEBHOOK_INBOX.RETENTION_DAYS.
+   * Failed and dead events are kept until someone looks at them. This rewrites the
+   * whole journal, so it runs at most every WEBHOOK_INBOX.PRUNE_INTERVAL_HOURS.
+   * @param {boolean} [force=false] If true, prune even if the journal was pruned recently.
+   * @return {{success: boolean, count: number, error?: string}} The number of rows deleted.
+   */
+  static pruneProcessedEvents(force = false) {
+    const props = PropertiesService.getScriptProperties();
+    const lastPrunedAt = Number(props.getProperty(WEBHOOK_INBOX.LAST_PRUNED_KEY) || 0);
+    if (!force && new Date().getTime() - lastPrunedAt < WEBHOOK_INBOX.PRUNE_INTERVAL_HOURS * 60 * 60 * 1000) {
+      return { success: true, count: 0 };
+    }
+    props.setProperty(WEBHOOK_INBOX.LAST_PRUNED_KEY, String(new Date().getTime()));
+
+    const cutoff = new Date().getTime() - WEBHOOK_INBOX.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const lock = LockService.getDocumentLock();
+    if (!lock.tryLock(10000)) {
+      return { success: false, count: 0, error: 'Could not obtain the webhook inbox lock.' };
+    }
+
+    try {
+      return SheetService.deleteRowsWhere(SHEET_NAMES.WEBHOOK_EVENTS, row =>
+        row.Status === WEBHOOK_INBOX.STATUS.DONE && new Date(row.UpdatedAt).getTime() < cutoff
+      );
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Private helper to build a pending inbox row for an event.
+   * @param {Object} payload The Strava event object.
+   * @param {string} source 'webhook' or 'replay'.
+   * @param {string} replayOf For replays, the ID of the replayed row.
+   * @return {Object} The inbox row.
+   * @private
+   */
+  static _toRow(payload, source, replayOf) {
+    const now = new Date().toISOString();
+    return {
+      ID: Utilities.getUuid(),
+      EventID: getWebhookEventId(payload),
+      ReceivedAt: now,
+      ObjectType: payload.object_type,
+      ObjectID: String(payload.object_id),
+      AspectType: payload.aspect_type,
+      OwnerID: String(payload.owner_id),
+      EventTime: payload.event_time || '',
+      Payload: JSON.stringify(payload),
+      Status: WEBHOOK_INBOX.STATUS.PENDING,
+      Attempts: 0,
+      LastError: '',
+      UpdatedAt: now,
+      Source: source,
+      ReplayOf: replayOf
+    };
+  }
+
+  /**
+   * Private helper to append rows to the inbox. The document lock keeps concurrent
+   * `doPost` calls from writing to the same row.
+   * @param {Array<Object>} rows The rows to append.
+   * @return {{success: boolean, error?: string}}
+   * @private
+   */
+  static _append(rows) {
+    const lock = LockService.getDocumentLock();
+    if (!lock.tryLock(10000)) {
+      return { success: false, error: 'Could not obtain the webhook inbox lock.' };
+    }
+
+    try {
+      SheetService.ensureSheet(SHEET_NAMES.WEBHOOK_EVENTS, SHEET_HEADERS.WEBHOOK_EVENTS);
+      // Inboxes created before the journal columns existed get them on the next write.
+      SheetService.ensureColumns(SHEET_NAMES.WEBHOOK_EVENTS, SHEET_HEADERS.WEBHOOK_EVENTS);
+      return SheetService.appendObjects(SHEET_NAMES.WEBHOOK_EVENTS, rows);
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Private helper to read every inbox row.
+   * @return {Array<Object>} The rows, or an empty array before the first event.
+   * @private
+   */
+  static _getRows() {
+    try {
+      return SheetService.getDataAsObjects(SHEET_NAMES.WEBHOOK_EVENTS);
+    } catch (e) {
+      return []; // The sheet is created with the first event.
+    }
+  }
+
+  /**
+   * Private helper to check a row against the `listEvents` filters.
+   * @param {Object} row The inbox row.
+   * @param {Object} filters The filters.
+   * @return {boolean} True if the row matches every given filter.
+   * @private
+   */
+  static _matches(row, filters) {
+    const receivedAt = new Date(row.ReceivedAt).getTime();
+    if (filters.status && row.Status !== filters.status) return false;
+    if (filters.objectType && row.ObjectType !== filters.objectType) return false;
+    if (filters.aspectType && row.AspectType !== filters.aspectType) return false;
+    if (filters.objectId && String(row.ObjectID) !== String(filters.objectId)) return false;
+    if (filters.ownerId && String(row.OwnerID) !== String(filters.ownerId)) return false;
+    if (filters.from && receivedAt < new Date(filters.from).getTime()) return false;
+    if (filters.to && receivedAt > new Date(filters.to).getTime()) return false;
+    return true;
+  }
+
+  /**
+   * Private helper to compute how long to wait before retrying a failed event.
+   * @param {number} attempts The attempts made so far (at least 1).
+   * @return {number} The wait in milliseconds.
+   * @private
+   */
+  static _getBackoffMs(attempts) {
+    const minutes = Math.min(WEBHOOK_INBOX.RETRY_BACKOFF_BASE_MINUTES * Math.pow(2, attempts - 1), WEBHOOK_INBOX.RETRY_BACKOFF_MAX_MINUTES);
+    return minutes * 60 * 1000;
+  }
+
+  /**
+   * Private helper to update an inbox row's status fields.
+   * @param {string} id The inbox row ID.
+   * @param {Object} changes The columns to change.
+   * @private
+   */
+  static _setStatus(id, changes) {
+    SheetService.updateObjectById(SHEET_NAMES.WEBHOOK_EVENTS, id, { ...changes, UpdatedAt: new Date().toISOString() }, 'ID');
+  }
+}
@@ -1,6 +1,10 @@
 /**
  * @fileoverview Provides functions to programmatically manage the Strava webhook subscription.
  * This allows for creating, viewing, and deleting the subscription via code instead of the Strava UI.
+ * `reconcileWebhookSubscription_` keeps the subscription pointed at CLOUDFLARE_WORKER_URL and
+ * checks the whole path with a round-trip self-test, so a lost subscription repairs itself.
+ * When several clubs share the worker, `registerAthletesWithWorker_` tells it which
+ * athletes' events belong to this deployment.
  */
 
 
@@ -8,6 +12,7 @@
  * Programmatically creates the webhook subscription.
  * This is an alternative to setting it up in the Strava UI.
  * Run this function manually from the editor once to subscribe.
+ * @returns {object} The created subscription.
  */
 function createWebhookSubscription() {
   const props = PropertiesService.getScriptProperties();
@@ -20,7 +25,7 @@ function createWebhookSubscription() {
     throw new Error("Worker URL and Strava Verify Token must be set first. Run setupWorkerUrl() and check script properties.");
   }
 
-  const stravaApiUrl = 'https://www.strava.com/api/v3/push_subscriptions';
+  const stravaApiUrl = WEBHOOK_SUBSCRIPTION.API_URL;
   
   const payload = {
     'client_id': clientId,
@@ -45,6 +50,7 @@ function createWebhookSubscription() {
     if (responseCode === 201) {
       debugLog("SUCCESS: Webhook subscription created successfully!", 'INFO');
       Logger.log(responseBody);
+      return JSON.parse(responseBody);
     } else {
       debugLog(`ERROR: Failed to create webhook. Code: ${responseCode}. Body: ${responseBody}`, 'ERROR');
       throw new Error(`Failed to create webhook: ${responseBody}`);
@@ -62,33 +68,45 @@ function createWebhookSubscription() {
  * @returns {object|null} The subscription object or null.
  */
 function viewWebhookSubscription() {
+  const result = _fetchWebhookSubscriptions();
+  if (!result.success) {
+    debugLog(`CRITICAL ERROR in viewWebhookSubscription: ${result.error}`, 'ERROR');
+    return null;
+  }
+
+  const data = result.subscriptions;
+  if (data.length > 0) {
+    debugLog(`Found active subscription: ID = ${data[0].id}, URL = ${data[0].callback_url}`, 'INFO');
+    Logger.log(JSON.stringify(data, null, 2));
+    return data[0]; // Return the first (and likely only) subscription
+  } else {
+    debugLog("No active webhook subscriptions found for this application.", 'INFO');
+    Logger.log("No active webhook subscriptions found.");
+    return null;
+  }
+}
+
+/**
+ * Private helper to list the app's webhook subscriptions. Unlike `viewWebhookSubscription`,
+ * it tells "no subscription" apart from a failed request.
+ * @returns {{success: boolean, subscriptions?: Array<object>, error?: string}}
+ */
+function _fetchWebhookSubscriptions() {
   const props = PropertiesService.getScriptProperties();
   const clientId = props.getProperty('STRAVA_CLIENT_ID');
   const clientSecret = props.getProperty('STRAVA_CLIENT_SECRET');
-  
-  const url = `https://www.strava.com/api/v3/push_subscriptions?client_id=${clientId}&client_secret=${clientSecret}`;
-  
-  const options = {
-    'method': 'get',
-    'muteHttpExceptions': true
-  };
-  
-  try {
-    const response = UrlFetchApp.fetch(url, options);
-    const data = JSON.parse(response.getContentText());
 
-    if (data && data.length > 0) {
-      debugLog(`Found active subscription: ID = ${data[0].id}, URL = ${data[0].callback_url}`, 'INFO');
-      Logger.log(JSON.stringify(data, null, 2));
-      return data[0]; // Return the first (and likely only) subscription
-    } else {
-      debugLog("No active webhook subscriptions found for this application.", 'INFO');
-      Logger.log("No active webhook subscriptions found.");
-      return null;
+  const url = `${WEBHOOK_SUBSCRIPTION.API_URL}?client_id=${clientId}&client_secret=${clientSecret}`;
+
+  try {
+    const response = UrlFetchApp.fetch(url, { 'method': 'get', 'muteHttpExceptions': true });
+    if (response.getResponseCode() !== 200) {
+      return { success: false, error: `Strava responded ${response.getResponseCode()}: ${response.getContentText()}` };
     }
+    const data = JSON.parse(response.getContentText());
+    return { success: true, subscriptions: Array.isArray(data) ? data : [] };
   } catch(e) {
-    debugLog(`CRITICAL ERROR in viewWebhookSubscription: ${e.message}`, 'ERROR');
-    return null;
+    return { success: false, error: e.message };
   }
 }
 
@@ -108,18 +126,26 @@ function deleteWebhookSubscription() {
     return;
   }
   
-  const subscriptionId = subscription.id;
+  _deleteWebhookSubscriptionById(subscription.id);
+}
+
+/**
+ * Private helper to delete a webhook subscription by its ID.
+ * @param {number} subscriptionId The ID of the subscription.
+ * @returns {boolean} True if Strava deleted the subscription.
+ */
+function _deleteWebhookSubscriptionById(subscriptionId) {
   const props = PropertiesService.getScriptProperties();
   const clientId = props.getProperty('STRAVA_CLIENT_ID');
   const clientSecret = props.getProperty('STRAVA_CLIENT_SECRET');
 
   if (!clientId || !clientSecret) {
       debugLog("Strava client_id or client_secret are not set in script properties.", "CRITICAL", true);
-      return;
+      return false;
   }
 
   // The client_id and client_secret must be in the URL as query parameters.
-  const url = `https://www.strava.com/api/v3/push_subscriptions/${subscriptionId}?client_id=${clientId}&client_secret=${clientSecret}`;
+  const url = `${WEBHOOK_SUBSCRIPTION.API_URL}/${subscriptionId}?client_id=${clientId}&client_secret=${clientSecret}`;
 
   // Log the URL for debugging, but redact the secret.
   debugLog(`Constructed DELETE URL: ${url.replace(clientSecret, 'REDACTED')}`, "DEBUG", true);
@@ -139,15 +165,247 @@ function deleteWebhookSubscription() {
       const successMsg = `SUCCESS: Webhook subscription with ID ${subscriptionId} has been deleted.`;
       debugLog(successMsg, "INFO", true);
       Logger.log(successMsg);
+      return true;
     } else {
       const errorBody = response.getContentText();
       const errorMsg = `ERROR: Failed to delete subscription. Status: ${responseCode}. Body: ${errorBody}`;
       debugLog(errorMsg, "ERROR", true);
       Logger.log(errorMsg);
+      return false;
     }
   } catch(e) {
     const criticalError = `CRITICAL ERROR during delete request: ${e.message}`;
     debugLog(criticalError, "CRITICAL", true);
     Logger.log(criticalError);
+    return false;
+  }
+}
+
+/**
+ * Makes sure Strava's webhook subscription points at CLOUDFLARE_WORKER_URL, creating it
+ * when it is missing and recreating it when it points elsewhere (Strava allows a single
+ * subscription per app). Then runs `runWebhookSelfTest_` for the subscription and
+ * stores the result in the WEBHOOK_SUBSCRIPTION_STATE script property. The self-test
+ * fails while the worker's STRAVA_SUBSCRIPTION_ID names another subscription, e.g.
+ * after the subscription was recreated. If it fails, the polling trigger is turned
+ * back on so no activities are missed.
+ * Runs from `monitorWebhookHealth`, and from the editor through the
+ * `reconcileWebhookSubscription` admin API.
+ * @returns {object} The recorded state.
+ */
+function reconcileWebhookSubscription_() {
+  const props = PropertiesService.getScriptProperties();
+  const workerUrl = _normalizeWebhookUrl(props.getProperty('CLOUDFLARE_WORKER_URL'));
+  const state = { checkedAt: new Date().toISOString(), callbackUrl: workerUrl, subscriptionId: null, action: 'unchanged', selfTest: null, error: null };
+
+  try {
+    if (!workerUrl) {
+      throw new Error("CLOUDFLARE_WORKER_URL is not set. Run setupWorkerUrl() first.");
+    }
+
+    const listResult = _fetchWebhookSubscriptions();
+    if (!listResult.success) {
+      throw new Error(`Could not read the webhook subscription: ${listResult.error}`);
+    }
+
+    let subscription = listResult.subscriptions[0] || null;
+    if (subscription && _normalizeWebhookUrl(subscription.callback_url) !== workerUrl) {
+      debugLog(`Webhook subscription ${subscription.id} points at ${subscription.callback_url}. Repointing it to ${workerUrl}.`, 'WARNING', true);
+      if (!_deleteWebhookSubscriptionById(subscription.id)) {
+        throw new Error(`Could not delete stale subscription ${subscription.id}.`);
+      }
+      subscription = createWebhookSubscription();
+      state.action = 'repointed';
+    } else if (!subscription) {
+      debugLog("No webhook subscription found. Creating one.", 'WARNING', true);
+      subscription = createWebhookSubscription();
+      state.action = 'created';
+    }
+    state.subscriptionId = subscription.id;
+    if (state.action !== 'unchanged') {
+      // The worker rejects events for any other subscription.
+      debugLog(`Webhook subscription is now ${subscription.id}. Set STRAVA_SUBSCRIPTION_ID in the worker to this ID.`, 'WARNING', true);
+    }
+
+    state.selfTest = runWebhookSelfTest_(state.subscriptionId);
+    if (!state.selfTest.passed) {
+      throw new Error(`Webhook self-test failed: ${state.selfTest.error}`);
+    }
+    debugLog(`Webhook subscription ${state.subscriptionId} is ${state.action} and passed its self-test in ${state.selfTest.roundTripMs} ms.`, 'INFO', true);
+
+  } catch (e) {
+    state.action = state.action === 'unchanged' ? 'failed' : `${state.action}, then failed`;
+    state.error = e.message;
+    debugLog(`Webhook subscription reconciliation failed: ${e.message}. Re-activating manual sync trigger.`, 'ERROR', true);
+    setupActivitySyncTrigger();
   }
+
+  props.setProperty(WEBHOOK_SUBSCRIPTION.STATE_PROPERTY, JSON.stringify(state));
+  return state;
+}
+
+/**
+ * Tests the whole webhook path without Strava: the worker must answer the subscription
+ * handshake with STRAVA_VERIFY_TOKEN, then send a signed synthetic event back to this
+ * web app when asked through its /self-test route.
+ * @param {string|number} [subscriptionId] The current subscription. If given, the worker
+ *     must accept events for it, or the test fails.
+ * @returns {{passed: boolean, roundTripMs: number, error: string|null}} The result.
+ */
+function runWebhookSelfTest_(subscriptionId) {
+  const props = PropertiesService.getScriptProperties();
+  const workerUrl = _normalizeWebhookUrl(props.getProperty('CLOUDFLARE_WORKER_URL'));
+  const verifyToken = props.getProperty('STRAVA_VERIFY_TOKEN');
+  const secret = props.getProperty(WEBHOOK_SIGNATURE.SECRET_PROPERTY);
+  const startedAt = new Date().getTime();
+  const result = error => ({ passed: !error, roundTripMs: new Date().getTime() - startedAt, error: error || null });
+
+  if (!workerUrl || !verifyToken || !secret) {
+    return result("CLOUDFLARE_WORKER_URL, STRAVA_VERIFY_TOKEN and WORKER_SHARED_SECRET must all be set.");
+  }
+
+  try {
+    // 1. The handshake Strava performs when a subscription is created.
+    const challenge = Utilities.getUuid();
+    const handshakeUrl = `${workerUrl}?hub.mode=subscribe&hub.verify_token=${encodeURIComponent(verifyToken)}&hub.challenge=${challenge}`;
+    const handshake = UrlFetchApp.fetch(handshakeUrl, { 'method': 'get', 'muteHttpExceptions': true });
+    if (handshake.getResponseCode() !== 200 || JSON.parse(handshake.getContentText())['hub.challenge'] !== challenge) {
+      return result(`The worker rejected the subscription handshake (status ${handshake.getResponseCode()}). Check STRAVA_VERIFY_TOKEN.`);
+    }
+
+    // 2. A signed request the worker answers by delivering a synthetic event to doPost.
+    const testId = Utilities.getUuid();
+    const body = subscriptionId ? { testId: testId, subscriptionId: subscriptionId } : { testId: testId };
+    const response = _postSignedToWorker(workerUrl + _getWorkerClubPath(WEBHOOK_SUBSCRIPTION.SELF_TEST_PATH), body, secret);
+    if (response.getResponseCode() === 409) {
+      return result(JSON.parse(response.getContentText()).error);
+    }
+    if (response.getResponseCode() !== 200) {
+      return result(`The worker could not deliver the test event (status ${response.getResponseCode()}): ${response.getContentText().slice(0, 200)}`);
+    }
+
+    if (!AppCache.get(WEBHOOK_SUBSCRIPTION.SELF_TEST_CACHE_PREFIX + testId)) {
+      return result("The worker reported success, but this web app never received the test event. Check GAS_WEB_APP_URL in the worker.");
+    }
+    AppCache.remove(WEBHOOK_SUBSCRIPTION.SELF_TEST_CACHE_PREFIX + testId);
+    return result(null);
+
+  } catch (e) {
+    return result(e.message);
+  }
+}
+
+/**
+ * Registers this club's members with the worker, so their events are routed to this
+ * deployment. The full list is sent each time and replaces the previous one, so
+ * members who left stop being routed here. Only needed when several clubs share the
+ * worker, i.e. when WORKER_CLUB_ID is set. Called after each new authorization and by
+ * `monitorWebhookHealth`.
+ * @returns {{success: boolean, count?: number, error?: string}} The result, with the number of athletes registered.
+ */
+function registerAthletesWithWorker_() {
+  const props = PropertiesService.getScriptProperties();
+  const workerUrl = _normalizeWebhookUrl(props.getProperty('CLOUDFLARE_WORKER_URL'));
+  const secret = props.getProperty(WEBHOOK_SIGNATURE.SECRET_PROPERTY);
+  if (!props.getProperty(WORKER_ROUTING.CLUB_ID_PROPERTY)) {
+    return { success: false, error: `${WORKER_ROUTING.CLUB_ID_PROPERTY} is not set, so the worker sends every athlete here.` };
+  }
+  if (!workerUrl || !secret) {
+    return { success: false, error: "CLOUDFLARE_WORKER_URL and WORKER_SHARED_SECRET must both be set." };
+  }
+
+  try {
+    // Members flagged for reauthorization stay registered, so a deauthorization event still reaches the purge.
+    const athleteIds = DatabaseService.getAllUsers()
+      .map(user => Number(user.id))
+      .filter(id => Number.isSafeInteger(id) && id > 0);
+    const response = _postSignedToWorker(workerUrl + _getWorkerClubPath(WORKER_ROUTING.ATHLETES_PATH), { athleteIds: athleteIds }, secret);
+    if (response.getResponseCode() !== 200) {
+      const error = `The worker answered ${response.getResponseCode()}: ${response.getContentText().slice(0, 200)}`;
+      debugLog(`Could not register athletes with the worker. ${error}`, 'ERROR', true);
+      return { success: false, error: error };
+    }
+    debugLog(`Registered ${athleteIds.length} athletes with the worker.`, 'INFO');
+    return { success: true, count: athleteIds.length };
+  } catch (e) {
+    debugLog(`Error in registerAthletesWithWorker_: ${e.message}`, 'ERROR', true);
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Fetches the worker's delivery metrics: event counts, the last Apps Script response,
+ * queue depth, dead letters and recent errors.
+ * @returns {{success: boolean, data?: object, error?: string}} The worker's status.
+ */
+function getWebhookProxyStatus_() {
+  const props = PropertiesService.getScriptProperties();
+  const workerUrl = _normalizeWebhookUrl(props.getProperty('CLOUDFLARE_WORKER_URL'));
+  const adminToken = props.getProperty(WEBHOOK_PROXY_STATUS.TOKEN_PROPERTY);
+  if (!workerUrl || !adminToken) {
+    return { success: false, error: `CLOUDFLARE_WORKER_URL and ${WEBHOOK_PROXY_STATUS.TOKEN_PROPERTY} must both be set.` };
+  }
+
+  try {
+    const response = UrlFetchApp.fetch(workerUrl + WEBHOOK_PROXY_STATUS.PATH, {
+      'method': 'get',
+      'headers': { 'Authorization': `Bearer ${adminToken}` },
+      'muteHttpExceptions': true
+    });
+    if (response.getResponseCode() !== 200) {
+      return { success: false, error: `The worker answered ${response.getResponseCode()}: ${response.getContentText().slice(0, 200)}` };
+    }
+    return { success: true, data: JSON.parse(response.getContentText()) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Gets the result of the last `reconcileWebhookSubscription_` run.
+ * @returns {object|null} The recorded state, or null if it has never run.
+ */
+function getWebhookSubscriptionState() {
+  const state = PropertiesService.getScriptProperties().getProperty(WEBHOOK_SUBSCRIPTION.STATE_PROPERTY);
+  return state ? JSON.parse(state) : null;
+}
+
+/**
+ * Private helper to build the worker path for a club route. Without WORKER_CLUB_ID
+ * this deployment is the worker's default, whose routes have no club prefix.
+ * @param {string} path The route, e.g. '/self-test'.
+ * @returns {string} The path on the worker.
+ */
+function _getWorkerClubPath(path) {
+  const clubId = PropertiesService.getScriptProperties().getProperty(WORKER_ROUTING.CLUB_ID_PROPERTY);
+  return clubId ? `${WORKER_ROUTING.CLUB_PATH_PREFIX}${encodeURIComponent(clubId)}${path}` : path;
+}
+
+/**
+ * Private helper to POST a request to the worker, signed like the events it forwards.
+ * @param {string} url The worker URL.
+ * @param {object} body The request body, sent as the signed payload.
+ * @param {string} secret The signing key.
+ * @returns {GoogleAppsScript.URL_Fetch.HTTPResponse} The worker's response.
+ */
+function _postSignedToWorker(url, body, secret) {
+  const timestamp = Math.floor(new Date().getTime() / 1000);
+  const nonce = Utilities.getUuid();
+  const payload = JSON.stringify(body);
+  const envelope = { timestamp: timestamp, nonce: nonce, payload: payload, signature: WebhookSecurity.sign(`${timestamp}.${nonce}.${payload}`, secret) };
+  return UrlFetchApp.fetch(url, {
+    'method': 'post',
+    'contentType': 'application/json',
+    'payload': JSON.stringify(envelope),
+    'muteHttpExceptions': true
+  });
+}
+
+/**
+ * Private helper to compare callback URLs regardless of a trailing slash.
+ * @param {string} url The URL.
+ * @returns {string} The URL without trailing slashes, or '' if it is empty.
+ */
+function _normalizeWebhookUrl(url) {
+  return String(url || '').trim().replace(/\/+$/, '');
 }
\ No newline at end of file
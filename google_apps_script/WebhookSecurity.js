@@ -0,0 +1,88 @@
+/**
+ * @fileoverview This module verifies events forwarded by the Cloudflare Worker.
+ * The worker signs each event with an HMAC-SHA256 over "timestamp.nonce.payload"
+ * using WORKER_SHARED_SECRET. Web apps cannot read request headers, so the
+ * signature, timestamp and nonce travel in the JSON body next to the payload.
+ */
+
+class WebhookSecurity {
+
+  /**
+   * Verifies a signed envelope from the worker and returns the Strava event inside it.
+   * The signature is checked against the current secret and, during a rotation, the
+   * previous one. Stale timestamps and nonces that were already used are rejected.
+   *
+   * @param {{timestamp: number, nonce: string, payload: string, signature: string}} envelope The parsed request body.
+   * @return {{valid: boolean, reason?: string, payload?: Object}} The verification result and, if valid, the Strava event.
+   */
+  static verify(envelope) {
+    const secrets = this._getSecrets();
+    if (secrets.length === 0) {
+      throw new Error(`CRITICAL: ${WEBHOOK_SIGNATURE.SECRET_PROPERTY} is not set in Script Properties.`);
+    }
+
+    const { timestamp, nonce, payload, signature } = envelope || {};
+    if (!timestamp || !nonce || typeof payload !== 'string' || !signature) {
+      return { valid: false, reason: 'Missing signature fields.' };
+    }
+
+    const ageSeconds = Math.abs(Math.floor(new Date().getTime() / 1000) - Number(timestamp));
+    if (!(ageSeconds <= WEBHOOK_SIGNATURE.MAX_CLOCK_SKEW_SECONDS)) {
+      return { valid: false, reason: `Stale timestamp (${ageSeconds}s old).` };
+    }
+
+    const message = `${timestamp}.${nonce}.${payload}`;
+    const signatureMatches = secrets.some(secret => this.constantTimeEquals(this.sign(message, secret), String(signature).toLowerCase()));
+    if (!signatureMatches) {
+      return { valid: false, reason: 'Invalid signature.' };
+    }
+
+    // Only verified nonces are recorded, so forged requests cannot fill the cache.
+    const nonceKey = WEBHOOK_SIGNATURE.NONCE_CACHE_PREFIX + nonce;
+    if (AppCache.get(nonceKey)) {
+      return { valid: false, reason: 'Nonce has already been used.' };
+    }
+    AppCache.set(nonceKey, true, WEBHOOK_SIGNATURE.MAX_CLOCK_SKEW_SECONDS * 2);
+
+    return { valid: true, payload: JSON.parse(payload) };
+  }
+
+  /**
+   * Computes the hex HMAC-SHA256 signature of a message, matching the worker's.
+   * @param {string} message The message to sign.
+   * @param {string} secret The signing key.
+   * @return {string} The lowercase hex signature.
+   */
+  static sign(message, secret) {
+    const bytes = Utilities.computeHmacSha256Signature(message, secret, Utilities.Charset.UTF_8);
+    return bytes.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Private helper to read the current and, if set, previous worker secret.
+   * @return {Array<string>} The secrets to accept.
+   * @private
+   */
+  static _getSecrets() {
+    const props = PropertiesService.getScriptProperties();
+    return [
+      props.getProperty(WEBHOOK_SIGNATURE.SECRET_PROPERTY),
+      props.getProperty(WEBHOOK_SIGNATURE.PREVIOUS_SECRET_PROPERTY)
+    ].filter(Boolean);
+  }
+
+  /**
+   * Compares two strings in time that depends only on their length.
+   * @param {string} a The first string.
+   * @param {string} b The second string.
+   * @return {boolean} True if the strings are equal.
+   */
+  static constantTimeEquals(a, b) {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+      difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+  }
+}
@@ -1,16 +1,139 @@
 /**
  * @fileoverview Cloudflare Worker to act as a secure proxy for Strava webhooks.
  * It handles subscription validation and forwards events to a Google Apps Script backend.
- * This is the optimized and final version.
+ * Every event is persisted to KV before Strava is acknowledged, and is retried with
+ * exponential backoff until Apps Script confirms it. Events that keep failing are moved
+ * to a dead-letter store that an admin can inspect and replay.
+ *
+ * Incoming events are checked against Strava's webhook schema and the configured
+ * subscription before anything is stored, so junk and probing traffic never costs
+ * KV writes or Apps Script quota.
+ *
+ * Duplicate deliveries from Strava are dropped, and bursts of 'update' events for the
+ * same activity are coalesced into one event that is delivered after a short window.
+ *
+ * One worker can serve several clubs, each with its own Apps Script deployment and
+ * secret. Clubs are added by an admin, and each club registers its athletes through a
+ * signed request. An event is queued once for every club its athlete belongs to;
+ * athletes no club has registered go to the default GAS_WEB_APP_URL, if it is set.
+ *
+ * Forwarded events are signed with an HMAC-SHA256 over a timestamp, a single-use
+ * nonce and the payload. The shared secret itself is never sent. Apps Script signs
+ * its self-test requests to /self-test the same way.
+ *
+ * Delivery counters, the last Apps Script response and recent errors are kept in KV
+ * and reported by GET /admin/status.
  */
 
 /**
  * @typedef {object} Env
- * @property {string} GAS_WEB_APP_URL - The secret URL of the Google Apps Script web app.
+ * @property {string} [GAS_WEB_APP_URL] - The secret URL of the default Google Apps Script web app, for athletes no club has registered.
  * @property {string} STRAVA_VERIFY_TOKEN - The secret token used for the Strava subscription handshake.
- * @property {string} WORKER_SHARED_SECRET - A secret shared between this worker and the Apps Script.
+ * @property {string} [WORKER_SHARED_SECRET] - The key used to sign events forwarded to the default Apps Script.
+ * @property {string} ADMIN_TOKEN - A bearer token required by the /admin routes.
+ * @property {string} [STRAVA_SUBSCRIPTION_ID] - The ID of our Strava webhook subscription. Events for any other subscription are rejected.
+ * @property {KVNamespace} EVENTS_KV - Durable storage for pending and dead-lettered events, clubs and athlete routes.
  */
 
+/**
+ * @typedef {object} Club
+ * @property {string} id - The club's ID, as used in /clubs/:id routes.
+ * @property {string} url - The URL of the club's Apps Script web app.
+ * @property {string} secret - The key events for the club are signed with, and its own requests are verified with.
+ * @property {Array<number>} athleteIds - The athletes the club registered.
+ * @property {string} updatedAt - When the club or its athletes last changed (ISO string).
+ */
+
+/**
+ * @typedef {object} Destination
+ * @property {string} url - The Apps Script web app to deliver to.
+ * @property {string} secret - The key to sign deliveries with.
+ */
+
+/**
+ * @typedef {object} QueuedEvent
+ * @property {string} id - A unique ID for the queued event.
+ * @property {object} payload - The original Strava webhook event.
+ * @property {string|null} [clubId] - The club the event is delivered to, or null (or missing) for the default Apps Script.
+ * @property {number} attempts - How many deliveries to Apps Script have failed.
+ * @property {number} nextAttemptAt - When the next delivery is due (milliseconds since epoch).
+ * @property {string} receivedAt - When the worker received the event (ISO string).
+ * @property {string|null} lastError - Why the last delivery failed.
+ * @property {number} [coalescedCount] - How many Strava events were merged into this one.
+ */
+
+/**
+ * @typedef {object} Metrics
+ * @property {string} since - When the counters started (ISO string).
+ * @property {{received: number, duplicates: number, unrouted: number, forwarded: number, failed: number, retried: number, deadLettered: number}} counters
+ *   - Events accepted from Strava, redeliveries dropped, events dropped because no club
+ *     registered the athlete, deliveries confirmed by Apps Script, failed deliveries,
+ *     deliveries that were retries, and events that gave up.
+ * @property {{status: number|null, latencyMs: number, ok: boolean, at: string}|null} lastGasResponse - The last delivery to Apps Script.
+ * @property {Array<{at: string, eventId: string, error: string}>} recentErrors - The latest failed deliveries, newest first.
+ */
+
+/**
+ * @typedef {object} ForwardResult
+ * @property {string|null} error - Null if Apps Script confirmed the event, otherwise the reason it failed.
+ * @property {number|null} status - The HTTP status Apps Script answered with, or null if it did not answer.
+ * @property {number} latencyMs - How long the request took.
+ */
+
+// KV key prefixes for events waiting to be delivered and events that gave up.
+const QUEUE_PREFIX = 'queue:';
+const DEAD_LETTER_PREFIX = 'dead:';
+const SEEN_PREFIX = 'seen:';
+
+// KV key prefix for the nonces of signed requests from Apps Script that were already accepted.
+const NONCE_PREFIX = 'nonce:';
+
+// KV key prefixes for club registrations and the clubs each athlete belongs to.
+const CLUB_PREFIX = 'club:';
+const ATHLETE_PREFIX = 'athlete:';
+
+// Club IDs appear in KV keys and URLs, so they are limited to these characters.
+const CLUB_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// KV key of the delivery metrics, and how many recent errors they keep.
+// KV allows about one write per second to a key, so under bursts the counts are approximate.
+const METRICS_KEY = 'metrics';
+const MAX_RECENT_ERRORS = 20;
+
+// Strava may redeliver an event for up to a day, so event IDs are remembered that long.
+const SEEN_TTL_SECONDS = 24 * 60 * 60;
+
+// Activity updates are held this long so a burst of edits is delivered once.
+const COALESCE_WINDOW_MS = 60 * 1000;
+
+// Retry policy: 30s, 1m, 2m, 4m, ... capped at 6h, dead-lettered after 10 failed attempts.
+const MAX_ATTEMPTS = 10;
+const BACKOFF_BASE_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+// KV key of the earliest time a queued event is due, so idle cron runs read one key instead of
+// listing the queue (KV allows far fewer lists than reads). The queue is still listed at least
+// every SWEEP_INTERVAL_MS, in case a marker update was lost to a concurrent write.
+const NEXT_DUE_KEY = 'next-due';
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// How many due events a single cron run delivers, and how long to wait for Apps Script.
+const RETRY_BATCH_SIZE = 50;
+const GAS_TIMEOUT_MS = 25 * 1000;
+
+// The exact body Apps Script returns once an event has been processed.
+const GAS_SUCCESS_RESPONSE = 'Success';
+
+// Signed requests from Apps Script are rejected when their timestamp is further off than this.
+const MAX_CLOCK_SKEW_SECONDS = 300;
+
+// The object_type of the synthetic events sent back to Apps Script by /self-test.
+const SELF_TEST_OBJECT_TYPE = 'self_test';
+
+// The values Strava's webhook events may carry in object_type and aspect_type.
+const STRAVA_OBJECT_TYPES = ['activity', 'athlete'];
+const STRAVA_ASPECT_TYPES = ['create', 'update', 'delete'];
+
 export default {
   /**
    * Main fetch handler to route incoming Strava requests.
@@ -20,6 +143,23 @@ export default {
    * @returns {Promise<Response>}
    */
   async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+
+    // Admin routes for inspecting and replaying events.
+    if (url.pathname.startsWith('/admin/')) {
+      return handleAdminRequest(request, env, ctx);
+    }
+
+    // Round-trip test requested by Apps Script's subscription reconciler.
+    if (url.pathname === '/self-test') {
+      return handleSelfTest(request, env, null);
+    }
+
+    // Signed requests from a club's Apps Script deployment.
+    if (url.pathname.startsWith('/clubs/')) {
+      return handleClubRequest(request, env);
+    }
+
     // Route GET requests to the subscription handler for webhook validation.
     if (request.method === 'GET') {
       return handleSubscriptionValidation(request, env);
@@ -27,27 +167,91 @@ export default {
 
     // Route POST requests to the event forwarder.
     if (request.method === 'POST') {
+      let stravaPayload;
       try {
         // First, read the JSON body from the request. This avoids stream-reading errors.
-        const stravaPayload = await request.json();
-
-        // Schedule the background task to forward the event.
-        // We pass the parsed data, not the original request object.
-        ctx.waitUntil(forwardEvent(stravaPayload, env));
-
-        // Immediately respond to Strava to prevent timeouts.
-        return new Response('EVENT_RECEIVED', { status: 200 });
-        
+        stravaPayload = await request.json();
       } catch (error) {
         // Catch errors if the request body is not valid JSON.
-        console.error("Error parsing request body:", error);
+        console.error('Error parsing request body:', error);
         return new Response('Bad Request: Invalid JSON', { status: 400 });
       }
+
+      if (!stravaPayload || typeof stravaPayload !== 'object' || Array.isArray(stravaPayload)) {
+        return new Response('Bad Request: Expected a JSON object', { status: 400 });
+      }
+
+      const schemaErrors = getSchemaErrors(stravaPayload);
+      if (schemaErrors.length > 0) {
+        console.warn(`Rejected an event that does not match the webhook schema: ${schemaErrors.join('; ')}`);
+        return jsonResponse({ error: 'Invalid event', details: schemaErrors }, 422);
+      }
+
+      if (!isOurSubscription(env, stravaPayload.subscription_id)) {
+        console.warn(`Rejected an event for subscription ${stravaPayload.subscription_id}.`);
+        return new Response('Forbidden: Unknown subscription', { status: 403 });
+      }
+
+      // Only the documented fields are stored and forwarded.
+      stravaPayload = toStravaEvent(stravaPayload);
+
+      // Strava redelivers events it thinks were missed; each event is only queued once.
+      const eventId = getEventId(stravaPayload);
+      if (await env.EVENTS_KV.get(SEEN_PREFIX + eventId)) {
+        console.log(`Duplicate event ${eventId} ignored.`);
+        await recordMetrics(env, (metrics) => metrics.counters.duplicates++);
+        return new Response('EVENT_RECEIVED', { status: 200 });
+      }
+
+      // Each club the athlete belongs to gets its own copy, delivered and retried independently.
+      const clubIds = await getRoutes(env, stravaPayload.owner_id);
+      if (clubIds.length === 0) {
+        console.warn(`No club has registered athlete ${stravaPayload.owner_id}. Event ${eventId} dropped.`);
+        await recordMetrics(env, (metrics) => (metrics.counters.unrouted = (metrics.counters.unrouted || 0) + 1));
+        return new Response('EVENT_RECEIVED', { status: 200 });
+      }
+
+      // Persist the event before acknowledging it, so it survives any Apps Script outage.
+      // If KV is unavailable Strava gets an error and retries the event itself.
+      const queuedEvents = [];
+      for (const clubId of clubIds) {
+        if (isCoalescible(stravaPayload)) {
+          // The cron trigger delivers the merged update once the window has passed.
+          await coalesceEvent(stravaPayload, clubId, env);
+        } else {
+          queuedEvents.push(await enqueueEvent(stravaPayload, clubId, env));
+          // A pending update is moot once the activity is deleted.
+          if (stravaPayload.object_type === 'activity' && stravaPayload.aspect_type === 'delete') {
+            await env.EVENTS_KV.delete(QUEUE_PREFIX + getCoalesceId(stravaPayload, clubId));
+          }
+        }
+      }
+      await env.EVENTS_KV.put(SEEN_PREFIX + eventId, '1', { expirationTtl: SEEN_TTL_SECONDS });
+      // Counted before the first delivery starts, so the two metric updates do not race.
+      await recordMetrics(env, (metrics) => metrics.counters.received++);
+
+      for (const queuedEvent of queuedEvents) {
+        // Try the first delivery in the background; the cron trigger retries failures.
+        ctx.waitUntil(deliverEvent(queuedEvent, env));
+      }
+
+      // Immediately respond to Strava to prevent timeouts.
+      return new Response('EVENT_RECEIVED', { status: 200 });
     }
 
     // Reject all other HTTP methods.
     return new Response('Method Not Allowed', { status: 405 });
   },
+
+  /**
+   * Cron handler that retries every queued event whose backoff has elapsed.
+   * @param {ScheduledController} controller The scheduled event.
+   * @param {Env} env The environment variables.
+   * @param {ExecutionContext} ctx The execution context.
+   */
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(retryDueEvents(env));
+  },
 };
 
 /**
@@ -80,36 +284,806 @@ function handleSubscriptionValidation(request, env) {
 }
 
 /**
- * Asynchronously forwards the event payload to the Google Apps Script backend.
- * This function is non-blocking and uses the standard fetch(url, options) pattern for reliability.
- * @param {object} stravaPayload The parsed JSON object from the original Strava webhook event.
+ * Checks a subscription ID against STRAVA_SUBSCRIPTION_ID. Without that secret, every
+ * subscription is accepted.
+ * @param {Env} env The environment variables.
+ * @param {*} subscriptionId The subscription ID of an event.
+ * @returns {boolean} True if events for the subscription are accepted.
+ */
+function isOurSubscription(env, subscriptionId) {
+  return !env.STRAVA_SUBSCRIPTION_ID || String(subscriptionId) === String(env.STRAVA_SUBSCRIPTION_ID).trim();
+}
+
+/**
+ * Handles a signed self-test request from Apps Script. The worker sends a synthetic
+ * event straight back to Apps Script (bypassing the queue) and reports whether it was
+ * accepted, which proves the URL, the shared secret and both deployments work. When
+ * the request names a subscription ID, it must pass the same check as real events, so
+ * a worker left with the ID of a deleted subscription fails the test.
+ * @param {Request} request The incoming request, whose body is a signed envelope.
  * @param {Env} env The environment variables.
+ * @param {string|null} clubId The club being tested, or null for the default Apps Script.
+ * @returns {Promise<Response>}
  */
-async function forwardEvent(stravaPayload, env) {
+async function handleSelfTest(request, env, clubId) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const destination = await getDestination(env, clubId);
+  if (!destination) {
+    return new Response('Not Found', { status: 404 });
+  }
+
+  const payload = await readSignedPayload(request, destination.secret, env);
+  if (payload instanceof Response) {
+    return payload;
+  }
+
+  const { testId, subscriptionId } = payload;
+  if (subscriptionId !== undefined && !isOurSubscription(env, subscriptionId)) {
+    const error = `The worker only accepts events for subscription ${String(env.STRAVA_SUBSCRIPTION_ID).trim()}, not ${subscriptionId}. Update its STRAVA_SUBSCRIPTION_ID secret.`;
+    return jsonResponse({ delivered: false, error }, 409);
+  }
+
+  const result = await forwardEvent(
+    {
+      object_type: SELF_TEST_OBJECT_TYPE,
+      object_id: testId,
+      aspect_type: 'create',
+      owner_id: 0,
+      event_time: Math.floor(Date.now() / 1000),
+    },
+    destination,
+  );
+  await recordMetrics(env, (metrics) => recordGasResponse(metrics, result));
+  return jsonResponse({ delivered: !result.error, error: result.error }, result.error ? 502 : 200);
+}
+
+/**
+ * Handles the signed routes of a registered club:
+ * - POST /clubs/:id/athletes: replaces the athletes whose events the club receives.
+ * - POST /clubs/:id/self-test: runs the self-test against the club's Apps Script.
+ * @param {Request} request The incoming request, whose body is an envelope signed with the club's secret.
+ * @param {Env} env The environment variables.
+ * @returns {Promise<Response>}
+ */
+async function handleClubRequest(request, env) {
+  const [, , clubId, action, extra] = new URL(request.url).pathname.split('/');
+  const club = CLUB_ID_PATTERN.test(clubId) && !extra ? await env.EVENTS_KV.get(CLUB_PREFIX + clubId, 'json') : null;
+  if (!club) {
+    return new Response('Not Found', { status: 404 });
+  }
+
+  if (action === 'self-test') {
+    return handleSelfTest(request, env, clubId);
+  }
+  if (action !== 'athletes') {
+    return new Response('Not Found', { status: 404 });
+  }
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const payload = await readSignedPayload(request, club.secret, env);
+  if (payload instanceof Response) {
+    return payload;
+  }
+
+  const { athleteIds } = payload;
+  if (!Array.isArray(athleteIds) || !athleteIds.every((athleteId) => Number.isSafeInteger(athleteId) && athleteId > 0)) {
+    return jsonResponse({ error: 'athleteIds must be an array of positive integers' }, 422);
+  }
+
+  const { added, removed } = await setClubAthletes(env, club, [...new Set(athleteIds)]);
+  console.log(`Club ${clubId} registered ${athleteIds.length} athletes (${added} added, ${removed} removed).`);
+  return jsonResponse({ clubId, athletes: new Set(athleteIds).size, added, removed });
+}
+
+/**
+ * Reads a request body, checks that it is an envelope signed with a secret and not
+ * seen before, and parses the JSON object it carries.
+ * @param {Request} request The incoming request.
+ * @param {string} secret The signing key.
+ * @param {Env} env The environment variables.
+ * @returns {Promise<object|Response>} The verified payload, or the error response to send.
+ */
+async function readSignedPayload(request, secret, env) {
+  let envelope;
+  try {
+    envelope = await request.json();
+  } catch (error) {
+    return new Response('Bad Request: Invalid JSON', { status: 400 });
+  }
+
+  if (!(await verifySignedEnvelope(envelope, secret))) {
+    return new Response('Unauthorized', { status: 401 });
+  }
+
+  let payload;
   try {
-    // Create the new, secure payload for our backend.
-    // This includes the shared secret for authentication.
-    const gasPayload = {
-      secret: env.WORKER_SHARED_SECRET,
-      strava_payload: stravaPayload,
+    payload = JSON.parse(envelope.payload);
+  } catch (error) {
+    return new Response('Bad Request: Invalid JSON payload', { status: 400 });
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return new Response('Bad Request: Expected a JSON object payload', { status: 400 });
+  }
+
+  // A signed request is accepted once; its timestamp is only fresh for 2 * MAX_CLOCK_SKEW_SECONDS,
+  // so the nonce does not need to be kept any longer to stop it being replayed.
+  const nonceKey = NONCE_PREFIX + envelope.nonce;
+  if (await env.EVENTS_KV.get(nonceKey)) {
+    return new Response('Unauthorized: Replayed request', { status: 401 });
+  }
+  await env.EVENTS_KV.put(nonceKey, '1', { expirationTtl: 2 * MAX_CLOCK_SKEW_SECONDS });
+  return payload;
+}
+
+/**
+ * Replaces a club's athletes and updates the athlete routes to match.
+ * @param {Env} env The environment variables.
+ * @param {Club} club The club.
+ * @param {Array<number>} athleteIds The club's athletes.
+ * @returns {Promise<{added: number, removed: number}>} How many athletes joined and left the club.
+ */
+async function setClubAthletes(env, club, athleteIds) {
+  const previousIds = new Set(club.athleteIds || []);
+  const currentIds = new Set(athleteIds);
+  const addedIds = athleteIds.filter((athleteId) => !previousIds.has(athleteId));
+  const removedIds = [...previousIds].filter((athleteId) => !currentIds.has(athleteId));
+
+  for (const athleteId of addedIds) {
+    await updateAthleteRoute(env, athleteId, (clubIds) => [...clubIds.filter((clubId) => clubId !== club.id), club.id]);
+  }
+  for (const athleteId of removedIds) {
+    await updateAthleteRoute(env, athleteId, (clubIds) => clubIds.filter((clubId) => clubId !== club.id));
+  }
+
+  await env.EVENTS_KV.put(CLUB_PREFIX + club.id, JSON.stringify({ ...club, athleteIds, updatedAt: new Date().toISOString() }));
+  return { added: addedIds.length, removed: removedIds.length };
+}
+
+/**
+ * Changes the clubs an athlete's events are delivered to.
+ * @param {Env} env The environment variables.
+ * @param {number} athleteId The athlete.
+ * @param {function(Array<string>): Array<string>} update Returns the new club IDs.
+ * @returns {Promise<void>}
+ */
+async function updateAthleteRoute(env, athleteId, update) {
+  const clubIds = update((await env.EVENTS_KV.get(ATHLETE_PREFIX + athleteId, 'json')) || []);
+  if (clubIds.length > 0) {
+    await env.EVENTS_KV.put(ATHLETE_PREFIX + athleteId, JSON.stringify(clubIds));
+  } else {
+    await env.EVENTS_KV.delete(ATHLETE_PREFIX + athleteId);
+  }
+}
+
+/**
+ * Finds where an athlete's events go.
+ * @param {Env} env The environment variables.
+ * @param {number} athleteId The athlete (the event's owner_id).
+ * @returns {Promise<Array<string|null>>} The IDs of the athlete's clubs. If no club registered
+ *   the athlete, [null] for the default Apps Script, or [] if there is none.
+ */
+async function getRoutes(env, athleteId) {
+  const clubIds = await env.EVENTS_KV.get(ATHLETE_PREFIX + athleteId, 'json');
+  if (clubIds && clubIds.length > 0) {
+    return clubIds;
+  }
+  return env.GAS_WEB_APP_URL ? [null] : [];
+}
+
+/**
+ * Looks up the Apps Script deployment and secret for a club.
+ * @param {Env} env The environment variables.
+ * @param {string|null|undefined} clubId The club, or null for the default Apps Script.
+ * @returns {Promise<Destination|null>} The destination, or null if the club is not registered.
+ */
+async function getDestination(env, clubId) {
+  if (!clubId) {
+    return env.GAS_WEB_APP_URL ? { url: env.GAS_WEB_APP_URL, secret: env.WORKER_SHARED_SECRET } : null;
+  }
+  const club = await env.EVENTS_KV.get(CLUB_PREFIX + clubId, 'json');
+  return club ? { url: club.url, secret: club.secret } : null;
+}
+
+/**
+ * Stores a new event in the KV queue. The caller delivers it right away, so the
+ * cron trigger only picks it up once that first attempt has had time to finish.
+ * @param {object} stravaPayload The parsed Strava webhook event.
+ * @param {string|null} clubId The club to deliver to, or null for the default Apps Script.
+ * @param {Env} env The environment variables.
+ * @returns {Promise<QueuedEvent>} The queued event.
+ */
+async function enqueueEvent(stravaPayload, clubId, env) {
+  /** @type {QueuedEvent} */
+  const queuedEvent = {
+    id: crypto.randomUUID(),
+    payload: stravaPayload,
+    clubId,
+    attempts: 0,
+    nextAttemptAt: Date.now() + BACKOFF_BASE_MS,
+    receivedAt: new Date().toISOString(),
+    lastError: null,
+  };
+  await env.EVENTS_KV.put(QUEUE_PREFIX + queuedEvent.id, JSON.stringify(queuedEvent));
+  return queuedEvent;
+}
+
+/**
+ * Checks an incoming event against Strava's webhook event schema.
+ * @param {object} stravaPayload The parsed request body.
+ * @returns {Array<string>} A description of each invalid field, or an empty array if the event is valid.
+ */
+function getSchemaErrors(stravaPayload) {
+  const errors = [];
+  if (!STRAVA_OBJECT_TYPES.includes(stravaPayload.object_type)) {
+    errors.push(`object_type must be one of ${STRAVA_OBJECT_TYPES.join(', ')}`);
+  }
+  if (!STRAVA_ASPECT_TYPES.includes(stravaPayload.aspect_type)) {
+    errors.push(`aspect_type must be one of ${STRAVA_ASPECT_TYPES.join(', ')}`);
+  }
+  for (const field of ['object_id', 'owner_id', 'subscription_id', 'event_time']) {
+    if (!Number.isSafeInteger(stravaPayload[field]) || stravaPayload[field] <= 0) {
+      errors.push(`${field} must be a positive integer`);
+    }
+  }
+  const { updates } = stravaPayload;
+  if (updates !== undefined && (!updates || typeof updates !== 'object' || Array.isArray(updates))) {
+    errors.push('updates must be an object');
+  }
+  return errors;
+}
+
+/**
+ * Copies the fields of Strava's webhook schema out of a validated event, dropping anything else.
+ * @param {object} stravaPayload The validated event.
+ * @returns {object} The Strava webhook event.
+ */
+function toStravaEvent(stravaPayload) {
+  const { object_type, object_id, aspect_type, owner_id, subscription_id, event_time, updates } = stravaPayload;
+  return { object_type, object_id, aspect_type, owner_id, subscription_id, event_time, updates: updates || {} };
+}
+
+/**
+ * Builds the ID Strava's redeliveries of an event share.
+ * @param {object} stravaPayload The Strava webhook event.
+ * @returns {string} The event ID.
+ */
+function getEventId(stravaPayload) {
+  const { object_type, object_id, aspect_type, event_time } = stravaPayload;
+  return `${object_type}:${object_id}:${aspect_type}:${event_time}`;
+}
+
+/**
+ * @param {object} stravaPayload The Strava webhook event.
+ * @returns {boolean} True for activity updates, which are merged within COALESCE_WINDOW_MS.
+ */
+function isCoalescible(stravaPayload) {
+  return stravaPayload.object_type === 'activity' && stravaPayload.aspect_type === 'update';
+}
+
+/**
+ * @param {object} stravaPayload The Strava webhook event.
+ * @param {string|null|undefined} clubId The club the update is delivered to, or null for the default Apps Script.
+ * @returns {string} The queue ID that pending updates to the same activity for the same club share.
+ */
+function getCoalesceId(stravaPayload, clubId) {
+  return `activity-${stravaPayload.object_id}-update${clubId ? `-${clubId}` : ''}`;
+}
+
+/**
+ * Merges an activity update into the pending update for the same activity, or queues
+ * a new one that is due after COALESCE_WINDOW_MS. Later values win for each changed
+ * field, and the window is not extended, so a long burst still gets delivered.
+ * @param {object} stravaPayload The Strava webhook event.
+ * @param {string|null} clubId The club to deliver to, or null for the default Apps Script.
+ * @param {Env} env The environment variables.
+ * @returns {Promise<QueuedEvent>} The pending event.
+ */
+async function coalesceEvent(stravaPayload, clubId, env) {
+  const id = getCoalesceId(stravaPayload, clubId);
+  const pendingEvent = await env.EVENTS_KV.get(QUEUE_PREFIX + id, 'json');
+
+  /** @type {QueuedEvent} */
+  let queuedEvent;
+  if (pendingEvent) {
+    const isNewer = stravaPayload.event_time >= pendingEvent.payload.event_time;
+    const [older, newer] = isNewer ? [pendingEvent.payload, stravaPayload] : [stravaPayload, pendingEvent.payload];
+    queuedEvent = {
+      ...pendingEvent,
+      payload: { ...newer, updates: { ...older.updates, ...newer.updates } },
+      coalescedCount: (pendingEvent.coalescedCount || 1) + 1,
+    };
+  } else {
+    queuedEvent = {
+      id,
+      payload: stravaPayload,
+      clubId,
+      attempts: 0,
+      nextAttemptAt: Date.now() + COALESCE_WINDOW_MS,
+      receivedAt: new Date().toISOString(),
+      lastError: null,
+      coalescedCount: 1,
     };
+  }
+
+  await env.EVENTS_KV.put(QUEUE_PREFIX + id, JSON.stringify(queuedEvent));
+  await scheduleRetryCheck(env, queuedEvent.nextAttemptAt);
+  return queuedEvent;
+}
+
+/**
+ * Delivers a queued event to Apps Script. On success the event is removed from the
+ * queue; on failure it is rescheduled with backoff, or dead-lettered after MAX_ATTEMPTS.
+ * @param {QueuedEvent} queuedEvent The event to deliver.
+ * @param {Env} env The environment variables.
+ * @returns {Promise<boolean>} True if Apps Script confirmed the event.
+ */
+async function deliverEvent(queuedEvent, env) {
+  const destination = await getDestination(env, queuedEvent.clubId);
+  const result = destination
+    ? await forwardEvent(queuedEvent.payload, destination)
+    : { error: `Club ${queuedEvent.clubId} is not registered.`, status: null, latencyMs: 0 };
+  const { error } = result;
+  await recordMetrics(env, (metrics) => recordDelivery(metrics, queuedEvent, result));
+
+  if (!error) {
+    await env.EVENTS_KV.delete(QUEUE_PREFIX + queuedEvent.id);
+    return true;
+  }
+
+  const failedEvent = {
+    ...queuedEvent,
+    attempts: queuedEvent.attempts + 1,
+    lastError: error,
+  };
+
+  if (failedEvent.attempts >= MAX_ATTEMPTS) {
+    console.error(`Event ${failedEvent.id} failed ${failedEvent.attempts} times. Moving it to the dead-letter store.`);
+    await env.EVENTS_KV.put(DEAD_LETTER_PREFIX + failedEvent.id, JSON.stringify({ ...failedEvent, deadLetteredAt: new Date().toISOString() }));
+    await env.EVENTS_KV.delete(QUEUE_PREFIX + failedEvent.id);
+    return false;
+  }
+
+  failedEvent.nextAttemptAt = Date.now() + getBackoffMs(failedEvent.attempts);
+  console.warn(`Event ${failedEvent.id} failed (attempt ${failedEvent.attempts}): ${error}. Retrying after ${new Date(failedEvent.nextAttemptAt).toISOString()}.`);
+  await env.EVENTS_KV.put(QUEUE_PREFIX + failedEvent.id, JSON.stringify(failedEvent));
+  await scheduleRetryCheck(env, failedEvent.nextAttemptAt);
+  return false;
+}
+
+/**
+ * Updates the metrics for one delivery attempt.
+ * @param {Metrics} metrics The metrics to update.
+ * @param {QueuedEvent} queuedEvent The event, as it was before the attempt.
+ * @param {ForwardResult} result The result of the attempt.
+ */
+function recordDelivery(metrics, queuedEvent, result) {
+  recordGasResponse(metrics, result);
+  if (queuedEvent.attempts > 0) {
+    metrics.counters.retried++;
+  }
+  if (!result.error) {
+    metrics.counters.forwarded++;
+    return;
+  }
+
+  metrics.counters.failed++;
+  if (queuedEvent.attempts + 1 >= MAX_ATTEMPTS) {
+    metrics.counters.deadLettered++;
+  }
+  metrics.recentErrors.unshift({ at: new Date().toISOString(), eventId: queuedEvent.id, error: result.error });
+  metrics.recentErrors = metrics.recentErrors.slice(0, MAX_RECENT_ERRORS);
+}
+
+/**
+ * Records the status and latency of the last request to Apps Script.
+ * @param {Metrics} metrics The metrics to update.
+ * @param {ForwardResult} result The result of the request.
+ */
+function recordGasResponse(metrics, result) {
+  metrics.lastGasResponse = { status: result.status, latencyMs: result.latencyMs, ok: !result.error, at: new Date().toISOString() };
+}
+
+/**
+ * Applies a change to the metrics stored in KV. Metrics are best-effort: a failure
+ * is logged and never stops an event from being queued or delivered.
+ * @param {Env} env The environment variables.
+ * @param {function(Metrics): void} update Changes the metrics in place.
+ * @returns {Promise<void>}
+ */
+async function recordMetrics(env, update) {
+  try {
+    const metrics = (await env.EVENTS_KV.get(METRICS_KEY, 'json')) || createMetrics();
+    update(metrics);
+    await env.EVENTS_KV.put(METRICS_KEY, JSON.stringify(metrics));
+  } catch (error) {
+    console.error('Error recording metrics:', error);
+  }
+}
+
+/**
+ * @returns {Metrics} Empty metrics, counting from now.
+ */
+function createMetrics() {
+  return {
+    since: new Date().toISOString(),
+    counters: { received: 0, duplicates: 0, unrouted: 0, forwarded: 0, failed: 0, retried: 0, deadLettered: 0 },
+    lastGasResponse: null,
+    recentErrors: [],
+  };
+}
+
+/**
+ * Counts the keys stored under a prefix without reading their values.
+ * @param {Env} env The environment variables.
+ * @param {string} prefix QUEUE_PREFIX or DEAD_LETTER_PREFIX.
+ * @returns {Promise<number>} The number of keys.
+ */
+async function countKeys(env, prefix) {
+  let count = 0;
+  let cursor;
+
+  do {
+    const page = await env.EVENTS_KV.list({ prefix, cursor });
+    count += page.keys.length;
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  return count;
+}
+
+/**
+ * Calculates the delay before the next attempt, doubling with each failure.
+ * @param {number} attempts The number of failed attempts so far (at least 1).
+ * @returns {number} The delay in milliseconds.
+ */
+function getBackoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Makes sure a cron run looks at the queue once an event is due, by moving the next-due
+ * marker earlier if needed. The marker is only ever written when it moves earlier, so
+ * an event that is delivered on its first attempt costs no marker write.
+ * @param {Env} env The environment variables.
+ * @param {number} dueAt When the event is due (milliseconds since epoch).
+ * @returns {Promise<void>}
+ */
+async function scheduleRetryCheck(env, dueAt) {
+  const marker = await env.EVENTS_KV.get(NEXT_DUE_KEY, 'json');
+  if (!marker || dueAt < marker.nextDueAt) {
+    await env.EVENTS_KV.put(NEXT_DUE_KEY, JSON.stringify({ nextDueAt: dueAt }));
+  }
+}
+
+/**
+ * Delivers every queued event whose backoff has elapsed, up to RETRY_BATCH_SIZE per run.
+ * The queue is only listed once the next-due marker has passed.
+ * @param {Env} env The environment variables.
+ * @returns {Promise<{delivered: number, failed: number}>}
+ */
+async function retryDueEvents(env) {
+  const now = Date.now();
+  const marker = await env.EVENTS_KV.get(NEXT_DUE_KEY, 'json');
+  if (marker && marker.nextDueAt > now) {
+    return { delivered: 0, failed: 0 };
+  }
+
+  const queuedEvents = await listEvents(env, QUEUE_PREFIX);
+  const dueEvents = queuedEvents.filter((queuedEvent) => queuedEvent.nextAttemptAt <= now).slice(0, RETRY_BATCH_SIZE);
+
+  // Written before delivering, so failed deliveries can move it earlier again. Due events
+  // beyond the batch keep it in the past; the leases below expire after BACKOFF_BASE_MS.
+  const nextDueAt = queuedEvents
+    .filter((queuedEvent) => !dueEvents.includes(queuedEvent))
+    .reduce((earliest, queuedEvent) => Math.min(earliest, queuedEvent.nextAttemptAt), dueEvents.length > 0 ? now + BACKOFF_BASE_MS : now + SWEEP_INTERVAL_MS);
+  await env.EVENTS_KV.put(NEXT_DUE_KEY, JSON.stringify({ nextDueAt }));
+
+  let delivered = 0;
+  for (const queuedEvent of dueEvents) {
+    let leasedEvent = queuedEvent;
+    if (queuedEvent.id === getCoalesceId(queuedEvent.payload, queuedEvent.clubId)) {
+      // Close the coalescing window by moving the event to its own ID, so updates
+      // arriving during delivery start a new pending event instead of being lost.
+      leasedEvent = { ...queuedEvent, id: crypto.randomUUID() };
+      await env.EVENTS_KV.delete(QUEUE_PREFIX + queuedEvent.id);
+    }
+
+    // Lease the event so an overlapping cron run does not deliver it twice.
+    await env.EVENTS_KV.put(QUEUE_PREFIX + leasedEvent.id, JSON.stringify({ ...leasedEvent, nextAttemptAt: Date.now() + BACKOFF_BASE_MS }));
+    if (await deliverEvent(leasedEvent, env)) {
+      delivered++;
+    }
+  }
+
+  if (dueEvents.length > 0) {
+    console.log(`Retry run finished. Delivered ${delivered} of ${dueEvents.length} due events.`);
+  }
+  return { delivered, failed: dueEvents.length - delivered };
+}
+
+/**
+ * Reads every event stored under a key prefix, following KV's list pagination.
+ * @param {Env} env The environment variables.
+ * @param {string} prefix QUEUE_PREFIX or DEAD_LETTER_PREFIX.
+ * @returns {Promise<Array<QueuedEvent>>} The events, oldest first.
+ */
+async function listEvents(env, prefix) {
+  const events = await listValues(env, prefix);
+  return events.sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+}
+
+/**
+ * Reads every JSON value stored under a key prefix, following KV's list pagination.
+ * @param {Env} env The environment variables.
+ * @param {string} prefix The key prefix.
+ * @returns {Promise<Array<object>>} The values, in key order.
+ */
+async function listValues(env, prefix) {
+  const values = [];
+  let cursor;
+
+  do {
+    const page = await env.EVENTS_KV.list({ prefix, cursor });
+    const pageValues = await Promise.all(page.keys.map((key) => env.EVENTS_KV.get(key.name, 'json')));
+    values.push(...pageValues.filter(Boolean));
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  return values;
+}
+
+/**
+ * Handles the authenticated admin routes:
+ * - GET /admin/status: delivery metrics, queue depth and dead-letter count.
+ * - GET /admin/queue: events waiting to be delivered.
+ * - GET /admin/dead-letters: events that gave up.
+ * - POST /admin/dead-letters/:id/replay: moves a dead-lettered event back into the queue and delivers it.
+ * - DELETE /admin/dead-letters/:id: discards a dead-lettered event.
+ * - GET /admin/clubs: registered clubs and their athlete counts (secrets are not returned).
+ * - PUT /admin/clubs/:id: adds or updates a club from a JSON body {url, secret}.
+ * - DELETE /admin/clubs/:id: removes a club and its athlete routes.
+ * @param {Request} request The incoming request.
+ * @param {Env} env The environment variables.
+ * @param {ExecutionContext} ctx The execution context.
+ * @returns {Promise<Response>}
+ */
+async function handleAdminRequest(request, env, ctx) {
+  if (!isAdminAuthorized(request, env)) {
+    return new Response('Unauthorized', { status: 401 });
+  }
+
+  const url = new URL(request.url);
+  const [, , resource, id, action] = url.pathname.split('/');
+
+  if (request.method === 'GET' && resource === 'status' && !id) {
+    const metrics = (await env.EVENTS_KV.get(METRICS_KEY, 'json')) || createMetrics();
+    const [queueDepth, deadLetters] = await Promise.all([countKeys(env, QUEUE_PREFIX), countKeys(env, DEAD_LETTER_PREFIX)]);
+    return jsonResponse({ ...metrics, queueDepth, deadLetters });
+  }
+
+  if (request.method === 'GET' && resource === 'queue' && !id) {
+    return jsonResponse({ events: await listEvents(env, QUEUE_PREFIX) });
+  }
+
+  if (resource === 'clubs') {
+    return handleClubAdminRequest(request, env, id, action);
+  }
+
+  if (resource === 'dead-letters') {
+    if (request.method === 'GET' && !id) {
+      return jsonResponse({ events: await listEvents(env, DEAD_LETTER_PREFIX) });
+    }
+
+    const deadEvent = id ? await env.EVENTS_KV.get(DEAD_LETTER_PREFIX + id, 'json') : null;
+    if (id && !deadEvent) {
+      return jsonResponse({ error: `Dead-lettered event ${id} not found.` }, 404);
+    }
+
+    if (request.method === 'POST' && action === 'replay') {
+      /** @type {QueuedEvent} */
+      const replayedEvent = { ...deadEvent, attempts: 0, nextAttemptAt: Date.now() + BACKOFF_BASE_MS, lastError: null };
+      delete replayedEvent.deadLetteredAt;
+      await env.EVENTS_KV.put(QUEUE_PREFIX + replayedEvent.id, JSON.stringify(replayedEvent));
+      await env.EVENTS_KV.delete(DEAD_LETTER_PREFIX + replayedEvent.id);
+      ctx.waitUntil(deliverEvent(replayedEvent, env));
+      return jsonResponse({ replayed: replayedEvent.id }, 202);
+    }
+
+    if (request.method === 'DELETE' && id && !action) {
+      await env.EVENTS_KV.delete(DEAD_LETTER_PREFIX + id);
+      return jsonResponse({ deleted: id });
+    }
+  }
+
+  return new Response('Not Found', { status: 404 });
+}
+
+/**
+ * Handles the /admin/clubs routes (see `handleAdminRequest`).
+ * @param {Request} request The incoming, already authorized, request.
+ * @param {Env} env The environment variables.
+ * @param {string|undefined} clubId The club ID from the path.
+ * @param {string|undefined} action Any further path segment.
+ * @returns {Promise<Response>}
+ */
+async function handleClubAdminRequest(request, env, clubId, action) {
+  if (request.method === 'GET' && !clubId) {
+    const clubs = await listValues(env, CLUB_PREFIX);
+    return jsonResponse({
+      clubs: clubs.map(({ id, url, athleteIds, updatedAt }) => ({ id, url, athleteCount: athleteIds.length, updatedAt })),
+    });
+  }
+
+  if (!clubId || action) {
+    return new Response('Not Found', { status: 404 });
+  }
+  if (!CLUB_ID_PATTERN.test(clubId)) {
+    return jsonResponse({ error: 'Club IDs may only contain letters, digits, "-" and "_".' }, 422);
+  }
+  const club = await env.EVENTS_KV.get(CLUB_PREFIX + clubId, 'json');
+
+  if (request.method === 'PUT') {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return new Response('Bad Request: Invalid JSON', { status: 400 });
+    }
+    if (!body || !/^https:\/\//.test(body.url) || typeof body.secret !== 'string' || !body.secret) {
+      return jsonResponse({ error: 'An https "url" and a "secret" are required.' }, 422);
+    }
+
+    /** @type {Club} */
+    const updatedClub = { id: clubId, url: body.url, secret: body.secret, athleteIds: club ? club.athleteIds : [], updatedAt: new Date().toISOString() };
+    await env.EVENTS_KV.put(CLUB_PREFIX + clubId, JSON.stringify(updatedClub));
+    return jsonResponse({ id: clubId, url: updatedClub.url, athleteCount: updatedClub.athleteIds.length }, club ? 200 : 201);
+  }
+
+  if (!club) {
+    return jsonResponse({ error: `Club ${clubId} not found.` }, 404);
+  }
+
+  if (request.method === 'DELETE') {
+    // Events already queued for the club fail and are dead-lettered.
+    await setClubAthletes(env, club, []);
+    await env.EVENTS_KV.delete(CLUB_PREFIX + clubId);
+    return jsonResponse({ deleted: clubId });
+  }
+
+  return new Response('Not Found', { status: 404 });
+}
+
+/**
+ * Checks the request's bearer token against ADMIN_TOKEN in constant time.
+ * The admin routes are disabled when ADMIN_TOKEN is not set.
+ * @param {Request} request The incoming request.
+ * @param {Env} env The environment variables.
+ * @returns {boolean} True if the request may use the admin routes.
+ */
+function isAdminAuthorized(request, env) {
+  if (!env.ADMIN_TOKEN) return false;
+  const header = request.headers.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  return timingSafeEqual(token, env.ADMIN_TOKEN);
+}
+
+/**
+ * Compares two strings without leaking where they differ through timing.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {boolean} True if the strings are equal.
+ */
+function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const aBytes = encoder.encode(a);
+  const bBytes = encoder.encode(b);
+  if (aBytes.byteLength !== bBytes.byteLength) {
+    return false;
+  }
+  return crypto.subtle.timingSafeEqual(aBytes, bBytes);
+}
+
+/**
+ * @param {object} body The response body.
+ * @param {number} [status=200] The HTTP status.
+ * @returns {Response} A JSON response.
+ */
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { 'Content-Type': 'application/json' },
+    status,
+  });
+}
+
+/**
+ * Builds the signed envelope Apps Script verifies. Apps Script web apps cannot read
+ * request headers, so the signature travels in the body. The payload is kept as the
+ * exact string that was signed, and each call uses a fresh timestamp and nonce, so a
+ * retried event is re-signed with whatever secret is current at the time.
+ * @param {object} stravaPayload The Strava webhook event.
+ * @param {string} secret The signing key.
+ * @returns {Promise<{timestamp: number, nonce: string, payload: string, signature: string}>}
+ */
+async function signPayload(stravaPayload, secret) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const nonce = crypto.randomUUID();
+  const payload = JSON.stringify(stravaPayload);
+  const signature = await hmacSha256Hex(secret, `${timestamp}.${nonce}.${payload}`);
+  return { timestamp, nonce, payload, signature };
+}
+
+/**
+ * Verifies an envelope signed like the ones `signPayload` builds.
+ * @param {{timestamp: number, nonce: string, payload: string, signature: string}} envelope The signed envelope.
+ * @param {string} secret The signing key.
+ * @returns {Promise<boolean>} True if the signature matches and the timestamp is fresh.
+ */
+async function verifySignedEnvelope(envelope, secret) {
+  const { timestamp, nonce, payload, signature } = envelope || {};
+  if (!secret || !timestamp || !nonce || typeof payload !== 'string' || typeof signature !== 'string') {
+    return false;
+  }
+  if (!(Math.abs(Date.now() / 1000 - Number(timestamp)) <= MAX_CLOCK_SKEW_SECONDS)) {
+    return false;
+  }
+  const expectedSignature = await hmacSha256Hex(secret, `${timestamp}.${nonce}.${payload}`);
+  return timingSafeEqual(signature.toLowerCase(), expectedSignature);
+}
+
+/**
+ * @param {string} secret The HMAC key.
+ * @param {string} message The message to sign.
+ * @returns {Promise<string>} The lowercase hex HMAC-SHA256 of the message.
+ */
+async function hmacSha256Hex(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return [...new Uint8Array(signature)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Forwards the event payload to a Google Apps Script backend.
+ * Apps Script always answers 200, so only the exact "Success" body counts as delivered.
+ * @param {object} stravaPayload The parsed JSON object from the original Strava webhook event.
+ * @param {Destination} destination The Apps Script web app and the key to sign with.
+ * @returns {Promise<ForwardResult>} Whether Apps Script confirmed the event, with its status and latency.
+ */
+async function forwardEvent(stravaPayload, destination) {
+  const startedAt = Date.now();
+  try {
+    // Sign the event for our backend; the shared secret itself is never sent.
+    const gasPayload = await signPayload(stravaPayload, destination.secret);
 
     // Use the direct fetch(url, options) pattern for robustness.
-    const response = await fetch(env.GAS_WEB_APP_URL, {
+    const response = await fetch(destination.url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify(gasPayload),
       redirect: 'follow', // Explicitly follow redirects, similar to curl's -L flag.
+      signal: AbortSignal.timeout(GAS_TIMEOUT_MS),
     });
 
     // Log the response from Google Apps Script for better debugging.
-    const responseText = await response.text();
+    const responseText = (await response.text()).trim();
     console.log(`Forwarding completed. Response from GAS: "${responseText}" (Status: ${response.status})`);
 
+    const latencyMs = Date.now() - startedAt;
+    if (response.ok && responseText === GAS_SUCCESS_RESPONSE) {
+      return { error: null, status: response.status, latencyMs };
+    }
+    return { error: `GAS responded ${response.status}: ${responseText.slice(0, 200)}`, status: response.status, latencyMs };
+
   } catch (error) {
     // Log any errors that occur during the forwarding process.
     console.error('Error forwarding event to GAS:', error);
+    return { error: `Error forwarding event to GAS: ${error.message}`, status: null, latencyMs: Date.now() - startedAt };
   }
-}
\ No newline at end of file
+}
@@ -1,20 +1,574 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
+import { env, createExecutionContext, createScheduledController, waitOnExecutionContext, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import worker from '../src';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
+const GAS_ORIGIN = 'https://script.google.com';
+const GAS_PATH = '/macros/s/test/exec';
+
+const stravaEvent = {
+	object_type: 'activity',
+	object_id: 1360128428,
+	aspect_type: 'create',
+	owner_id: 134815,
+	subscription_id: 120475,
+	event_time: 1516126040,
+	updates: {},
+};
+
+/**
+ * Calls the worker's fetch handler and waits for its background work to finish.
+ * @param {Request} request The request to send.
+ * @returns {Promise<Response>}
+ */
+async function callWorker(request) {
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, env, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+/**
+ * Runs the worker's cron handler and waits for it to finish.
+ */
+async function runCron() {
+	const ctx = createExecutionContext();
+	await worker.scheduled(createScheduledController(), env, ctx);
+	await waitOnExecutionContext(ctx);
+}
+
+function postEvent(payload = stravaEvent) {
+	return new Request('https://proxy.example.com/', { method: 'POST', body: JSON.stringify(payload) });
+}
+
+function adminRequest(path, method = 'GET', token = 'test-admin-token', body = undefined) {
+	return new Request(`https://proxy.example.com${path}`, {
+		method,
+		headers: { Authorization: `Bearer ${token}` },
+		body: body === undefined ? undefined : JSON.stringify(body),
+	});
+}
+
+function mockGas(status, body) {
+	fetchMock.get(GAS_ORIGIN).intercept({ path: GAS_PATH, method: 'POST' }).reply(status, body);
+}
+
+async function hmacSha256Hex(secret, message) {
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+	return [...new Uint8Array(signature)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function storedEvents(prefix) {
+	const { keys } = await env.EVENTS_KV.list({ prefix });
+	return Promise.all(keys.map((key) => env.EVENTS_KV.get(key.name, 'json')));
+}
+
+/**
+ * Makes every queued event due now, as if its backoff had elapsed.
+ */
+async function makeQueuedEventsDue() {
+	for (const queuedEvent of await storedEvents('queue:')) {
+		await env.EVENTS_KV.put(`queue:${queuedEvent.id}`, JSON.stringify({ ...queuedEvent, nextAttemptAt: 0 }));
+	}
+	await env.EVENTS_KV.put('next-due', JSON.stringify({ nextDueAt: 0 }));
+}
+
+beforeEach(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => {
+	fetchMock.deactivate();
+});
+
+describe('subscription validation', () => {
+	it('echoes the challenge for a valid verify token', async () => {
+		const response = await callWorker(
+			new Request('https://proxy.example.com/?hub.mode=subscribe&hub.verify_token=test-verify-token&hub.challenge=abc123'),
+		);
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual({ 'hub.challenge': 'abc123' });
+	});
+
+	it('rejects an invalid verify token', async () => {
+		const response = await callWorker(new Request('https://proxy.example.com/?hub.mode=subscribe&hub.verify_token=wrong&hub.challenge=abc123'));
+		expect(response.status).toBe(403);
+	});
+});
+
+describe('event delivery', () => {
+	it('rejects a body that is not JSON', async () => {
+		const response = await callWorker(new Request('https://proxy.example.com/', { method: 'POST', body: 'not json' }));
+		expect(response.status).toBe(400);
+	});
+
+	it('forwards a signed event without the shared secret and clears it from the queue on success', async () => {
+		let forwardedBody;
+		fetchMock
+			.get(GAS_ORIGIN)
+			.intercept({ path: GAS_PATH, method: 'POST' })
+			.reply(200, (request) => {
+				forwardedBody = JSON.parse(request.body);
+				return 'Success';
+			});
+
+		const response = await callWorker(postEvent());
+
+		expect(response.status).toBe(200);
+		expect(await response.text()).toBe('EVENT_RECEIVED');
+		expect(JSON.parse(forwardedBody.payload)).toEqual(stravaEvent);
+		expect(JSON.stringify(forwardedBody)).not.toContain('test-shared-secret');
+		expect(Math.abs(forwardedBody.timestamp - Date.now() / 1000)).toBeLessThan(5);
+		expect(forwardedBody.signature).toBe(
+			await hmacSha256Hex('test-shared-secret', `${forwardedBody.timestamp}.${forwardedBody.nonce}.${forwardedBody.payload}`),
+		);
+		expect(await storedEvents('queue:')).toEqual([]);
+	});
+
+	it('signs every retry with a fresh nonce', async () => {
+		const nonces = [];
+		const captureNonce = (request) => {
+			nonces.push(JSON.parse(request.body).nonce);
+			return nonces.length === 1 ? 'Authentication Failed' : 'Success';
+		};
+		fetchMock.get(GAS_ORIGIN).intercept({ path: GAS_PATH, method: 'POST' }).reply(200, captureNonce).times(2);
+
+		await callWorker(postEvent());
+		await makeQueuedEventsDue();
+		await runCron();
+
+		expect(nonces).toHaveLength(2);
+		expect(nonces[0]).not.toBe(nonces[1]);
+		expect(await storedEvents('queue:')).toEqual([]);
+	});
+
+	it('keeps the event queued with backoff when Apps Script does not reply "Success"', async () => {
+		mockGas(200, 'Error processing request: Service invoked too many times');
+
+		await callWorker(postEvent());
+
+		const [queuedEvent] = await storedEvents('queue:');
+		expect(queuedEvent.payload).toEqual(stravaEvent);
+		expect(queuedEvent.attempts).toBe(1);
+		expect(queuedEvent.lastError).toContain('too many times');
+		expect(queuedEvent.nextAttemptAt).toBeGreaterThan(Date.now());
+	});
+
+	it('retries due events from the cron trigger until they are delivered', async () => {
+		mockGas(500, 'Internal error');
+		await callWorker(postEvent());
+
+		// Not due yet: the cron run leaves the event alone.
+		await runCron();
+		expect((await storedEvents('queue:'))[0].attempts).toBe(1);
+
+		await makeQueuedEventsDue();
+		mockGas(200, 'Success');
+		await runCron();
+		expect(await storedEvents('queue:')).toEqual([]);
+	});
+
+	it('only lists the queue once the next-due marker has passed', async () => {
+		// With nothing queued, the next look at the queue is the hourly sweep.
+		await runCron();
+		expect((await env.EVENTS_KV.get('next-due', 'json')).nextDueAt).toBeGreaterThan(Date.now() + 30 * 60 * 1000);
+
+		mockGas(500, 'Internal error');
+		await callWorker(postEvent());
+		const [queuedEvent] = await storedEvents('queue:');
+		expect((await env.EVENTS_KV.get('next-due', 'json')).nextDueAt).toBe(queuedEvent.nextAttemptAt);
+
+		// The event is due by its own time, but the marker is not, so the cron run does not look.
+		await env.EVENTS_KV.put(`queue:${queuedEvent.id}`, JSON.stringify({ ...queuedEvent, nextAttemptAt: 0 }));
+		await runCron();
+		expect((await storedEvents('queue:'))[0].attempts).toBe(1);
+
+		await env.EVENTS_KV.put('next-due', JSON.stringify({ nextDueAt: 0 }));
+		mockGas(200, 'Success');
+		await runCron();
+		expect(await storedEvents('queue:')).toEqual([]);
+	});
+
+	it('moves an event to the dead-letter store after repeated failures', async () => {
+		mockGas(503, 'Unavailable');
+		await callWorker(postEvent());
+
+		for (let attempt = 2; attempt <= 10; attempt++) {
+			await makeQueuedEventsDue();
+			mockGas(503, 'Unavailable');
+			await runCron();
+		}
+
+		expect(await storedEvents('queue:')).toEqual([]);
+		const [deadEvent] = await storedEvents('dead:');
+		expect(deadEvent.attempts).toBe(10);
+		expect(deadEvent.payload).toEqual(stravaEvent);
+	});
+});
+
+describe('event validation', () => {
+	it('rejects a body that is not a JSON object', async () => {
+		expect((await callWorker(postEvent([stravaEvent]))).status).toBe(400);
+		expect((await callWorker(postEvent(null))).status).toBe(400);
+	});
+
+	it('rejects events that do not match the webhook schema without storing them', async () => {
+		const invalidEvents = [
+			{ ...stravaEvent, object_type: 'club' },
+			{ ...stravaEvent, aspect_type: 'rename' },
+			{ ...stravaEvent, object_id: '1360128428' },
+			{ ...stravaEvent, owner_id: -1 },
+			{ ...stravaEvent, event_time: undefined },
+			{ ...stravaEvent, updates: 'title' },
+		];
+		for (const invalidEvent of invalidEvents) {
+			const response = await callWorker(postEvent(invalidEvent));
+			expect(response.status).toBe(422);
+			expect((await response.json()).details).toHaveLength(1);
+		}
+		expect(await storedEvents('queue:')).toEqual([]);
+	});
+
+	it('rejects events for another subscription', async () => {
+		const response = await callWorker(postEvent({ ...stravaEvent, subscription_id: 999 }));
+		expect(response.status).toBe(403);
+		expect(await storedEvents('queue:')).toEqual([]);
+	});
+
+	it('forwards only the fields of the webhook schema', async () => {
+		let forwardedPayload;
+		fetchMock
+			.get(GAS_ORIGIN)
+			.intercept({ path: GAS_PATH, method: 'POST' })
+			.reply(200, (request) => {
+				forwardedPayload = JSON.parse(JSON.parse(request.body).payload);
+				return 'Success';
+			});
+
+		const { updates, ...eventWithoutUpdates } = stravaEvent;
+		await callWorker(postEvent({ ...eventWithoutUpdates, injected: '<script>' }));
+		expect(forwardedPayload).toEqual(stravaEvent);
+	});
+});
+
+describe('deduplication and coalescing', () => {
+	const updateEvent = { ...stravaEvent, aspect_type: 'update' };
+
+	it('queues a redelivered event only once', async () => {
+		mockGas(500, 'Internal error');
+		await callWorker(postEvent());
+		const response = await callWorker(postEvent());
+
+		expect(await response.text()).toBe('EVENT_RECEIVED');
+		expect(await storedEvents('queue:')).toHaveLength(1);
+	});
+
+	it('merges a burst of activity updates into one delivery after the window', async () => {
+		await callWorker(postEvent({ ...updateEvent, event_time: 1, updates: { title: 'First' } }));
+		await callWorker(postEvent({ ...updateEvent, event_time: 3, updates: { title: 'Final' } }));
+		await callWorker(postEvent({ ...updateEvent, event_time: 2, updates: { type: 'Swim' } }));
+
+		const [pendingEvent] = await storedEvents('queue:');
+		expect(pendingEvent.coalescedCount).toBe(3);
+		expect(pendingEvent.payload.event_time).toBe(3);
+		expect(pendingEvent.payload.updates).toEqual({ title: 'Final', type: 'Swim' });
+
+		// Nothing is delivered while the window is open.
+		await runCron();
+		expect(await storedEvents('queue:')).toHaveLength(1);
+
+		let forwardedPayload;
+		fetchMock
+			.get(GAS_ORIGIN)
+			.intercept({ path: GAS_PATH, method: 'POST' })
+			.reply(200, (request) => {
+				forwardedPayload = JSON.parse(JSON.parse(request.body).payload);
+				return 'Success';
+			});
+		await makeQueuedEventsDue();
+		await runCron();
+
+		expect(forwardedPayload.updates).toEqual({ title: 'Final', type: 'Swim' });
+		expect(await storedEvents('queue:')).toEqual([]);
+	});
+
+	it('drops a pending update when the activity is deleted', async () => {
+		await callWorker(postEvent({ ...updateEvent, updates: { title: 'Renamed' } }));
+		mockGas(200, 'Success');
+		await callWorker(postEvent({ ...stravaEvent, aspect_type: 'delete' }));
+
+		expect(await storedEvents('queue:')).toEqual([]);
+	});
+});
+
+describe('self-test', () => {
+	async function selfTestRequest(secret = 'test-shared-secret', timestamp = Math.floor(Date.now() / 1000), body = { testId: 'test-123' }) {
+		const nonce = crypto.randomUUID();
+		const payload = typeof body === 'string' ? body : JSON.stringify(body);
+		const signature = await hmacSha256Hex(secret, `${timestamp}.${nonce}.${payload}`);
+		return new Request('https://proxy.example.com/self-test', { method: 'POST', body: JSON.stringify({ timestamp, nonce, payload, signature }) });
+	}
+
+	it('sends a signed synthetic event back to Apps Script and reports the result', async () => {
+		let forwardedPayload;
+		fetchMock
+			.get(GAS_ORIGIN)
+			.intercept({ path: GAS_PATH, method: 'POST' })
+			.reply(200, (request) => {
+				forwardedPayload = JSON.parse(JSON.parse(request.body).payload);
+				return 'Success';
+			});
+
+		const response = await callWorker(await selfTestRequest());
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual({ delivered: true, error: null });
+		expect(forwardedPayload).toMatchObject({ object_type: 'self_test', object_id: 'test-123' });
+		expect(await storedEvents('queue:')).toEqual([]);
+	});
+
+	it('fails for a subscription other than STRAVA_SUBSCRIPTION_ID', async () => {
+		const response = await callWorker(await selfTestRequest(undefined, undefined, { testId: 'test-123', subscriptionId: 999 }));
+
+		expect(response.status).toBe(409);
+		expect((await response.json()).error).toContain('STRAVA_SUBSCRIPTION_ID');
+
+		mockGas(200, 'Success');
+		const matching = await callWorker(await selfTestRequest(undefined, undefined, { testId: 'test-123', subscriptionId: stravaEvent.subscription_id }));
+		expect(matching.status).toBe(200);
+	});
+
+	it('rejects a signed payload that is not a JSON object', async () => {
+		expect((await callWorker(await selfTestRequest(undefined, undefined, '{not json'))).status).toBe(400);
+		expect((await callWorker(await selfTestRequest(undefined, undefined, 'null'))).status).toBe(400);
+	});
+
+	it('reports a failed delivery', async () => {
+		mockGas(200, 'Authentication Failed');
+		const response = await callWorker(await selfTestRequest());
+		expect(response.status).toBe(502);
+		expect((await response.json()).delivered).toBe(false);
+	});
+
+	it('rejects requests that are not signed with the shared secret or are stale', async () => {
+		expect((await callWorker(await selfTestRequest('wrong-secret'))).status).toBe(401);
+		expect((await callWorker(await selfTestRequest('test-shared-secret', Math.floor(Date.now() / 1000) - 3600))).status).toBe(401);
+	});
+
+	it('rejects a replayed request', async () => {
+		mockGas(200, 'Success');
+		const request = await selfTestRequest();
+		const replay = request.clone();
+
+		expect((await callWorker(request)).status).toBe(200);
+		expect((await callWorker(replay)).status).toBe(401);
+	});
+});
+
+describe('admin routes', () => {
+	it('require the admin token', async () => {
+		expect((await callWorker(adminRequest('/admin/dead-letters', 'GET', 'wrong'))).status).toBe(401);
+		expect((await callWorker(new Request('https://proxy.example.com/admin/dead-letters'))).status).toBe(401);
+	});
+
+	it('list, replay and delete dead-lettered events', async () => {
+		const deadEvent = { id: 'dead-1', payload: stravaEvent, attempts: 10, nextAttemptAt: 0, receivedAt: '2025-01-01T00:00:00.000Z', lastError: 'x' };
+		await env.EVENTS_KV.put('dead:dead-1', JSON.stringify(deadEvent));
+		await env.EVENTS_KV.put('dead:dead-2', JSON.stringify({ ...deadEvent, id: 'dead-2' }));
+
+		const listResponse = await callWorker(adminRequest('/admin/dead-letters'));
+		expect((await listResponse.json()).events.map((e) => e.id)).toEqual(['dead-1', 'dead-2']);
+
+		mockGas(200, 'Success');
+		const replayResponse = await callWorker(adminRequest('/admin/dead-letters/dead-1/replay', 'POST'));
+		expect(replayResponse.status).toBe(202);
+		expect(await env.EVENTS_KV.get('dead:dead-1')).toBeNull();
+		expect(await storedEvents('queue:')).toEqual([]);
+
+		const deleteResponse = await callWorker(adminRequest('/admin/dead-letters/dead-2', 'DELETE'));
+		expect(deleteResponse.status).toBe(200);
+		expect(await storedEvents('dead:')).toEqual([]);
+
+		expect((await callWorker(adminRequest('/admin/dead-letters/missing/replay', 'POST'))).status).toBe(404);
+	});
+
+	it('list events waiting to be retried', async () => {
+		mockGas(500, 'Internal error');
+		await callWorker(postEvent());
+
+		const response = await callWorker(adminRequest('/admin/queue'));
+		const { events } = await response.json();
+		expect(events).toHaveLength(1);
+		expect(events[0].attempts).toBe(1);
+	});
+});
+
+describe('status route', () => {
+	it('requires the admin token', async () => {
+		expect((await callWorker(adminRequest('/admin/status', 'GET', 'wrong'))).status).toBe(401);
+	});
+
+	it('reports delivery counts, the last Apps Script response and recent errors', async () => {
+		mockGas(200, 'Success');
+		await callWorker(postEvent());
+		await callWorker(postEvent());
+		mockGas(500, 'Internal error');
+		await callWorker(postEvent({ ...stravaEvent, object_id: 2 }));
+		await makeQueuedEventsDue();
+		mockGas(200, 'Success');
+		await runCron();
+
+		const status = await (await callWorker(adminRequest('/admin/status'))).json();
+		expect(status.counters).toEqual({ received: 2, duplicates: 1, unrouted: 0, forwarded: 2, failed: 1, retried: 1, deadLettered: 0 });
+		expect(status.lastGasResponse).toMatchObject({ status: 200, ok: true });
+		expect(status.lastGasResponse.latencyMs).toBeGreaterThanOrEqual(0);
+		expect(status.recentErrors).toHaveLength(1);
+		expect(status.recentErrors[0].error).toContain('GAS responded 500');
+		expect(status.queueDepth).toBe(0);
+		expect(status.deadLetters).toBe(0);
+	});
+
+	it('reports the queue depth and dead letters before any event arrives', async () => {
+		await env.EVENTS_KV.put('dead:dead-1', JSON.stringify({ id: 'dead-1' }));
+
+		const status = await (await callWorker(adminRequest('/admin/status'))).json();
+		expect(status.counters.received).toBe(0);
+		expect(status.lastGasResponse).toBeNull();
+		expect(status.queueDepth).toBe(0);
+		expect(status.deadLetters).toBe(1);
+	});
+});
+
+describe('multi-club routing', () => {
+	const clubA = { url: `${GAS_ORIGIN}/macros/s/club-a/exec`, secret: 'club-a-secret' };
+	const clubB = { url: `${GAS_ORIGIN}/macros/s/club-b/exec`, secret: 'club-b-secret' };
+
+	async function signedRequest(path, body, secret) {
+		const timestamp = Math.floor(Date.now() / 1000);
+		const nonce = crypto.randomUUID();
+		const payload = typeof body === 'string' ? body : JSON.stringify(body);
+		const signature = await hmacSha256Hex(secret, `${timestamp}.${nonce}.${payload}`);
+		return new Request(`https://proxy.example.com${path}`, { method: 'POST', body: JSON.stringify({ timestamp, nonce, payload, signature }) });
+	}
+
+	async function registerClub(clubId, club, athleteIds) {
+		await callWorker(adminRequest(`/admin/clubs/${clubId}`, 'PUT', 'test-admin-token', club));
+		return callWorker(await signedRequest(`/clubs/${clubId}/athletes`, { athleteIds }, club.secret));
+	}
+
+	/**
+	 * Mocks a club's Apps Script and records the signed envelopes it receives.
+	 */
+	function mockClub(club, deliveries) {
+		fetchMock
+			.get(GAS_ORIGIN)
+			.intercept({ path: new URL(club.url).pathname, method: 'POST' })
+			.reply(200, (request) => {
+				deliveries.push(JSON.parse(request.body));
+				return 'Success';
+			});
+	}
+
+	it('adds, lists and removes clubs with the admin token, never returning secrets', async () => {
+		expect((await callWorker(adminRequest('/admin/clubs/club-a', 'PUT', 'wrong', clubA))).status).toBe(401);
+		expect((await callWorker(adminRequest('/admin/clubs/club-a', 'PUT', 'test-admin-token', { url: 'http://insecure' }))).status).toBe(422);
+		expect((await callWorker(adminRequest('/admin/clubs/club:a', 'PUT', 'test-admin-token', clubA))).status).toBe(422);
+		expect((await callWorker(adminRequest('/admin/clubs/club-a', 'PUT', 'test-admin-token', clubA))).status).toBe(201);
+		expect((await registerClub('club-a', clubA, [134815, 42])).status).toBe(200);
+
+		const listResponse = await callWorker(adminRequest('/admin/clubs'));
+		const { clubs } = await listResponse.json();
+		expect(clubs).toEqual([{ id: 'club-a', url: clubA.url, athleteCount: 2, updatedAt: expect.any(String) }]);
+		expect(JSON.stringify(clubs)).not.toContain(clubA.secret);
+
+		expect((await callWorker(adminRequest('/admin/clubs/club-a', 'DELETE'))).status).toBe(200);
+		expect(await env.EVENTS_KV.get('athlete:134815')).toBeNull();
+		expect(await env.EVENTS_KV.get('club:club-a')).toBeNull();
+	});
+
+	it('only accepts athlete registrations signed with the club secret', async () => {
+		await callWorker(adminRequest('/admin/clubs/club-a', 'PUT', 'test-admin-token', clubA));
+
+		expect((await callWorker(await signedRequest('/clubs/club-a/athletes', { athleteIds: [1] }, 'test-shared-secret'))).status).toBe(401);
+		expect((await callWorker(await signedRequest('/clubs/unknown/athletes', { athleteIds: [1] }, clubA.secret))).status).toBe(404);
+		expect((await callWorker(await signedRequest('/clubs/club-a/athletes', { athleteIds: ['1'] }, clubA.secret))).status).toBe(422);
+		expect((await callWorker(await signedRequest('/clubs/club-a/athletes', '{not json', clubA.secret))).status).toBe(400);
+
+		const response = await callWorker(await signedRequest('/clubs/club-a/athletes', { athleteIds: [1, 2, 2] }, clubA.secret));
+		expect(await response.json()).toEqual({ clubId: 'club-a', athletes: 2, added: 2, removed: 0 });
+
+		const replaceResponse = await callWorker(await signedRequest('/clubs/club-a/athletes', { athleteIds: [2, 3] }, clubA.secret));
+		expect(await replaceResponse.json()).toEqual({ clubId: 'club-a', athletes: 2, added: 1, removed: 1 });
+		expect(await env.EVENTS_KV.get('athlete:1')).toBeNull();
+		expect(await env.EVENTS_KV.get('athlete:3', 'json')).toEqual(['club-a']);
+	});
+
+	it("fans an event out to every club of the athlete, signed with each club's secret", async () => {
+		await registerClub('club-a', clubA, [stravaEvent.owner_id]);
+		await registerClub('club-b', clubB, [stravaEvent.owner_id, 42]);
+		const deliveriesA = [];
+		const deliveriesB = [];
+		mockClub(clubA, deliveriesA);
+		mockClub(clubB, deliveriesB);
+
+		await callWorker(postEvent());
+
+		expect(deliveriesA).toHaveLength(1);
+		expect(deliveriesB).toHaveLength(1);
+		expect(JSON.parse(deliveriesA[0].payload)).toEqual(stravaEvent);
+		expect(deliveriesA[0].signature).toBe(
+			await hmacSha256Hex(clubA.secret, `${deliveriesA[0].timestamp}.${deliveriesA[0].nonce}.${deliveriesA[0].payload}`),
+		);
+		expect(deliveriesB[0].signature).toBe(
+			await hmacSha256Hex(clubB.secret, `${deliveriesB[0].timestamp}.${deliveriesB[0].nonce}.${deliveriesB[0].payload}`),
+		);
+		expect(await storedEvents('queue:')).toEqual([]);
+	});
+
+	it('coalesces updates for each club separately', async () => {
+		await registerClub('club-a', clubA, [stravaEvent.owner_id]);
+		await registerClub('club-b', clubB, [stravaEvent.owner_id]);
+		const updateEvent = { ...stravaEvent, aspect_type: 'update', updates: { title: 'Renamed' } };
+
+		await callWorker(postEvent(updateEvent));
+
+		const pendingEvents = await storedEvents('queue:');
+		expect(pendingEvents.map((e) => e.id).sort()).toEqual([
+			`activity-${stravaEvent.object_id}-update-club-a`,
+			`activity-${stravaEvent.object_id}-update-club-b`,
+		]);
+	});
+
+	it('sends athletes no club registered to the default Apps Script', async () => {
+		await registerClub('club-a', clubA, [42]);
+		mockGas(200, 'Success');
+
+		await callWorker(postEvent());
+
+		expect(await storedEvents('queue:')).toEqual([]);
+	});
+
+	it('counts events of athletes with no route when there is no default Apps Script', async () => {
 		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
+		const response = await worker.fetch(postEvent(), { ...env, GAS_WEB_APP_URL: '' }, ctx);
 		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+
+		expect(response.status).toBe(200);
+		expect(await storedEvents('queue:')).toEqual([]);
+		const status = await (await callWorker(adminRequest('/admin/status'))).json();
+		expect(status.counters.unrouted).toBe(1);
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('runs the self-test against a club', async () => {
+		await registerClub('club-a', clubA, []);
+		const deliveries = [];
+		mockClub(clubA, deliveries);
+
+		const response = await callWorker(await signedRequest('/clubs/club-a/self-test', { testId: 'test-123' }, clubA.secret));
+
+		expect(await response.json()).toEqual({ delivered: true, error: null });
+		expect(JSON.parse(deliveries[0].payload)).toMatchObject({ object_type: 'self_test', object_id: 'test-123' });
 	});
 });
@@ -5,6 +5,15 @@ export default defineWorkersConfig({
 		poolOptions: {
 			workers: {
 				wrangler: { configPath: './wrangler.jsonc' },
+				miniflare: {
+					bindings: {
+						GAS_WEB_APP_URL: 'https://script.google.com/macros/s/test/exec',
+						STRAVA_VERIFY_TOKEN: 'test-verify-token',
+						WORKER_SHARED_SECRET: 'test-shared-secret',
+						ADMIN_TOKEN: 'test-admin-token',
+						STRAVA_SUBSCRIPTION_ID: '120475',
+					},
+				},
 			},
 		},
 	},